@@ -28,6 +28,107 @@ const config = {
     process.env.PROTECTED_COLLECTIONS.split(',').map(name => name.trim()) :
     [],
 
+  // Users (uids) who manage the security rules of collections and the tenants (see routes/rules.js, routes/tenants.js)
+  admins: process.env.ADMIN_UIDS ?
+    process.env.ADMIN_UIDS.split(',').map(uid => uid.trim()).filter(Boolean) :
+    [],
+
+  // Multi-Tenancy Configuration (see lib/tenants.js)
+  tenancy: {
+    // off: one tenant, the default database. optional: requests without a tenant use the default database.
+    // required: every API request has to name a tenant.
+    mode: process.env.TENANT_MODE || 'off',
+    // Claim of the (verified) auth token that holds the tenant id
+    claim: process.env.TENANT_CLAIM || 'tenant',
+    // Header carrying a tenant API key
+    apiKeyHeader: (process.env.TENANT_API_KEY_HEADER || 'x-api-key').toLowerCase(),
+    // Tenants are also reached at <tenant id>.<baseDomain>, e.g. acme.api.example.com for "api.example.com"
+    baseDomain: process.env.TENANT_BASE_DOMAIN ? process.env.TENANT_BASE_DOMAIN.trim().toLowerCase() : null,
+    // Each tenant has its own database, named with this prefix and the tenant id
+    databasePrefix: process.env.TENANT_DATABASE_PREFIX || 'tenant_',
+  },
+
+  // Soft Delete Configuration
+  // Deletes in these collections ('*' for all) move documents to a trash instead of removing them
+  softDelete: {
+    collections: process.env.SOFT_DELETE_COLLECTIONS ?
+      process.env.SOFT_DELETE_COLLECTIONS.split(',').map(name => name.trim()) :
+      [],
+    // Trashed documents older than this can be purged
+    retentionDays: process.env.SOFT_DELETE_RETENTION_DAYS ? parseInt(process.env.SOFT_DELETE_RETENTION_DAYS) : 30,
+  },
+
+  // Ownership Scoping Configuration (see lib/ownership.js)
+  // Collections whose documents belong to the user named in an owner field, as "name[:field[:scopes]]" ('*' for all),
+  // where scopes are stamp, read and write joined by '+' (all three by default), e.g. "notes,posts:authorId:stamp+write"
+  ownership: {
+    collections: Object.fromEntries((process.env.OWNED_COLLECTIONS ?? 'transactions,users:id:write')
+      .split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [name, field, scopes] = entry.split(':').map(part => part.trim());
+        return [name, {
+          field: field || 'userId',
+          scopes: scopes ? scopes.split('+').map(scope => scope.trim()) : ['stamp', 'read', 'write'],
+        }];
+      })),
+  },
+
+  // Webhook Delivery Configuration
+  webhooks: {
+    // Attempts before a delivery is marked failed; retries wait retryBaseSeconds, then twice as long each time
+    maxAttempts: process.env.WEBHOOK_MAX_ATTEMPTS ? parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) : 8,
+    retryBaseSeconds: process.env.WEBHOOK_RETRY_BASE_SECONDS ? parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) : 30,
+    timeoutMs: process.env.WEBHOOK_TIMEOUT_MS ? parseInt(process.env.WEBHOOK_TIMEOUT_MS) : 10000,
+    // Let webhooks reach private, loopback and link-local addresses (for local development only)
+    allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true',
+  },
+
+  // Read Cost Controls (see lib/queryLimits.js)
+  queries: {
+    // Page size of lists that don't set limitCount, and the largest page size allowed
+    defaultLimit: process.env.QUERY_DEFAULT_LIMIT ? parseInt(process.env.QUERY_DEFAULT_LIMIT) : 100,
+    maxLimit: process.env.QUERY_MAX_LIMIT ? parseInt(process.env.QUERY_MAX_LIMIT) : 1000,
+    // Per collection overrides as "name:default:max", e.g. "transactions:50:500,logs:20:200"
+    collections: process.env.QUERY_COLLECTION_LIMITS ?
+      Object.fromEntries(process.env.QUERY_COLLECTION_LIMITS.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [name, defaultLimit, maxLimit] = entry.split(':').map(part => part.trim());
+        return [name, {
+          ...(defaultLimit ? { defaultLimit: parseInt(defaultLimit) } : {}),
+          ...(maxLimit ? { maxLimit: parseInt(maxLimit) } : {}),
+        }];
+      })) :
+      {},
+    // Time limit of every read
+    maxTimeMS: process.env.QUERY_MAX_TIME_MS ? parseInt(process.env.QUERY_MAX_TIME_MS) : 10000,
+    // How lists count their total unless the request says otherwise: exact, estimated or none
+    defaultTotal: process.env.QUERY_DEFAULT_TOTAL || 'exact',
+    // Estimated totals stop counting here
+    estimateCap: process.env.QUERY_ESTIMATE_CAP ? parseInt(process.env.QUERY_ESTIMATE_CAP) : 10000,
+  },
+
+  // Aggregation Pipeline Guardrails (POST /api/:collectionName/pipe and saved queries, see lib/pipelinePolicy.js)
+  pipelines: {
+    // Stages a pipeline may use; $out and $merge are left out so pipelines can't write
+    allowedStages: process.env.PIPELINE_ALLOWED_STAGES ?
+      process.env.PIPELINE_ALLOWED_STAGES.split(',').map(stage => stage.trim()) :
+      ['$match', '$project', '$addFields', '$set', '$unset', '$group', '$sort', '$limit', '$skip', '$count', '$unwind',
+        '$lookup', '$graphLookup', '$unionWith', '$facet', '$bucket', '$bucketAuto', '$sortByCount', '$replaceRoot',
+        '$replaceWith', '$sample', '$geoNear', '$setWindowFields', '$densify', '$fill', '$redact'],
+    // Operators a pipeline may use: '*' for any that isn't blocked, or a comma separated list
+    allowedOperators: process.env.PIPELINE_ALLOWED_OPERATORS && process.env.PIPELINE_ALLOWED_OPERATORS.trim() !== '*' ?
+      process.env.PIPELINE_ALLOWED_OPERATORS.split(',').map(operator => operator.trim()) :
+      '*',
+    blockedOperators: process.env.PIPELINE_BLOCKED_OPERATORS ?
+      process.env.PIPELINE_BLOCKED_OPERATORS.split(',').map(operator => operator.trim()).filter(Boolean) :
+      ['$where', '$function', '$accumulator'],
+    // Collections pipelines can't read, neither directly nor through $lookup, $graphLookup or $unionWith
+    deniedCollections: process.env.PIPELINE_DENIED_COLLECTIONS ?
+      process.env.PIPELINE_DENIED_COLLECTIONS.split(',').map(name => name.trim()).filter(Boolean) :
+      ['users', 'webhook_subscriptions', 'document_history', 'tenants'],
+    maxTimeMS: process.env.PIPELINE_MAX_TIME_MS ? parseInt(process.env.PIPELINE_MAX_TIME_MS) : 30000,
+    // Documents returned at most; longer results are cut off and flagged as truncated
+    maxResults: process.env.PIPELINE_MAX_RESULTS ? parseInt(process.env.PIPELINE_MAX_RESULTS) : 1000,
+  },
+
   // File Upload Configuration
   fileUpload: {
     // Storage provider: 'local', 'cloudinary', 's3'
@@ -98,6 +199,44 @@ const validateConfig = () => {
     errors.push('AUTH_TYPE must be either "firebase" or "local"');
   }
 
+  if (!Number.isInteger(config.softDelete.retentionDays) || config.softDelete.retentionDays < 0) {
+    errors.push('SOFT_DELETE_RETENTION_DAYS must be a non-negative number of days');
+  }
+
+  if (!['off', 'optional', 'required'].includes(config.tenancy.mode)) {
+    errors.push('TENANT_MODE must be "off", "optional" or "required"');
+  }
+
+  if (!/^[A-Za-z0-9_-]{1,20}$/.test(config.tenancy.databasePrefix)) {
+    errors.push('TENANT_DATABASE_PREFIX must be up to 20 letters, digits, "_" or "-"');
+  }
+
+  const ownedCollections = Object.values(config.ownership.collections);
+  if (ownedCollections.some(({ field, scopes }) => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(field) || scopes.some(scope => !['stamp', 'read', 'write'].includes(scope)))) {
+    errors.push('OWNED_COLLECTIONS entries must be "name[:field[:scopes]]" with a top-level field name and scopes among stamp, read and write');
+  }
+
+  if (!(config.webhooks.maxAttempts >= 1) || !(config.webhooks.retryBaseSeconds >= 1) || !(config.webhooks.timeoutMs >= 1)) {
+    errors.push('WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_SECONDS and WEBHOOK_TIMEOUT_MS must be positive numbers');
+  }
+
+  const pageSizes = [config.queries, ...Object.values(config.queries.collections)];
+  if (pageSizes.some(({ defaultLimit, maxLimit }) => (defaultLimit !== undefined && !(defaultLimit >= 1)) || (maxLimit !== undefined && !(maxLimit >= 1)))) {
+    errors.push('QUERY_DEFAULT_LIMIT, QUERY_MAX_LIMIT and the page sizes in QUERY_COLLECTION_LIMITS must be positive numbers');
+  }
+
+  if (!(config.queries.maxTimeMS >= 1) || !(config.queries.estimateCap >= 1)) {
+    errors.push('QUERY_MAX_TIME_MS and QUERY_ESTIMATE_CAP must be positive numbers');
+  }
+
+  if (!['exact', 'estimated', 'none'].includes(config.queries.defaultTotal)) {
+    errors.push('QUERY_DEFAULT_TOTAL must be "exact", "estimated" or "none"');
+  }
+
+  if (!(config.pipelines.maxTimeMS >= 1) || !(config.pipelines.maxResults >= 1)) {
+    errors.push('PIPELINE_MAX_TIME_MS and PIPELINE_MAX_RESULTS must be positive numbers');
+  }
+
   if (errors.length > 0) {
     console.error('Configuration validation failed:');
     errors.forEach(error => console.error(`- ${error}`));
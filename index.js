@@ -8,8 +8,15 @@ const authRoutes = require('./routes/auth');
 const uploadRoutes = require('./routes/upload');
 const functionRoutes = require('./routes/functions');
 const queryRoutes = require('./routes/queries');
+const transactionRoutes = require('./routes/transactions');
+const webhookRoutes = require('./routes/webhooks');
+const relationRoutes = require('./routes/relations');
+const ruleRoutes = require('./routes/rules');
+const tenantRoutes = require('./routes/tenants');
+const tenantMiddleware = require('./middlewares/tenantMiddleware');
 const config = require('./config');
 const notificationService = require('./services/notificationService');
+const { startWebhookWorker } = require('./lib/webhooks');
 
 const app = express();
 
@@ -20,10 +27,14 @@ app.use(cors());
 connectDB().then(dbConnection => {
   // Make the database connection available to the app
   app.set('dbConnection', dbConnection);
+
+  // Send queued webhook deliveries and their retries
+  startWebhookWorker();
 });
 
 // Init Middleware (Body Parser)
-app.use(express.json({ extended: false, limit: "50mb" })); // Allows us to get data in req.body
+// JSON Patch and JSON Merge Patch bodies (PATCH /api/:collectionName/:id) are JSON too
+app.use(express.json({ extended: false, limit: "50mb", type: ['application/json', 'application/json-patch+json', 'application/merge-patch+json'] })); // Allows us to get data in req.body
 
 // Serve static files from uploads directory (for local storage)
 if (config.fileUpload.provider === 'local') {
@@ -41,10 +52,16 @@ app.use('/test', async (req, res) => {
   res.json({ test: 'test' });
 })
 // Define Routes
+app.use('/api/tenants', tenantRoutes); // Tenants and their usage (the registry is in the default database)
+app.use('/api', tenantMiddleware); // Every other API request runs for its tenant (see lib/tenants.js)
 app.use('/api/auth', authRoutes); // Authentication endpoints
 app.use('/api/upload', uploadRoutes); // File upload endpoints
 app.use('/api/functions', functionRoutes); // Function management and execution
 app.use('/api/queries', queryRoutes); // Query management and execution
+app.use('/api/webhooks', webhookRoutes); // Webhook registry and delivery logs
+app.use('/api/relations', relationRoutes); // Relations between collections, used by populate
+app.use('/api/rules', ruleRoutes); // Security rules of collections
+app.use('/api/_transaction', transactionRoutes); // Multi-document transactions (before the CRUD routes, which would take it for a collection)
 app.use('/api', crudRoutes); // All CRUD operations will be under /api/:collectionName
 
 // Global error handler for auth errors
@@ -0,0 +1,156 @@
+// Opt-in JSON Schema validation per collection.
+//
+// Schemas are installed as the collection's own MongoDB validator ($jsonSchema), so the database checks every
+// write, including update operators, batch writes, upserts and transactions, against the document it would produce.
+// In "enforce" mode invalid writes are rejected; in "warn" mode MongoDB accepts them and logs the violation.
+// Collections without a schema stay schemaless.
+//
+// MongoDB's $jsonSchema is draft 4 with a few differences: "bsonType" is available next to "type", "integer" is
+// spelled { "bsonType": "int" } (or "long"), and keywords such as "$ref", "$schema", "format" and "default"
+// aren't supported.
+
+// Fields the API maintains on every document; a schema doesn't have to mention them
+const SYSTEM_FIELDS = ['_id', 'id', '_rev', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy'];
+
+const MODES = { enforce: 'error', warn: 'warn' };
+const LEVELS = ['strict', 'moderate'];
+
+const INVALID_SCHEMA_ERRORS = ['BadValue', 'FailedToParse', 'TypeMismatch', 'InvalidOptions'];
+
+const collectionInfo = async (Model) => {
+    const [info] = await Model.db.db.listCollections({ name: Model.collection.collectionName }).toArray();
+    return info || null;
+};
+
+// The schema of a collection as { schema, mode, level }, or null when it has none
+const getCollectionSchema = async (Model) => {
+    const options = (await collectionInfo(Model))?.options || {};
+    const schema = options.validator?.$jsonSchema;
+
+    if (!schema) {
+        return null;
+    }
+
+    return {
+        schema,
+        mode: options.validationAction === 'warn' ? 'warn' : 'enforce',
+        level: options.validationLevel || 'strict',
+    };
+};
+
+// Let a schema that closes its properties ("additionalProperties": false) still accept the system fields
+const withSystemFields = (schema) => {
+    if (schema.additionalProperties !== false) {
+        return schema;
+    }
+
+    const properties = { ...(schema.properties || {}) };
+    for (const field of SYSTEM_FIELDS) {
+        properties[field] ??= {};
+    }
+    return { ...schema, properties };
+};
+
+// Install or replace the schema of a collection.
+// `mode` is "enforce" or "warn"; `level` "strict" checks every write, "moderate" leaves documents that are already
+// invalid alone until they are fixed.
+const setCollectionSchema = async (Model, schema, { mode = 'enforce', level = 'strict' } = {}) => {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        throw new Error('"schema" must be a JSON Schema object.');
+    }
+    if (!MODES[mode]) {
+        throw new Error(`Invalid mode "${mode}". Use "enforce" or "warn".`);
+    }
+    if (!LEVELS.includes(level)) {
+        throw new Error(`Invalid level "${level}". Use "strict" or "moderate".`);
+    }
+
+    const options = {
+        validator: { $jsonSchema: withSystemFields(schema) },
+        validationAction: MODES[mode],
+        validationLevel: level,
+    };
+    const db = Model.db.db;
+    const name = Model.collection.collectionName;
+
+    try {
+        try {
+            await db.command({ collMod: name, ...options });
+        } catch (err) {
+            // A collection nothing was written to yet may not exist
+            if (err.codeName !== 'NamespaceNotFound') {
+                throw err;
+            }
+            await db.createCollection(name, options);
+        }
+    } catch (err) {
+        // MongoDB rejects schemas it can't use; that's the client's to fix
+        if (INVALID_SCHEMA_ERRORS.includes(err.codeName)) {
+            throw new Error(`Invalid schema: ${err.message}`);
+        }
+        throw err;
+    }
+
+    return getCollectionSchema(Model);
+};
+
+// Make a collection schemaless again. Returns false if it had no schema.
+const removeCollectionSchema = async (Model) => {
+    if (!(await getCollectionSchema(Model))) {
+        return false;
+    }
+
+    await Model.db.db.command({ collMod: Model.collection.collectionName, validator: {}, validationLevel: 'strict', validationAction: 'error' });
+    return true;
+};
+
+// Flatten MongoDB's validation error details into [{ field, rule, message, value? }]
+const flattenRules = (rules = [], prefix = '') => {
+    const path = (name) => (prefix ? `${prefix}.${name}` : String(name));
+    const errors = [];
+
+    for (const rule of rules) {
+        if (rule.propertiesNotSatisfied) {
+            for (const property of rule.propertiesNotSatisfied) {
+                errors.push(...flattenRules(property.details, path(property.propertyName)));
+            }
+        } else if (rule.missingProperties) {
+            errors.push(...rule.missingProperties.map(name => ({ field: path(name), rule: 'required', message: 'is required' })));
+        } else if (Array.isArray(rule.additionalProperties)) {
+            errors.push(...rule.additionalProperties.map(name => ({ field: path(name), rule: 'additionalProperties', message: 'is not allowed' })));
+        } else if (rule.itemIndex !== undefined && rule.details) {
+            errors.push(...flattenRules(rule.details, path(rule.itemIndex)));
+        } else if (rule.schemaRulesNotSatisfied || rule.details) {
+            errors.push(...flattenRules(rule.schemaRulesNotSatisfied || rule.details, prefix));
+        } else {
+            errors.push({
+                field: prefix || null,
+                rule: rule.operatorName,
+                message: rule.reason || 'did not match the schema',
+                ...(rule.consideredValue !== undefined ? { value: rule.consideredValue } : {}),
+            });
+        }
+    }
+
+    return errors;
+};
+
+const isSchemaValidationError = (err) => err?.code === 121;
+
+// The field-level errors of a failed document validation (MongoDB 5.0+ reports them; older servers don't)
+const validationErrors = (err) => flattenRules(err?.errInfo?.details?.schemaRulesNotSatisfied);
+
+// Response body for a write rejected by the collection's schema
+const validationErrorBody = (err) => ({
+    msg: 'Document failed schema validation.',
+    errors: validationErrors(err),
+});
+
+module.exports = {
+    getCollectionSchema,
+    setCollectionSchema,
+    removeCollectionSchema,
+    isSchemaValidationError,
+    validationErrors,
+    validationErrorBody,
+};
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// Normalize a sort spec into an ordered list of [field, 1 | -1] pairs.
+// `id` is always appended as a tie-breaker so every position in the result set is unique,
+// which is what makes a cursor stable when several documents share the same sort value.
+const normalizeSort = (sort = {}) => {
+    const keys = Object.entries(sort).map(([field, direction]) => {
+        const descending = direction === -1 || direction === '-1' || direction === 'desc';
+        return [field, descending ? -1 : 1];
+    });
+
+    if (!keys.some(([field]) => field === 'id')) {
+        const lastDirection = keys.length ? keys[keys.length - 1][1] : 1;
+        keys.push(['id', lastDirection]);
+    }
+
+    return keys;
+};
+
+// Resolve a dotted path (e.g. "profile.age") against a plain document
+const getPathValue = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+// Build an opaque cursor token from a document's sort key values plus its id.
+// EJSON keeps Dates and ObjectIds intact across the round trip.
+const encodeCursor = (doc, sortKeys) => {
+    const payload = {
+        k: sortKeys.map(([field, direction]) => [field, direction]),
+        v: sortKeys.map(([field]) => getPathValue(doc, field) ?? null),
+    };
+
+    return Buffer.from(EJSON.stringify(payload)).toString('base64url');
+};
+
+// BSON types a sort value can have. EJSON also turns {"$regex": ...} and {"$code": ...} into values, but a regular
+// expression in the keyset filter matches by pattern instead of equality.
+const CURSOR_BSON_TYPES = ['ObjectId', 'Decimal128', 'Long', 'Int32', 'Double', 'Timestamp', 'Binary', 'MinKey', 'MaxKey'];
+
+// Cursor values end up as equality values in the keyset filter, so a client-made cursor mustn't carry operators:
+// only scalars, dates and plain BSON values, and arrays or objects of those without "$" keys
+const isCursorValue = (value) => {
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value) || value instanceof Date ||
+        CURSOR_BSON_TYPES.includes(value?._bsontype)) {
+        return true;
+    }
+    if (Array.isArray(value)) {
+        return value.every(isCursorValue);
+    }
+    if (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.entries(value).every(([key, nested]) => !key.startsWith('$') && isCursorValue(nested));
+    }
+    return false;
+};
+
+// Decode a cursor token and make sure it was issued for the same sort order
+const decodeCursor = (token, sortKeys) => {
+    let payload;
+
+    try {
+        payload = EJSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    } catch (e) {
+        throw new Error('Invalid pagination cursor.');
+    }
+
+    if (!payload || !Array.isArray(payload.k) || !Array.isArray(payload.v) || payload.k.length !== payload.v.length ||
+        !payload.v.every(isCursorValue)) {
+        throw new Error('Invalid pagination cursor.');
+    }
+
+    const sameSort = payload.k.length === sortKeys.length &&
+        payload.k.every(([field, direction], i) => field === sortKeys[i][0] && direction === sortKeys[i][1]);
+
+    if (!sameSort) {
+        throw new Error('Pagination cursor does not match the current sort order.');
+    }
+
+    return payload.v;
+};
+
+// Comparison that means "comes after `value`" for a key sorted in `direction`.
+// MongoDB sorts null/missing values before everything else, so they need special handling:
+// everything non-null comes after null ascending, and nothing comes after null descending.
+const afterCondition = (value, direction) => {
+    if (value === null) {
+        return direction === 1 ? { $ne: null } : null;
+    }
+
+    return direction === 1 ? { $gt: value } : { $lt: value };
+};
+
+// Build the keyset filter that selects documents strictly after (or before) the cursor position:
+// (k1 > v1) OR (k1 == v1 AND k2 > v2) OR ... with comparisons flipped for descending keys.
+const buildCursorFilter = (values, sortKeys, before = false) => {
+    const branches = [];
+
+    sortKeys.forEach(([field, direction], i) => {
+        const condition = afterCondition(values[i], before ? -direction : direction);
+        if (!condition) {
+            return;
+        }
+
+        const branch = {};
+        for (let j = 0; j < i; j++) {
+            branch[sortKeys[j][0]] = values[j];
+        }
+
+        branch[field] = condition;
+        branches.push(branch);
+    });
+
+    // No branch means the cursor is already at the end of the result set
+    return branches.length ? { $or: branches } : { _id: { $exists: false } };
+};
+
+// Turn normalized sort keys back into a $sort stage, optionally reversed (used for "endBefore" pages)
+const toSortStage = (sortKeys, reverse = false) => Object.fromEntries(
+    sortKeys.map(([field, direction]) => [field, reverse ? -direction : direction])
+);
+
+module.exports = {
+    normalizeSort,
+    encodeCursor,
+    decodeCursor,
+    buildCursorFilter,
+    toSortStage,
+};
@@ -0,0 +1,217 @@
+// Delete rules of relations (the "onDelete" of a relation, see lib/relations.js).
+//
+// When a document is deleted, the documents that reference it through a relation with a delete rule are:
+//   cascade   deleted as well, following their own delete rules in turn
+//   set-null  kept, with the reference set to null (or pulled from the array of a many-to-many relation)
+//   restrict  left alone, and the delete is refused while any of them exist
+// Deletes follow each collection's own behaviour: soft delete collections move documents to the trash.
+// Restoring a document from the trash doesn't undo what its delete rules did.
+//
+// Documents changed by cascade and set-null rules must be ones the caller may change: in their ownership scope
+// (lib/ownership.js) and allowed by the security rules of their collection. Otherwise the whole delete is refused.
+//
+// Everything runs in one transaction when MongoDB supports them, and step by step otherwise.
+
+const { getDynamicModel } = require('./getDynamicModel');
+const { getDeleteRules } = require('./relations');
+const { isSoftDeleteCollection, excludeDeleted, trashUpdate } = require('./softDelete');
+const { runInTransaction, isTransactionUnsupportedError } = require('./transactions');
+const { afterWrite } = require('./writeHooks');
+const { ownsDocument } = require('./ownership');
+const { PermissionDeniedError, authFromUser, authorize, previewUpdate } = require('./securityRules');
+
+// How many blocking document ids are listed per relation
+const MAX_LISTED_REFERENCES = 20;
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const hasDeleteRules = async (collectionName) => (await getDeleteRules(collectionName)).length > 0;
+
+// A delete refused because a rule would change a document the caller isn't allowed to change.
+// It is a PermissionDeniedError, so the routes answer 403 as for the caller's own documents.
+class DeleteRuleDeniedError extends PermissionDeniedError {
+    constructor(rule, operation) {
+        super(rule.referencingCollection, operation);
+        this.message = `Permission denied: the delete rule of the relation '${rule.relation}' would ${operation} documents of '${rule.referencingCollection}' you aren't allowed to ${operation}.`;
+    }
+}
+
+// Check that `user` may apply `operation` ('delete' or 'update') to every document a rule reaches
+const checkRuleWrites = async (rule, user, documents, operation, update) => {
+    const auth = authFromUser(user);
+    for (const doc of documents) {
+        if (!ownsDocument(rule.referencingCollection, user, 'write', doc)) {
+            throw new DeleteRuleDeniedError(rule, operation);
+        }
+        try {
+            const data = operation === 'update' ? previewUpdate(doc, update) : undefined;
+            await authorize(rule.referencingCollection, operation, { auth, resource: doc, data });
+        } catch (err) {
+            throw err.name === 'PermissionDeniedError' ? new DeleteRuleDeniedError(rule, operation) : err;
+        }
+    }
+};
+
+const clearUpdate = (rule, values) => (rule.many ?
+    { $pull: { [rule.referencingField]: { $in: values } } } :
+    { $set: { [rule.referencingField]: null } });
+
+// Work out everything deleting `documents` leads to: the documents deleted per collection (cascades included),
+// the references to clear, and the references that block the delete.
+// Throws a PermissionDeniedError when a cascade or a cleared reference reaches a document `user` may not change.
+const planDeletion = async (collectionName, documents, user, session) => {
+    const deletions = new Map();
+    const queue = [[collectionName, documents]];
+    const referenceRules = [];
+
+    while (queue.length) {
+        const [name, docs] = queue.shift();
+        if (!deletions.has(name)) {
+            deletions.set(name, new Map());
+        }
+        const deleting = deletions.get(name);
+
+        // A document reached twice (e.g. through a cycle of cascades) is only handled once
+        const newDocuments = docs.filter(doc => !deleting.has(String(doc._id)));
+        newDocuments.forEach(doc => deleting.set(String(doc._id), doc));
+        if (newDocuments.length === 0) {
+            continue;
+        }
+
+        for (const rule of await getDeleteRules(name)) {
+            const values = [...new Set(newDocuments.flatMap(doc => [].concat(getPath(doc, rule.referencedField) ?? [])))];
+            if (values.length === 0) {
+                continue;
+            }
+
+            if (rule.onDelete === 'cascade') {
+                const filter = excludeDeleted(rule.referencingCollection, { [rule.referencingField]: { $in: values } });
+                const cascaded = await getDynamicModel(rule.referencingCollection).find(filter).session(session).lean();
+                await checkRuleWrites(rule, user, cascaded, 'delete');
+                queue.push([rule.referencingCollection, cascaded]);
+            } else {
+                referenceRules.push({ rule, values });
+            }
+        }
+    }
+
+    // References from documents that are deleted anyway don't count
+    const blocking = [];
+    const clears = [];
+    for (const { rule, values } of referenceRules) {
+        const filter = excludeDeleted(rule.referencingCollection, { [rule.referencingField]: { $in: values } });
+        const deleting = deletions.get(rule.referencingCollection);
+        const referencing = (await getDynamicModel(rule.referencingCollection).find(filter).session(session).lean())
+            .filter(doc => !deleting?.has(String(doc._id)));
+
+        if (referencing.length === 0) {
+            continue;
+        }
+        if (rule.onDelete === 'restrict') {
+            blocking.push({
+                relation: rule.relation,
+                collectionName: rule.referencingCollection,
+                field: rule.referencingField,
+                count: referencing.length,
+                ids: referencing.slice(0, MAX_LISTED_REFERENCES).map(doc => doc.id),
+            });
+        } else {
+            await checkRuleWrites(rule, user, referencing, 'update', clearUpdate(rule, values));
+            clears.push({ rule, values, ids: referencing.map(doc => doc._id) });
+        }
+    }
+
+    return { deletions, clears, blocking };
+};
+
+// Apply a plan. Returns the changes for the write hooks: { deleted: [[collectionName, documents]], updated: [...] }
+const executeDeletion = async ({ deletions, clears }, userId, session) => {
+    const deleted = [];
+    const updated = [];
+
+    for (const [name, documents] of deletions) {
+        const Model = getDynamicModel(name);
+        const ids = [...documents.values()].map(doc => doc._id);
+
+        if (isSoftDeleteCollection(name)) {
+            await Model.updateMany({ _id: { $in: ids } }, trashUpdate(userId), { session });
+            deleted.push([name, await Model.find({ _id: { $in: ids } }).session(session).lean()]);
+        } else {
+            await Model.deleteMany({ _id: { $in: ids } }, { session });
+            deleted.push([name, [...documents.values()]]);
+        }
+    }
+
+    for (const { rule, values, ids } of clears) {
+        const Model = getDynamicModel(rule.referencingCollection);
+        await Model.updateMany({ _id: { $in: ids } }, clearUpdate(rule, values), { session });
+        updated.push([rule.referencingCollection, await Model.find({ _id: { $in: ids } }).session(session).lean()]);
+    }
+
+    return { deleted, updated };
+};
+
+// Delete the documents of a collection matching `filter` within `session`, applying the delete rules of its relations.
+// Resolves to { blocking } when restrict rules refuse the delete (nothing is deleted then), otherwise to
+// { documents, changes }: the deleted documents of the collection itself, in their final state, and every change
+// for the write hooks, which the caller runs once the session's transaction is committed (see announceDeletion).
+const deleteInSession = async (collectionName, filter, user, session) => {
+    const documents = await getDynamicModel(collectionName).find(filter).session(session).lean();
+    if (documents.length === 0) {
+        return { documents: [], changes: { deleted: [], updated: [] } };
+    }
+
+    const plan = await planDeletion(collectionName, documents, user, session);
+    if (plan.blocking.length) {
+        return { blocking: plan.blocking };
+    }
+
+    const changes = await executeDeletion(plan, user?.uid, session);
+    const ownIds = new Set(documents.map(doc => String(doc._id)));
+    return {
+        documents: changes.deleted.filter(([name]) => name === collectionName).flatMap(([, docs]) => docs).filter(doc => ownIds.has(String(doc._id))),
+        changes,
+    };
+};
+
+// Run the write hooks for the changes of a delete
+const announceDeletion = async (changes, userId, details) => {
+    for (const [name, documents] of changes.deleted) {
+        await afterWrite(name, documents, 'delete', userId, details);
+    }
+    for (const [name, documents] of changes.updated) {
+        await afterWrite(name, documents, 'update', userId, details);
+    }
+};
+
+// Delete the documents of a collection matching `filter`, applying the delete rules of its relations,
+// in a transaction of its own. Resolves as deleteInSession, without the changes.
+const deleteWithRules = async (collectionName, filter, user) => {
+    const work = (session) => deleteInSession(collectionName, filter, user, session);
+
+    let result;
+    try {
+        result = await runInTransaction(work);
+    } catch (err) {
+        if (!isTransactionUnsupportedError(err)) {
+            throw err;
+        }
+        result = await work(null);
+    }
+
+    if (result.blocking) {
+        return result;
+    }
+
+    // The write hooks run once the transaction is committed
+    await announceDeletion(result.changes, user?.uid);
+
+    return { documents: result.documents };
+};
+
+module.exports = {
+    hasDeleteRules,
+    deleteInSession,
+    announceDeletion,
+    deleteWithRules,
+};
@@ -0,0 +1,97 @@
+// Distinct values and faceted counts, used by GET /api/:collectionName/distinct/:field and /facets.
+//
+// A facet is a field name or an object:
+//   { "field": "category", "limit": 10, "orderBy": "count" | "value", "direction": "asc" | "desc", "includeNull": false }
+// Array fields are unwound, so every element counts as a value. Results come back as [{ value, count }].
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 1000;
+
+const parseLimit = (limit) => {
+    if (limit === undefined || limit === null) {
+        return DEFAULT_LIMIT;
+    }
+    const parsed = parseInt(limit);
+    if (isNaN(parsed) || parsed < 1) {
+        throw new Error('Facet limit must be a positive number.');
+    }
+    return Math.min(parsed, MAX_LIMIT);
+};
+
+// Normalize a facet spec, falling back to `defaults` for anything it doesn't set
+const parseFacet = (spec, defaults = {}) => {
+    const facet = typeof spec === 'string' ? { field: spec } : { ...spec };
+    const { field } = facet;
+
+    if (typeof field !== 'string' || !field || field.startsWith('$') || field.split('.').some(part => !part)) {
+        throw new Error(`Invalid facet field: "${field}".`);
+    }
+
+    const orderBy = facet.orderBy ?? defaults.orderBy ?? 'count';
+    if (orderBy !== 'count' && orderBy !== 'value') {
+        throw new Error(`Invalid facet orderBy "${orderBy}". Use "count" or "value".`);
+    }
+
+    // Counts read best largest first, values alphabetically
+    const direction = facet.direction ?? defaults.direction ?? (orderBy === 'count' ? 'desc' : 'asc');
+    if (direction !== 'asc' && direction !== 'desc') {
+        throw new Error(`Invalid facet direction "${direction}". Use "asc" or "desc".`);
+    }
+
+    const includeNull = facet.includeNull ?? defaults.includeNull ?? false;
+
+    return {
+        field,
+        limit: parseLimit(facet.limit ?? defaults.limit),
+        orderBy,
+        direction,
+        includeNull: includeNull === true || includeNull === 'true',
+    };
+};
+
+// Stages that turn the matching documents into [{ value, count }] for one facet.
+// One more value than the limit is fetched so callers can tell whether the list was cut off.
+const buildFacetStages = ({ field, limit, orderBy, direction, includeNull }) => {
+    const sortDirection = direction === 'asc' ? 1 : -1;
+    const stages = [
+        { $unwind: { path: `$${field}`, preserveNullAndEmptyArrays: includeNull } },
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    ];
+
+    if (!includeNull) {
+        stages.push({ $match: { _id: { $ne: null } } });
+    }
+
+    // The secondary key keeps the order stable between values with the same count
+    stages.push(
+        { $sort: orderBy === 'count' ? { count: sortDirection, _id: 1 } : { _id: sortDirection } },
+        { $limit: limit + 1 },
+        { $project: { _id: 0, value: '$_id', count: 1 } }
+    );
+
+    return stages;
+};
+
+// Trim the extra value fetched by buildFacetStages and report whether there were more
+const formatFacetValues = (values, { limit }) => ({
+    values: values.slice(0, limit),
+    hasMore: values.length > limit,
+});
+
+// A single $facet stage computing several facets over the same set of documents.
+// $facet output names can't contain dots, so facets are keyed by position and renamed afterwards.
+const buildFacetsStage = (facets) => ({
+    $facet: Object.fromEntries(facets.map((facet, i) => [`f${i}`, buildFacetStages(facet)])),
+});
+
+const formatFacetsResult = (result, facets) => Object.fromEntries(
+    facets.map((facet, i) => [facet.field, formatFacetValues(result?.[`f${i}`] || [], facet)])
+);
+
+module.exports = {
+    parseFacet,
+    buildFacetStages,
+    formatFacetValues,
+    buildFacetsStage,
+    formatFacetsResult,
+};
@@ -0,0 +1,174 @@
+// Geospatial operators for the structured query language.
+// Locations are GeoJSON points ({ type: 'Point', coordinates: [lng, lat] }) or legacy [lng, lat] pairs,
+// and distances are in meters.
+//
+//   { "field": "location", "operator": "near", "value": { "point": [31.2, 30.0], "maxDistance": 5000, "minDistance": 0 } }
+//   { "field": "location", "operator": "within-box", "value": [[31.0, 29.9], [31.5, 30.2]] }  // [southWest, northEast]
+//   { "field": "location", "operator": "within-polygon", "value": [[31.0, 29.9], [31.5, 29.9], [31.2, 30.3]] }
+//   { "field": "location", "operator": "within-radius", "value": { "center": [31.2, 30.0], "radius": 2000 } }
+//
+// "near" becomes a $geoNear stage (results ordered by distance, with the distance in `_distance`),
+// the "within-*" operators become $geoWithin filters.
+
+const EARTH_RADIUS_METERS = 6378100;
+const DISTANCE_FIELD = '_distance';
+
+const GEO_OPERATORS = ['near', 'within-box', 'within-polygon', 'within-radius'];
+
+// Accept [lng, lat], { lng, lat } or a GeoJSON Point and return [lng, lat]
+const toCoordinates = (point, label = 'point') => {
+    let coordinates = point;
+
+    if (point && point.type === 'Point') {
+        coordinates = point.coordinates;
+    } else if (point && !Array.isArray(point) && typeof point === 'object') {
+        coordinates = [point.lng ?? point.longitude, point.lat ?? point.latitude];
+    }
+
+    if (!Array.isArray(coordinates) || coordinates.length !== 2) {
+        throw new Error(`Invalid ${label}: expected [longitude, latitude].`);
+    }
+
+    const [lng, lat] = coordinates.map(Number);
+    if (!Number.isFinite(lng) || !Number.isFinite(lat) || lng < -180 || lng > 180 || lat < -90 || lat > 90) {
+        throw new Error(`Invalid ${label}: longitude must be within [-180, 180] and latitude within [-90, 90].`);
+    }
+
+    return [lng, lat];
+};
+
+const toDistance = (value, label) => {
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+
+    const distance = Number(value);
+    if (!Number.isFinite(distance) || distance < 0) {
+        throw new Error(`Invalid ${label}: expected a non-negative distance in meters.`);
+    }
+    return distance;
+};
+
+// Close the ring if needed; GeoJSON polygons must start and end with the same point
+const closeRing = (ring) => {
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+};
+
+const compileNear = (field, value) => {
+    if (!value || typeof value !== 'object') {
+        throw new Error('The "near" operator requires a value like { "point": [lng, lat], "maxDistance": 1000 }.');
+    }
+
+    const geometry = { type: 'Point', coordinates: toCoordinates(value.point ?? value.center, 'near point') };
+    const near = { $geometry: geometry };
+
+    const maxDistance = toDistance(value.maxDistance, 'maxDistance');
+    const minDistance = toDistance(value.minDistance, 'minDistance');
+    if (maxDistance !== undefined) {
+        near.$maxDistance = maxDistance;
+    }
+    if (minDistance !== undefined) {
+        near.$minDistance = minDistance;
+    }
+
+    return { [field]: { $nearSphere: near } };
+};
+
+const compileWithinBox = (field, value) => {
+    if (!Array.isArray(value) || value.length !== 2) {
+        throw new Error('The "within-box" operator requires [[swLng, swLat], [neLng, neLat]].');
+    }
+
+    const [west, south] = toCoordinates(value[0], 'south-west corner');
+    const [east, north] = toCoordinates(value[1], 'north-east corner');
+    const ring = [[west, south], [east, south], [east, north], [west, north], [west, south]];
+
+    return { [field]: { $geoWithin: { $geometry: { type: 'Polygon', coordinates: [ring] } } } };
+};
+
+const compileWithinPolygon = (field, value) => {
+    const points = value && value.type === 'Polygon' ? value.coordinates?.[0] : value;
+
+    if (!Array.isArray(points) || points.length < 3) {
+        throw new Error('The "within-polygon" operator requires at least three [lng, lat] points.');
+    }
+
+    const ring = closeRing(points.map((point, i) => toCoordinates(point, `polygon point ${i}`)));
+    return { [field]: { $geoWithin: { $geometry: { type: 'Polygon', coordinates: [ring] } } } };
+};
+
+const compileWithinRadius = (field, value) => {
+    if (!value || typeof value !== 'object') {
+        throw new Error('The "within-radius" operator requires a value like { "center": [lng, lat], "radius": 1000 }.');
+    }
+
+    const center = toCoordinates(value.center ?? value.point, 'radius center');
+    const radius = toDistance(value.radius, 'radius');
+    if (radius === undefined) {
+        throw new Error('The "within-radius" operator requires a radius in meters.');
+    }
+
+    // $centerSphere takes the radius in radians
+    return { [field]: { $geoWithin: { $centerSphere: [center, radius / EARTH_RADIUS_METERS] } } };
+};
+
+// Compile a geo condition into a filter clause
+const compileGeoCondition = (field, operator, value) => {
+    switch (operator) {
+        case 'near':
+            return compileNear(field, value);
+        case 'within-box':
+            return compileWithinBox(field, value);
+        case 'within-polygon':
+            return compileWithinPolygon(field, value);
+        case 'within-radius':
+            return compileWithinRadius(field, value);
+        default:
+            throw new Error(`Unknown geo operator: "${operator}".`);
+    }
+};
+
+// Pull a top-level "near" clause out of a compiled filter and turn it into $geoNear stage options.
+// Returns { filter, geoNear } where geoNear is null when the query has no "near" condition.
+const extractGeoNear = (filter) => {
+    const nearFields = Object.keys(filter).filter(key => filter[key] && filter[key].$nearSphere);
+    const nearInAnd = (filter.$and || []).some(clause => Object.values(clause).some(expr => expr && expr.$nearSphere));
+
+    if (nearFields.length === 0 && !nearInAnd) {
+        return { filter, geoNear: null };
+    }
+    if (nearFields.length !== 1 || nearInAnd) {
+        throw new Error('Only one "near" condition is allowed per query.');
+    }
+
+    const [key] = nearFields;
+    const { [key]: expression, ...rest } = filter;
+    const { $nearSphere: near, ...otherOperators } = expression;
+
+    // Keep any other operators on the same field (e.g. "exists") as a regular filter
+    const query = Object.keys(otherOperators).length ? { ...rest, [key]: otherOperators } : rest;
+
+    const geoNear = {
+        near: near.$geometry,
+        key,
+        distanceField: DISTANCE_FIELD,
+        spherical: true,
+        query,
+    };
+    if (near.$maxDistance !== undefined) {
+        geoNear.maxDistance = near.$maxDistance;
+    }
+    if (near.$minDistance !== undefined) {
+        geoNear.minDistance = near.$minDistance;
+    }
+
+    return { filter: query, geoNear };
+};
+
+module.exports = {
+    GEO_OPERATORS,
+    DISTANCE_FIELD,
+    compileGeoCondition,
+    extractGeoNear,
+};
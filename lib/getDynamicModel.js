@@ -1,12 +1,41 @@
 const mongoose = require('mongoose');
 const { ulid } = require('ulid');
+const { currentTenant } = require('./tenantContext');
 
-// Helper function to get or create a dynamic Mongoose model
-const getDynamicModel = (collectionName) => {
+// Bump the revision counter on every update (see lib/revisions.js).
+// A revision sent by the client is dropped so it can only ever be set here.
+function bumpRevision() {
+    const update = this.getUpdate();
+
+    // Aggregation pipeline updates are left alone
+    if (!update || Array.isArray(update)) {
+        return;
+    }
+
+    delete update._rev;
+    for (const [key, value] of Object.entries(update)) {
+        if (key.startsWith('$') && value && typeof value === 'object') {
+            delete value._rev;
+        }
+    }
+
+    update.$inc = { ...update.$inc, _rev: 1 };
+}
+
+// The connection the current tenant's collections live on: its own database, or the default one
+// (see lib/tenantContext.js). useDb shares the default connection's sockets, so a tenant costs no extra connections.
+const tenantConnection = () => {
+    const tenant = currentTenant();
+    return tenant ? mongoose.connection.useDb(tenant.database, { useCache: true }) : mongoose.connection;
+};
+
+// Helper function to get or create a dynamic Mongoose model, on the current tenant's database unless
+// a connection is given
+const getDynamicModel = (collectionName, connection = tenantConnection()) => {
     const modelName = collectionName.charAt(0).toUpperCase() + collectionName.slice(1);
 
-    if (mongoose.models[modelName]) {
-        return mongoose.models[modelName];
+    if (connection.models[modelName]) {
+        return connection.models[modelName];
     }
 
     // Define a schemaless schema
@@ -16,9 +45,30 @@ const getDynamicModel = (collectionName) => {
             unique: true,
             default: () => ulid()
         },
+        // Revision counter for optimistic concurrency (ETag / If-Match)
+        _rev: {
+            type: Number,
+            default: 1
+        },
     }, { strict: false, timestamps: true });
 
-    return mongoose.model(modelName, dynamicSchema);
+    dynamicSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], bumpRevision);
+
+    // New documents always start at revision 1, whatever the client sent.
+    // Validation runs for both save() and insertMany(), so this covers single and batch inserts.
+    dynamicSchema.pre('validate', function () {
+        if (this.isNew) {
+            this._rev = 1;
+        }
+    });
+
+    dynamicSchema.pre('save', function () {
+        if (!this.isNew) {
+            this._rev = (this._rev || 0) + 1;
+        }
+    });
+
+    return connection.model(modelName, dynamicSchema);
 };
 
-module.exports = { getDynamicModel };
\ No newline at end of file
+module.exports = { getDynamicModel };
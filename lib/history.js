@@ -0,0 +1,115 @@
+// Document revision history.
+// Every create, update and delete made through routes/crud.js stores a snapshot of the document in the
+// `document_history` collection, along with the action, the revision (`_rev`) of the snapshot and the acting user.
+// Updates and creates store the document as it is after the change; deletes store its last state.
+// Snapshots are what GET /:collectionName/:id/history returns and what the revert endpoint restores.
+
+const { getDynamicModel } = require('./getDynamicModel');
+const { REVISION_FIELD } = require('./revisions');
+const { tenantKey } = require('./tenantContext');
+const { lockCollection } = require('./securityRules');
+
+const HISTORY_COLLECTION = 'document_history';
+
+// History is read through GET /:collectionName/:id/history only, never through the CRUD routes
+lockCollection(HISTORY_COLLECTION);
+
+// Databases (one per tenant) whose history index has been created
+const historyIndexEnsured = new Set();
+
+const getHistoryModel = async () => {
+    const HistoryModel = getDynamicModel(HISTORY_COLLECTION);
+
+    const indexKey = tenantKey(HISTORY_COLLECTION);
+    if (!historyIndexEnsured.has(indexKey)) {
+        await HistoryModel.collection.createIndex({ collectionName: 1, documentId: 1, revision: -1, createdAt: -1 });
+        historyIndexEnsured.add(indexKey);
+    }
+
+    return HistoryModel;
+};
+
+// Plain copy of a document as stored, whether it comes from a query, .lean() or an aggregation
+const toSnapshot = (doc) => (typeof doc?.toObject === 'function' ? doc.toObject({ depopulate: true, virtuals: false }) : doc);
+
+// Record one history entry per document for `action` ("create", "update", "delete", "restore" or "revert").
+// History is kept on a best-effort basis: the write it describes has already happened, so a failure here
+// is logged rather than failing the request.
+const recordHistory = async (collectionName, documents, action, userId, details = {}) => {
+    if (collectionName === HISTORY_COLLECTION) {
+        return;
+    }
+
+    const entries = [].concat(documents || [])
+        .map(toSnapshot)
+        .filter(snapshot => snapshot && snapshot.id !== undefined)
+        .map(snapshot => ({
+            collectionName,
+            documentId: snapshot.id,
+            revision: snapshot[REVISION_FIELD] ?? 0,
+            action,
+            userId: userId ?? null,
+            snapshot,
+            ...details,
+        }));
+
+    if (entries.length === 0) {
+        return;
+    }
+
+    try {
+        const HistoryModel = await getHistoryModel();
+        await HistoryModel.insertMany(entries, { ordered: false });
+    } catch (err) {
+        console.error(`Failed to record ${action} history for '${collectionName}':`, err.message);
+    }
+};
+
+// History of a document, newest first
+const getHistory = async (collectionName, documentId, { limit, skip } = {}) => {
+    const HistoryModel = await getHistoryModel();
+    const filter = { collectionName, documentId };
+
+    const query = HistoryModel.find(filter)
+        .select({ _id: 0, collectionName: 0, documentId: 0, [REVISION_FIELD]: 0 })
+        .sort({ createdAt: -1, _id: -1 })
+        .lean();
+    if (skip) {
+        query.skip(skip);
+    }
+    if (limit) {
+        query.limit(limit);
+    }
+
+    const [entries, total] = await Promise.all([query.exec(), HistoryModel.countDocuments(filter)]);
+    return { entries, total };
+};
+
+// The most recent snapshot recorded at a revision, or null
+const findRevision = async (collectionName, documentId, revision) => {
+    const HistoryModel = await getHistoryModel();
+    const entry = await HistoryModel.findOne({ collectionName, documentId, revision })
+        .sort({ createdAt: -1, _id: -1 })
+        .lean();
+
+    return entry?.snapshot ?? null;
+};
+
+// The highest revision recorded for a document, or 0 when it has no history
+const latestRecordedRevision = async (collectionName, documentId) => {
+    const HistoryModel = await getHistoryModel();
+    const entry = await HistoryModel.findOne({ collectionName, documentId })
+        .sort({ revision: -1 })
+        .select({ revision: 1 })
+        .lean();
+
+    return entry?.revision ?? 0;
+};
+
+module.exports = {
+    HISTORY_COLLECTION,
+    recordHistory,
+    getHistory,
+    findRevision,
+    latestRecordedRevision,
+};
@@ -0,0 +1,161 @@
+// Index helpers for dynamic collections.
+// Schemaless models don't declare their indexes, so features that need one (text search, geo queries)
+// rely on indexes administrators create through the index routes. Queries never create them.
+
+const { tenantKey } = require('./tenantContext');
+
+const TEXT_INDEX_NAME = 'text_search';
+
+// Geo indexes known to exist, as "tenant:collection:field" (every tenant database has its own indexes)
+const knownGeoIndexes = new Set();
+
+const geoIndexKey = (Model, field) => tenantKey(`${Model.collection.collectionName}:${field}`);
+
+// A query needs an index the collection doesn't have
+class MissingIndexError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MissingIndexError';
+    }
+}
+
+// List a collection's indexes, treating a collection that doesn't exist yet as having none
+const listIndexes = async (Model) => {
+    try {
+        return await Model.collection.indexes();
+    } catch (err) {
+        if (err.codeName === 'NamespaceNotFound' || err.code === 26) {
+            return [];
+        }
+        throw err;
+    }
+};
+
+// Describe the text index of a collection as { name, fields, weights, defaultLanguage }, or null
+const getTextIndex = async (Model) => {
+    const indexes = await listIndexes(Model);
+    const index = indexes.find(idx => idx.key && idx.key._fts === 'text');
+
+    if (!index) {
+        return null;
+    }
+
+    return {
+        name: index.name,
+        fields: Object.keys(index.weights || {}),
+        weights: index.weights || {},
+        defaultLanguage: index.default_language || 'english',
+    };
+};
+
+const validateFieldNames = (fields) => {
+    if (!Array.isArray(fields) || fields.length === 0) {
+        throw new Error('"fields" must be a non-empty array of field names.');
+    }
+
+    for (const field of fields) {
+        if (typeof field !== 'string' || !field || (field.startsWith('$') && field !== '$**')) {
+            throw new Error(`Invalid field name: "${field}".`);
+        }
+    }
+};
+
+// Declare which fields of a collection are text-indexed.
+// MongoDB allows a single text index per collection, so a different declaration replaces the existing one.
+const ensureTextIndex = async (Model, fields, { weights = {}, defaultLanguage = 'english' } = {}) => {
+    validateFieldNames(fields);
+
+    const desiredWeights = Object.fromEntries(fields.map(field => [field, Number(weights[field]) || 1]));
+    const existing = await getTextIndex(Model);
+
+    if (existing) {
+        const sameFields = existing.fields.length === fields.length &&
+            fields.every(field => existing.weights[field] === desiredWeights[field]);
+
+        if (sameFields && existing.defaultLanguage === defaultLanguage) {
+            return existing;
+        }
+
+        await Model.collection.dropIndex(existing.name);
+    }
+
+    await Model.collection.createIndex(
+        Object.fromEntries(fields.map(field => [field, 'text'])),
+        { name: TEXT_INDEX_NAME, weights: desiredWeights, default_language: defaultLanguage }
+    );
+
+    return getTextIndex(Model);
+};
+
+// Remove the text index of a collection. Returns false if there was none.
+const dropTextIndex = async (Model) => {
+    const existing = await getTextIndex(Model);
+
+    if (!existing) {
+        return false;
+    }
+
+    await Model.collection.dropIndex(existing.name);
+    return true;
+};
+
+// List the fields of a collection that have a 2dsphere index
+const getGeoIndexes = async (Model) => {
+    const indexes = await listIndexes(Model);
+
+    return indexes
+        .filter(idx => idx.key && Object.values(idx.key).includes('2dsphere'))
+        .map(idx => ({
+            name: idx.name,
+            fields: Object.keys(idx.key).filter(field => idx.key[field] === '2dsphere'),
+        }));
+};
+
+// Make sure a 2dsphere index exists on `field`. createIndex is a no-op when the index already exists.
+const ensureGeoIndex = async (Model, field) => {
+    validateFieldNames([field]);
+
+    await Model.collection.createIndex({ [field]: '2dsphere' });
+    knownGeoIndexes.add(geoIndexKey(Model, field));
+};
+
+// Check that `field` has a 2dsphere index before a "near" query uses it. Throws a MissingIndexError otherwise.
+// Found indexes are remembered so repeated "near" queries don't pay for the round trip.
+const requireGeoIndex = async (Model, field) => {
+    const cacheKey = geoIndexKey(Model, field);
+    if (knownGeoIndexes.has(cacheKey)) {
+        return;
+    }
+
+    const indexes = await getGeoIndexes(Model);
+    if (!indexes.some(index => index.fields.includes(field))) {
+        throw new MissingIndexError(`There is no 2dsphere index on the field "${field}". An administrator can create one with PUT /api/:collectionName/indexes/geo.`);
+    }
+    knownGeoIndexes.add(cacheKey);
+};
+
+// Whether a filter runs a $text search; ownership and trash conditions can wrap it in an $and
+const hasTextSearch = (filter) => Boolean(filter?.$text) || (Array.isArray(filter?.$and) && filter.$and.some(hasTextSearch));
+
+// Check that the indexes a parsed structured query needs exist: the text index for "search", and a 2dsphere
+// index for "near". Throws a MissingIndexError otherwise.
+const requireQueryIndexes = async (Model, filter, options = {}) => {
+    if (hasTextSearch(filter) && !(await getTextIndex(Model))) {
+        throw new MissingIndexError('This collection has no text index, which the "search" operator needs. An administrator can create one with PUT /api/:collectionName/indexes/text.');
+    }
+    if (options.geoNear) {
+        await requireGeoIndex(Model, options.geoNear.key);
+    }
+};
+
+module.exports = {
+    listIndexes,
+    getTextIndex,
+    ensureTextIndex,
+    dropTextIndex,
+    getGeoIndexes,
+    ensureGeoIndex,
+    MissingIndexError,
+    requireGeoIndex,
+    requireQueryIndexes,
+};
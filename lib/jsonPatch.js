@@ -0,0 +1,254 @@
+// JSON Patch (RFC 6902) and JSON Merge Patch (RFC 7396) for PATCH /api/:collectionName/:id.
+//
+// Patches are applied to a copy of the stored document, so a patch either applies completely or not at all.
+// Values from the database that aren't plain JSON (dates, ObjectIds) are kept as they are, and compare
+// by their JSON form in "test" operations.
+//
+// Errors thrown here are meant for the client: a PatchTestFailedError when a "test" operation fails
+// (409 Conflict), and a plain Error for anything malformed or not applicable (400 Bad Request).
+
+const { TRASH_FIELDS } = require('./softDelete');
+
+const JSON_PATCH_TYPE = 'application/json-patch+json';
+const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+
+// Fields that identify a document or are maintained by the server
+const PROTECTED_FIELDS = ['_id', 'id', '_rev', ...TRASH_FIELDS];
+
+const OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+class PatchTestFailedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PatchTestFailedError';
+    }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// Copy plain objects and arrays; anything else (dates, ObjectIds) is kept by reference since patches replace it whole
+const clone = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+};
+
+// Compare by JSON form, ignoring key order, so a stored date equals its ISO string
+const toJSONValue = (value) => JSON.parse(JSON.stringify(value ?? null));
+const deepEqual = (a, b) => {
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+    }
+    if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => key in b && deepEqual(a[key], b[key]));
+    }
+    return a === b;
+};
+const jsonEqual = (a, b) => deepEqual(toJSONValue(a), toJSONValue(b));
+
+// "/a/b~1c/0" -> ["a", "b/c", "0"] (RFC 6901)
+const parsePointer = (pointer, label) => {
+    if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+        throw new Error(`Invalid JSON pointer in "${label}": "${pointer}".`);
+    }
+    if (pointer === '') {
+        return [];
+    }
+    return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+const checkWritablePath = (tokens, pointer) => {
+    if (tokens.length === 0) {
+        throw new Error('A patch operation cannot replace or remove the whole document.');
+    }
+    if (PROTECTED_FIELDS.includes(tokens[0])) {
+        throw new Error(`The "${tokens[0]}" field cannot be patched.`);
+    }
+    if (tokens.some(token => token.startsWith('$'))) {
+        throw new Error(`Field names cannot start with "$": "${pointer}".`);
+    }
+};
+
+const parseArrayIndex = (container, token, pointer, { allowEnd = false } = {}) => {
+    if (allowEnd && token === '-') {
+        return container.length;
+    }
+    if (!/^(0|[1-9]\d*)$/.test(token)) {
+        throw new Error(`Invalid array index "${token}" in "${pointer}".`);
+    }
+    const index = Number(token);
+    if (index > container.length || (!allowEnd && index === container.length)) {
+        throw new Error(`Array index ${index} is out of bounds in "${pointer}".`);
+    }
+    return index;
+};
+
+// Resolve every token but the last: returns the container the operation acts on
+const resolveParent = (doc, tokens, pointer) => {
+    let container = doc;
+    for (const token of tokens.slice(0, -1)) {
+        if (Array.isArray(container)) {
+            container = container[parseArrayIndex(container, token, pointer)];
+        } else if (container !== null && typeof container === 'object' && Object.prototype.hasOwnProperty.call(container, token)) {
+            container = container[token];
+        } else {
+            throw new Error(`Path "${pointer}" does not exist.`);
+        }
+    }
+    if (container === null || typeof container !== 'object') {
+        throw new Error(`Path "${pointer}" does not exist.`);
+    }
+    return container;
+};
+
+const getValue = (doc, tokens, pointer) => {
+    if (tokens.length === 0) {
+        return doc;
+    }
+    const parent = resolveParent(doc, tokens, pointer);
+    const key = tokens[tokens.length - 1];
+
+    if (Array.isArray(parent)) {
+        return parent[parseArrayIndex(parent, key, pointer)];
+    }
+    if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+        throw new Error(`Path "${pointer}" does not exist.`);
+    }
+    return parent[key];
+};
+
+const addValue = (doc, tokens, pointer, value) => {
+    const parent = resolveParent(doc, tokens, pointer);
+    const key = tokens[tokens.length - 1];
+
+    if (Array.isArray(parent)) {
+        parent.splice(parseArrayIndex(parent, key, pointer, { allowEnd: true }), 0, value);
+    } else {
+        parent[key] = value;
+    }
+};
+
+const removeValue = (doc, tokens, pointer) => {
+    const parent = resolveParent(doc, tokens, pointer);
+    const key = tokens[tokens.length - 1];
+
+    if (Array.isArray(parent)) {
+        return parent.splice(parseArrayIndex(parent, key, pointer), 1)[0];
+    }
+    if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+        throw new Error(`Path "${pointer}" does not exist.`);
+    }
+    const removed = parent[key];
+    delete parent[key];
+    return removed;
+};
+
+// Apply a JSON Patch document (an array of operations) and return the patched copy
+const applyJsonPatch = (doc, operations) => {
+    if (!Array.isArray(operations) || operations.length === 0) {
+        throw new Error('A JSON Patch must be a non-empty array of operations.');
+    }
+
+    const result = clone(doc);
+
+    operations.forEach((operation, i) => {
+        const { op, path, from } = operation || {};
+        const label = `operation ${i} (${op})`;
+
+        if (!OPERATIONS.includes(op)) {
+            throw new Error(`Unknown op "${op}" in operation ${i}. Use one of: ${OPERATIONS.join(', ')}.`);
+        }
+        if ((op === 'add' || op === 'replace' || op === 'test') && !('value' in operation)) {
+            throw new Error(`Missing "value" in ${label}.`);
+        }
+
+        const tokens = parsePointer(path, `path of ${label}`);
+
+        switch (op) {
+            case 'test':
+                if (!jsonEqual(getValue(result, tokens, path), operation.value)) {
+                    throw new PatchTestFailedError(`Test failed for "${path}" in operation ${i}.`);
+                }
+                break;
+            case 'add':
+                checkWritablePath(tokens, path);
+                addValue(result, tokens, path, clone(operation.value));
+                break;
+            case 'remove':
+                checkWritablePath(tokens, path);
+                removeValue(result, tokens, path);
+                break;
+            case 'replace':
+                checkWritablePath(tokens, path);
+                getValue(result, tokens, path); // The target must exist
+                removeValue(result, tokens, path);
+                addValue(result, tokens, path, clone(operation.value));
+                break;
+            case 'move':
+            case 'copy': {
+                const fromTokens = parsePointer(from, `from of ${label}`);
+                checkWritablePath(tokens, path);
+                if (op === 'move') {
+                    checkWritablePath(fromTokens, from);
+                    if (fromTokens.length < tokens.length && fromTokens.every((token, j) => token === tokens[j])) {
+                        throw new Error(`Cannot move "${from}" into one of its own children in ${label}.`);
+                    }
+                }
+                const value = op === 'move' ? removeValue(result, fromTokens, from) : clone(getValue(result, fromTokens, from));
+                addValue(result, tokens, path, value);
+                break;
+            }
+        }
+    });
+
+    return result;
+};
+
+// Apply a JSON Merge Patch and return the patched copy: null removes a field, objects merge, anything else replaces
+const applyMergePatch = (doc, patch) => {
+    if (!isPlainObject(patch)) {
+        throw new Error('A merge patch must be a JSON object.');
+    }
+
+    const merge = (target, changes) => {
+        const merged = isPlainObject(target) ? clone(target) : {};
+        for (const [key, value] of Object.entries(changes)) {
+            if (key.startsWith('$')) {
+                throw new Error(`Field names cannot start with "$": "${key}".`);
+            }
+            if (value === null) {
+                delete merged[key];
+            } else if (isPlainObject(value)) {
+                merged[key] = merge(merged[key], value);
+            } else {
+                merged[key] = clone(value);
+            }
+        }
+        return merged;
+    };
+
+    // The identity fields can be sent back unchanged (e.g. a whole document), but not changed;
+    // a "_rev" in the body is a precondition (see lib/revisions.js), not a change
+    const { _rev, ...changes } = patch;
+    for (const field of PROTECTED_FIELDS) {
+        if (field in changes && !jsonEqual(changes[field], doc[field])) {
+            throw new Error(`The "${field}" field cannot be patched.`);
+        }
+        delete changes[field];
+    }
+
+    return merge(doc, changes);
+};
+
+module.exports = {
+    JSON_PATCH_TYPE,
+    MERGE_PATCH_TYPE,
+    PatchTestFailedError,
+    applyJsonPatch,
+    applyMergePatch,
+};
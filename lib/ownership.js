@@ -0,0 +1,218 @@
+// Ownership scoping for the collections listed in OWNED_COLLECTIONS.
+// Documents of an owned collection belong to the user whose uid is in their owner field (`userId` by default).
+// Each collection turns on some of three scopes:
+//   stamp  creates get the caller's uid in the owner field, whatever the request sent
+//   read   reads only see the caller's own documents, through $lookup and friends too
+//   write  updates and deletes only reach the caller's own documents, and can't give them to another user
+// Other users' documents behave as if they didn't exist. With AUTH_TYPE=none there are no users, so nothing is scoped.
+
+const mongoose = require('mongoose');
+const config = require('../config');
+const { FIRST_STAGE_OPERATORS } = require('./softDelete');
+
+// Collections named in $lookup and friends are MongoDB collection names, which mongoose pluralizes
+const pluralize = mongoose.pluralize();
+
+// Settings per pluralized collection name, built from the config on first use
+let ownershipByCollection = null;
+
+// Ownership settings of a collection ({ field, stamp, read, write }), or null when it isn't owned
+const getOwnership = (collectionName) => {
+    if (config.authType === 'none') {
+        return null;
+    }
+    if (!ownershipByCollection) {
+        ownershipByCollection = new Map(Object.entries(config.ownership.collections).map(([name, { field, scopes }]) => [
+            name === '*' ? name : pluralize(name),
+            { field, stamp: scopes.includes('stamp'), read: scopes.includes('read'), write: scopes.includes('write') },
+        ]));
+    }
+    return ownershipByCollection.get(pluralize(collectionName)) ?? ownershipByCollection.get('*') ?? null;
+};
+
+// The uid documents are scoped to; anonymous callers own nothing
+const ownerId = (user) => (user?.uid && user.uid !== 'public-user' ? user.uid : null);
+
+// Condition matching the caller's documents when the collection scopes `access` ('read' or 'write'), or null
+const ownerCondition = (collectionName, user, access) => {
+    const ownership = getOwnership(collectionName);
+    if (!ownership?.[access]) {
+        return null;
+    }
+    return { [ownership.field]: ownerId(user) ?? { $in: [] } };
+};
+
+const addCondition = (filter, condition) => {
+    const [field] = Object.keys(condition);
+    return field in filter ? { $and: [filter, condition] } : { ...filter, ...condition };
+};
+
+// Restrict a filter to the caller's documents, without overwriting a condition the filter already has on the owner field
+const ownerFilter = (collectionName, user, access, filter = {}) => {
+    const condition = ownerCondition(collectionName, user, access);
+    return condition ? addCondition(filter, condition) : filter;
+};
+
+// Owner field update-many and batch deletes fall back to in collections without the write scope
+const BULK_OWNER_FIELD = 'userId';
+
+// Restrict the filter of a write to many documents (update-many, batch delete) to the caller's documents.
+// These always only reached the caller's own documents, so collections without the write scope keep being
+// scoped by `userId`.
+const bulkWriteFilter = (collectionName, user, filter = {}) => {
+    if (config.authType === 'none' || getOwnership(collectionName)?.write) {
+        return ownerFilter(collectionName, user, 'write', filter);
+    }
+    return addCondition(filter, { [BULK_OWNER_FIELD]: ownerId(user) ?? { $in: [] } });
+};
+
+// Whether a document is the caller's, or the collection doesn't scope `access` at all
+const ownsDocument = (collectionName, user, access, doc) => {
+    const ownership = getOwnership(collectionName);
+    const uid = ownerId(user);
+    return !ownership?.[access] || (Boolean(doc) && uid !== null && doc[ownership.field] === uid);
+};
+
+// A document about to be created, owned by the caller when the collection stamps owners
+const stampOwner = (collectionName, user, doc) => {
+    const ownership = getOwnership(collectionName);
+    const uid = ownerId(user);
+    return ownership?.stamp && uid ? { ...doc, [ownership.field]: uid } : doc;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isOwnerPath = (path, field) => path === field || path.startsWith(`${field}.`);
+
+// The paths an update (plain fields or operators) writes to
+const updatedPaths = (update) => Object.entries(update || {}).flatMap(([key, value]) => {
+    if (!key.startsWith('$')) {
+        return [key];
+    }
+    const entries = Object.entries(isPlainObject(value) ? value : {});
+    return key === '$rename' ? entries.flat().filter(path => typeof path === 'string') : entries.map(([path]) => path);
+});
+
+// An upsert that may create the document: a created document is owned by the caller when the collection stamps
+// owners, unless the update sets the owner field itself
+const stampOwnerOnInsert = (collectionName, user, update) => {
+    const ownership = getOwnership(collectionName);
+    const uid = ownerId(user);
+    if (!ownership?.stamp || !uid || updatedPaths(update).some(path => isOwnerPath(path, ownership.field))) {
+        return update;
+    }
+    return { ...update, $setOnInsert: { ...update.$setOnInsert, [ownership.field]: uid } };
+};
+
+// Check that a write in a write-scoped collection leaves the document with the caller:
+//   { document }     a document being created may only name the caller as its owner, or no one
+//   { replacement }  a whole new version of an owned document has to keep the caller as its owner
+//   { update }       an update (plain fields or operators) may only set the owner field to the caller
+// Returns the message to reject the write with (403), or null.
+const checkOwnerWrite = (collectionName, user, { document, replacement, update }) => {
+    const ownership = getOwnership(collectionName);
+    if (!ownership?.write) {
+        return null;
+    }
+    const { field } = ownership;
+    const uid = ownerId(user);
+    const message = `The '${field}' field holds the owner of the document and can only be set to your own user id.`;
+
+    if (document) {
+        return document[field] === undefined || document[field] === uid ? null : message;
+    }
+    if (replacement) {
+        return replacement[field] === uid ? null : message;
+    }
+    for (const [key, value] of Object.entries(update || {})) {
+        if (!key.startsWith('$')) {
+            if (isOwnerPath(key, field) && !(key === field && value === uid)) {
+                return message;
+            }
+            continue;
+        }
+        for (const [path, argument] of Object.entries(isPlainObject(value) ? value : {})) {
+            if (isOwnerPath(path, field) && !(key === '$set' && path === field && argument === uid)) {
+                return message;
+            }
+            if (key === '$rename' && typeof argument === 'string' && isOwnerPath(argument, field)) {
+                return message;
+            }
+        }
+    }
+    return null;
+};
+
+// Scope the collections a pipeline reads through $lookup, $graphLookup and $unionWith, in sub-pipelines and
+// $facet too. Lookups into read-scoped collections get a $match on the owner first, so they need MongoDB 5.0+
+// when they use localField/foreignField.
+const scopeLookups = (pipeline, user) => pipeline.map(stage => {
+    const [operator] = Object.keys(stage);
+    const body = stage[operator];
+
+    switch (operator) {
+        case '$lookup': {
+            const condition = ownerCondition(body.from, user, 'read');
+            const subPipeline = body.pipeline ? scopeLookups(body.pipeline, user) : [];
+            if (!condition && !body.pipeline) {
+                return stage;
+            }
+            return { $lookup: { ...body, pipeline: condition ? [{ $match: condition }, ...subPipeline] : subPipeline } };
+        }
+        case '$unionWith': {
+            const { coll, pipeline: subPipeline = [] } = typeof body === 'string' ? { coll: body } : body;
+            const condition = ownerCondition(coll, user, 'read');
+            const scoped = scopeLookups(subPipeline, user);
+            return { $unionWith: { ...(typeof body === 'string' ? {} : body), coll, pipeline: condition ? [{ $match: condition }, ...scoped] : scoped } };
+        }
+        case '$graphLookup': {
+            const condition = ownerCondition(body.from, user, 'read');
+            if (!condition) {
+                return stage;
+            }
+            const restriction = body.restrictSearchWithMatch;
+            return { $graphLookup: { ...body, restrictSearchWithMatch: restriction ? { $and: [restriction, condition] } : condition } };
+        }
+        case '$facet':
+            return { $facet: Object.fromEntries(Object.entries(body).map(([name, subPipeline]) => [name, scopeLookups(subPipeline, user)])) };
+        default:
+            return stage;
+    }
+});
+
+// Restrict a client-supplied aggregation pipeline to the caller's documents, in the collection itself and in the
+// owned collections it looks up. $geoNear has to stay first, so the condition goes into its query instead; after
+// other first-only stages it's a $match right behind them.
+const scopePipeline = (collectionName, user, pipeline) => {
+    const scoped = scopeLookups(pipeline, user);
+    const condition = ownerCondition(collectionName, user, 'read');
+    if (!condition) {
+        return scoped;
+    }
+
+    const [firstStage] = scoped;
+    const firstOperator = firstStage && Object.keys(firstStage)[0];
+
+    if (firstOperator === '$geoNear') {
+        return [
+            { $geoNear: { ...firstStage.$geoNear, query: ownerFilter(collectionName, user, 'read', firstStage.$geoNear.query || {}) } },
+            ...scoped.slice(1),
+        ];
+    }
+    if (FIRST_STAGE_OPERATORS.includes(firstOperator)) {
+        return [firstStage, { $match: condition }, ...scoped.slice(1)];
+    }
+
+    return [{ $match: condition }, ...scoped];
+};
+
+module.exports = {
+    getOwnership,
+    ownerFilter,
+    bulkWriteFilter,
+    ownsDocument,
+    stampOwner,
+    stampOwnerOnInsert,
+    checkOwnerWrite,
+    scopeLookups,
+    scopePipeline,
+};
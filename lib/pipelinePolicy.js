@@ -0,0 +1,206 @@
+// Guardrails for client-supplied aggregation pipelines (POST /api/:collectionName/pipe and saved queries).
+//
+// A pipeline is checked before it runs, including the sub-pipelines of $lookup, $unionWith and $facet:
+//   - every stage must be in the stage allowlist, so $out and $merge can't write to collections
+//   - every operator must be allowed, and none blocked ($where, $function and $accumulator run JavaScript)
+//   - $lookup, $graphLookup and $unionWith can't reach the denied collections (users by default) nor the
+//     internal collections locked against the API (see lockCollection in lib/securityRules.js)
+//   - any extra checks registered with addPipelineCheck
+// The pipeline then runs with a forced maxTimeMS, and at most maxResults documents are returned.
+// The defaults come from config.pipelines.
+
+const mongoose = require('mongoose');
+const config = require('../config');
+const { lockedCollectionNames } = require('./securityRules');
+
+// Collections named in $lookup and friends are MongoDB collection names, which mongoose pluralizes
+const pluralize = mongoose.pluralize();
+
+// Stages whose sub-pipelines are checked too
+const SUB_PIPELINE_STAGES = ['$lookup', '$unionWith', '$facet'];
+
+class PipelineRejectedError extends Error {
+    constructor(stage, message) {
+        super(`${stage}: ${message}`);
+        this.name = 'PipelineRejectedError';
+        this.stage = stage;
+    }
+}
+
+// Extra checks: (stage, { operator, location, collectionName }) => message explaining the rejection, or null
+const extraChecks = [];
+
+const addPipelineCheck = (check) => {
+    extraChecks.push(check);
+};
+
+const buildPolicy = (overrides = {}) => {
+    const policy = { ...config.pipelines, ...overrides };
+    return {
+        ...policy,
+        deniedCollections: new Set([...policy.deniedCollections.flatMap(name => [name, pluralize(name)]), ...lockedCollectionNames()]),
+    };
+};
+
+const describe = (location, operator) => `Stage ${location} (${operator})`;
+
+// Check the operators used anywhere inside a stage. $literal values are data, not operators.
+const checkOperators = (value, policy, stageName) => {
+    if (Array.isArray(value)) {
+        value.forEach(item => checkOperators(item, policy, stageName));
+        return;
+    }
+    if (!value || typeof value !== 'object' || value instanceof Date || value instanceof mongoose.Types.ObjectId) {
+        return;
+    }
+
+    for (const [key, nested] of Object.entries(value)) {
+        if (key.startsWith('$')) {
+            if (policy.blockedOperators.includes(key)) {
+                throw new PipelineRejectedError(stageName, `the ${key} operator is not allowed.`);
+            }
+            if (policy.allowedOperators !== '*' && !policy.allowedOperators.includes(key)) {
+                throw new PipelineRejectedError(stageName, `the ${key} operator is not in the allowed operators.`);
+            }
+            if (key === '$literal') {
+                continue;
+            }
+        }
+        checkOperators(nested, policy, stageName);
+    }
+};
+
+const checkCollection = (from, policy, stageName) => {
+    if (typeof from !== 'string') {
+        return;
+    }
+    if (policy.deniedCollections.has(from)) {
+        throw new PipelineRejectedError(stageName, `the '${from}' collection cannot be read from a pipeline.`);
+    }
+};
+
+const checkStages = (pipeline, policy, collectionName, path) => {
+    if (!Array.isArray(pipeline)) {
+        throw new PipelineRejectedError(path, 'must be an array of aggregation stages.');
+    }
+
+    pipeline.forEach((stage, index) => {
+        const location = `${path}[${index}]`;
+        const keys = stage && typeof stage === 'object' && !Array.isArray(stage) ? Object.keys(stage) : [];
+
+        if (keys.length !== 1 || !keys[0].startsWith('$')) {
+            throw new PipelineRejectedError(location, 'each stage must be an object with exactly one $-prefixed stage name.');
+        }
+
+        const [operator] = keys;
+        const body = stage[operator];
+        const stageName = describe(location, operator);
+
+        if (!policy.allowedStages.includes(operator)) {
+            throw new PipelineRejectedError(stageName, 'this stage is not allowed.');
+        }
+
+        if (operator === '$lookup' || operator === '$graphLookup') {
+            checkCollection(body?.from, policy, stageName);
+        }
+        if (operator === '$unionWith') {
+            checkCollection(typeof body === 'string' ? body : body?.coll, policy, stageName);
+        }
+
+        // Sub-pipelines are checked stage by stage; the rest of the stage for its operators
+        if (SUB_PIPELINE_STAGES.includes(operator) && body && typeof body === 'object') {
+            const { pipeline: subPipeline, ...rest } = body;
+            if (operator === '$facet') {
+                for (const [facet, facetPipeline] of Object.entries(body)) {
+                    checkStages(facetPipeline, policy, collectionName, `${location}.$facet.${facet}`);
+                }
+            } else {
+                checkOperators(rest, policy, stageName);
+                if (subPipeline !== undefined) {
+                    checkStages(subPipeline, policy, collectionName, `${location}.${operator}.pipeline`);
+                }
+            }
+        } else {
+            checkOperators(body, policy, stageName);
+        }
+
+        for (const check of extraChecks) {
+            const message = check(stage, { operator, location, collectionName });
+            if (message) {
+                throw new PipelineRejectedError(stageName, message);
+            }
+        }
+    });
+};
+
+// The collection a pipeline runs on mustn't be one of the denied collections either
+const checkBaseCollection = (collectionName, policy) => {
+    if (collectionName && policy.deniedCollections.has(collectionName)) {
+        throw new PipelineRejectedError('pipeline', `the '${collectionName}' collection cannot be read from a pipeline.`);
+    }
+};
+
+// Check a pipeline against the policy. Throws a PipelineRejectedError naming the stage at fault.
+const validatePipeline = (pipeline, { collectionName, policy: overrides } = {}) => {
+    const policy = buildPolicy(overrides);
+    checkBaseCollection(collectionName, policy);
+    checkStages(pipeline, policy, collectionName, 'pipeline');
+};
+
+// Check a pipeline and run it on a model with the policy's time limit and result cap.
+// Resolves to { result, truncated }.
+const runPipeline = async (Model, pipeline, { policy: overrides } = {}) => {
+    const policy = buildPolicy(overrides);
+    const collectionName = Model.collection.collectionName;
+
+    checkBaseCollection(collectionName, policy);
+    checkStages(pipeline, policy, collectionName, 'pipeline');
+
+    // One document past the cap tells whether the result was cut off
+    const result = await Model.aggregate([...pipeline, { $limit: policy.maxResults + 1 }])
+        .option({ maxTimeMS: policy.maxTimeMS })
+        .exec();
+
+    const truncated = result.length > policy.maxResults;
+    if (truncated) {
+        result.length = policy.maxResults;
+    }
+    return { result, truncated };
+};
+
+// The other collections a pipeline reads from, through $lookup, $graphLookup and $unionWith at any depth
+const lookupCollections = (pipeline, found = new Set()) => {
+    for (const stage of Array.isArray(pipeline) ? pipeline : []) {
+        const [operator] = stage && typeof stage === 'object' ? Object.keys(stage) : [];
+        const body = stage?.[operator];
+
+        if (operator === '$lookup' || operator === '$graphLookup') {
+            if (typeof body?.from === 'string') {
+                found.add(body.from);
+            }
+        } else if (operator === '$unionWith') {
+            const coll = typeof body === 'string' ? body : body?.coll;
+            if (typeof coll === 'string') {
+                found.add(coll);
+            }
+        }
+
+        if (operator === '$facet' && body && typeof body === 'object') {
+            Object.values(body).forEach(facetPipeline => lookupCollections(facetPipeline, found));
+        } else if (SUB_PIPELINE_STAGES.includes(operator)) {
+            lookupCollections(body?.pipeline, found);
+        }
+    }
+    return found;
+};
+
+const isTimeLimitError = (err) => err?.code === 50 || err?.codeName === 'MaxTimeMSExpired';
+
+module.exports = {
+    PipelineRejectedError,
+    addPipelineCheck,
+    validatePipeline,
+    runPipeline,
+    lookupCollections,
+    isTimeLimitError,
+};
@@ -0,0 +1,87 @@
+// Builds a $project stage from a field selection.
+//
+// A selection is either an array of field paths or a comma/space separated string:
+//   ["name", "profile.age"]      -> include only these fields
+//   "-password,-profile.secret"  -> return everything except these fields
+// Dotted paths reach into embedded and populated documents. Include and exclude lists can't be
+// mixed (a MongoDB restriction), except for "-_id" which may be combined with includes.
+
+const toFieldList = (selection) => {
+    if (Array.isArray(selection)) {
+        return selection.map(String);
+    }
+    if (typeof selection === 'string') {
+        return selection.split(/[\s,]+/);
+    }
+    throw new Error('Field selection must be an array or a comma separated string of field names.');
+};
+
+// Parse a selection into a projection object ({ field: 1 } or { field: 0 }), or null if empty
+const parseProjection = (selection) => {
+    if (selection === null || selection === undefined) {
+        return null;
+    }
+
+    const fields = toFieldList(selection).map(field => field.trim()).filter(Boolean);
+    if (fields.length === 0) {
+        return null;
+    }
+
+    const projection = {};
+    for (const entry of fields) {
+        const exclude = entry.startsWith('-');
+        const field = exclude ? entry.slice(1) : entry;
+
+        if (!field || field.startsWith('$') || field.split('.').some(part => !part)) {
+            throw new Error(`Invalid field name in selection: "${entry}".`);
+        }
+
+        projection[field] = exclude ? 0 : 1;
+    }
+
+    const modes = new Set(Object.entries(projection).filter(([field]) => field !== '_id').map(([, mode]) => mode));
+    if (modes.size > 1) {
+        throw new Error('Field selection cannot mix included and excluded fields.');
+    }
+
+    return projection;
+};
+
+// Make sure `fields` survive the projection (e.g. sort keys needed to build pagination cursors).
+// Included fields are added to an include list and removed from an exclude list.
+const keepFields = (projection, fields) => {
+    if (!projection) {
+        return projection;
+    }
+
+    const including = Object.entries(projection).some(([field, mode]) => field !== '_id' && mode === 1);
+    const result = { ...projection };
+
+    for (const field of fields) {
+        // A parent path already being kept covers its children, and vice versa for exclusions
+        const covered = Object.keys(result).some(path => field === path || field.startsWith(`${path}.`));
+
+        if (including && !covered) {
+            // Keeping a parent path replaces any of its children, which would otherwise collide
+            for (const path of Object.keys(result)) {
+                if (path.startsWith(`${field}.`)) {
+                    delete result[path];
+                }
+            }
+            result[field] = 1;
+        } else if (!including) {
+            for (const path of Object.keys(result)) {
+                if (result[path] === 0 && (field === path || field.startsWith(`${path}.`) || path.startsWith(`${field}.`))) {
+                    delete result[path];
+                }
+            }
+        }
+    }
+
+    return Object.keys(result).length ? result : null;
+};
+
+module.exports = {
+    parseProjection,
+    keepFields,
+};
@@ -0,0 +1,294 @@
+// Compiles the `conditions` part of the structured query language into a MongoDB filter.
+//
+// A condition is either a leaf:
+//   { "field": "age", "operator": ">", "value": 25 }
+// or a group that nests other conditions:
+//   { "or": [ ...conditions ] }   -> $or
+//   { "and": [ ...conditions ] }  -> $and
+//   { "not": condition }          -> $nor
+// A plain array is an implicit AND, which keeps the original flat `conditions` array working.
+//
+// The "search" operator runs a $text query against the collection's text index. It has no field
+// ({ "operator": "search", "value": "coffee shop" }) and, as MongoDB requires, can't be nested in a group.
+// The same goes for "near"; the geo operators are described in lib/geoConditions.js.
+//
+// Values are coerced before they are compared: numeric strings become numbers, "true"/"false" become
+// booleans and ISO-8601 strings become Dates. A condition can pin the type instead with
+// "type": "date" | "string" | "number" | "bool" | "objectId", and `strict` mode turns the implicit
+// coercion off so values are used exactly as sent (type hints still apply).
+
+const mongoose = require('mongoose');
+const { GEO_OPERATORS, compileGeoCondition } = require('./geoConditions');
+
+const opMap = {
+    '==': '$eq',
+    '!=': '$ne',
+    '>': '$gt',
+    '>=': '$gte',
+    '<': '$lt',
+    '<=': '$lte',
+    'in': '$in',
+    'nin': '$nin',
+    'array-contains': '$eq', // Special handling for array elements
+    'array-contains-any': '$in', // Special handling for multiple array elements
+    'exists': '$exists', // field exists (value true/false)
+    'regex': '$regex', // regex match (value is pattern, can add options)
+    'like': '$regex', // like search (value is pattern, automatically adds wildcards and case-insensitive)
+    'search': '$text', // full-text search on the collection's text index (no field, value is the search string)
+    'near': '$geoNear', // documents closest to a point, optionally within min/max distance (meters)
+    'within-box': '$geoWithin', // inside a [southWest, northEast] box
+    'within-polygon': '$geoWithin', // inside a polygon of [lng, lat] points
+    'within-radius': '$geoWithin', // inside a circle of { center, radius } (meters)
+};
+
+// 2024-01-31, 2024-01-31T10:00, 2024-01-31T10:00:00.000Z, 2024-01-31T10:00:00+02:00, ...
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Attempt to parse value to number, boolean or date if string
+const coerceValue = (value) => {
+    if (typeof value === 'string') {
+        if (!isNaN(Number(value)) && !isNaN(parseFloat(value))) {
+            return Number(value);
+        } else if (value === 'true') {
+            return true;
+        } else if (value === 'false') {
+            return false;
+        } else if (ISO_DATE_PATTERN.test(value) && !isNaN(Date.parse(value))) {
+            return new Date(value);
+        }
+    }
+    return value;
+};
+
+// Explicit conversions for the per-condition "type" hint
+const typeConverters = {
+    string: (value) => String(value),
+    number: (value) => {
+        const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+        if (isNaN(number)) {
+            throw new Error(`Cannot convert "${value}" to a number.`);
+        }
+        return number;
+    },
+    bool: (value) => {
+        if (value === true || value === 'true' || value === 1 || value === '1') {
+            return true;
+        }
+        if (value === false || value === 'false' || value === 0 || value === '0') {
+            return false;
+        }
+        throw new Error(`Cannot convert "${value}" to a boolean.`);
+    },
+    date: (value) => {
+        const date = new Date(typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value);
+        if (value === null || typeof value === 'boolean' || isNaN(date.getTime())) {
+            throw new Error(`Cannot convert "${value}" to a date.`);
+        }
+        return date;
+    },
+    objectId: (value) => {
+        if (typeof value !== 'string' || !/^[0-9a-fA-F]{24}$/.test(value)) {
+            throw new Error(`Cannot convert "${value}" to an ObjectId.`);
+        }
+        return new mongoose.Types.ObjectId(value);
+    },
+};
+
+// Convert a condition value using the type hint, falling back to implicit coercion unless the query is strict.
+// Type hints apply to each element of an array value; implicit coercion never touches arrays.
+const convertValue = (value, type, strict) => {
+    if (Array.isArray(value)) {
+        return type ? value.map(item => convertValue(item, type, strict)) : value;
+    }
+
+    if (type) {
+        const converter = typeConverters[type];
+        if (!converter) {
+            throw new Error(`Unknown condition type "${type}". Use one of: ${Object.keys(typeConverters).join(', ')}.`);
+        }
+        return value === null ? null : converter(value);
+    }
+
+    return strict ? value : coerceValue(value);
+};
+
+// Full-text search is collection-wide rather than per field: { $text: { $search, $language? } }
+const compileSearch = (condition, nested) => {
+    const { value, language, caseSensitive } = condition;
+
+    if (nested) {
+        throw new Error('The "search" operator can only be used at the top level of conditions.');
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new Error('The "search" operator requires a non-empty string value.');
+    }
+
+    const text = { $search: value };
+    if (language) {
+        text.$language = language;
+    }
+    if (caseSensitive !== undefined) {
+        text.$caseSensitive = Boolean(caseSensitive);
+    }
+    return { $text: text };
+};
+
+// Compile a single { field, operator, value, type? } condition into { [field]: expression }
+const compileLeaf = (condition, context, nested) => {
+    let { field, operator, value, type } = condition;
+    const { userId, strict } = context;
+
+    if (operator === 'search') {
+        return compileSearch(condition, nested);
+    }
+
+    if (field == 'userId') {
+        // Special case for userId, use req.user.uid
+        value = userId; // Use authenticated user's UID
+    }
+
+    if (!field || !operator || value === undefined) {
+        console.warn('Skipping malformed condition:', condition);
+        return null;
+    }
+
+    // A field like "$where" or "a.$expr" would reach MongoDB as an operator, not a field
+    if (typeof field !== 'string' || field.split('.').some(segment => segment.startsWith('$'))) {
+        throw new Error(`Invalid condition field "${field}": field names can't start with "$".`);
+    }
+
+    if (GEO_OPERATORS.includes(operator)) {
+        if (operator === 'near' && nested) {
+            throw new Error('The "near" operator can only be used at the top level of conditions.');
+        }
+        return compileGeoCondition(field, operator, value);
+    }
+
+    const mongooseOp = opMap[operator];
+
+    if (operator === 'regex') {
+        // Patterns are always strings, never coerced
+        return { [field]: { [mongooseOp]: String(value), $options: 'i' } };
+    } else if (operator === 'exists') {
+        return { [field]: { [mongooseOp]: typeConverters.bool(value) } };
+    }
+
+    let processedValue = convertValue(value, type, strict);
+
+    if (!mongooseOp) {
+        // Default to equality if operator not recognized
+        return { [field]: processedValue };
+    }
+
+    if (operator === 'array-contains' || operator === '==') {
+        return { [field]: processedValue }; // Direct value for equality and array contains
+    } else if (operator === 'array-contains-any' || operator === 'in' || operator === 'nin') {
+        if (!Array.isArray(processedValue)) {
+            processedValue = [processedValue];
+        }
+        return { [field]: { [mongooseOp]: processedValue } };
+    } else if (operator === 'like') {
+        // For like operator, convert to regex with wildcards and case-insensitive.
+        // Uses the raw value so numeric-looking search terms are not turned into numbers first.
+        const regexPattern = String(value).replace(/([.?*+^$[\]\\(){}|])/g, '\\$1');
+        return { [field]: { [mongooseOp]: `.*${regexPattern}.*`, $options: 'i' } };
+    }
+
+    return { [field]: { [mongooseOp]: processedValue } };
+};
+
+// True for expressions such as { $gt: 1, $lt: 5 } (as opposed to a literal value to match)
+const isOperatorObject = (expression) => expression !== null &&
+    typeof expression === 'object' &&
+    !Array.isArray(expression) &&
+    !(expression instanceof Date) &&
+    Object.keys(expression).length > 0 &&
+    Object.keys(expression).every(key => key.startsWith('$'));
+
+const asOperators = (expression) => (isOperatorObject(expression) ? expression : { $eq: expression });
+
+// AND a list of compiled clauses together.
+// Conditions on the same field are merged into one operator object when they don't clash
+// (e.g. > and <), otherwise the later clause goes into $and instead of overwriting the earlier one.
+const mergeClauses = (clauses) => {
+    const merged = {};
+    const extra = [];
+
+    for (const clause of clauses) {
+        for (const [key, expression] of Object.entries(clause)) {
+            if (key === '$and') {
+                extra.push(...expression);
+                continue;
+            }
+
+            if (!(key in merged)) {
+                merged[key] = expression;
+                continue;
+            }
+
+            const current = asOperators(merged[key]);
+            const incoming = asOperators(expression);
+            const clashes = Object.keys(incoming).some(op => op in current) || key.startsWith('$');
+
+            if (clashes) {
+                extra.push({ [key]: expression });
+            } else {
+                merged[key] = { ...current, ...incoming };
+            }
+        }
+    }
+
+    if (extra.length) {
+        merged.$and = extra;
+    }
+
+    return merged;
+};
+
+const compileGroup = (children, groupName, context) => {
+    if (!Array.isArray(children)) {
+        throw new Error(`"${groupName}" condition group must be an array of conditions.`);
+    }
+
+    return children.map(child => compileNode(child, context, true)).filter(Boolean);
+};
+
+// Recursively compile a condition, group or array of conditions. Returns null when nothing applies.
+// `nested` is true inside and/or/not groups.
+const compileNode = (node, context, nested = false) => {
+    if (Array.isArray(node)) {
+        const clauses = node.map(child => compileNode(child, context, nested)).filter(Boolean);
+        return clauses.length ? mergeClauses(clauses) : null;
+    }
+
+    if (!node || typeof node !== 'object') {
+        console.warn('Skipping malformed condition:', node);
+        return null;
+    }
+
+    if ('or' in node) {
+        const clauses = compileGroup(node.or, 'or', context);
+        return clauses.length ? { $or: clauses } : null;
+    }
+
+    if ('and' in node) {
+        const clauses = compileGroup(node.and, 'and', context);
+        return clauses.length ? { $and: clauses } : null;
+    }
+
+    if ('not' in node) {
+        const clause = compileNode(node.not, context, true);
+        return clause ? { $nor: [clause] } : null;
+    }
+
+    return compileLeaf(node, context, nested);
+};
+
+// Compile the `conditions` of a structured query into a MongoDB filter object.
+// With `strict`, values are only converted when a condition has a "type" hint.
+const compileConditions = (conditions, userId, { strict = false } = {}) => compileNode(conditions, { userId, strict }) || {};
+
+module.exports = {
+    opMap,
+    compileConditions,
+};
@@ -0,0 +1,51 @@
+// Cost controls for reads: page sizes, time limits and how list totals are counted.
+//
+// Lists get the default page size when they don't ask for one, and never more than the maximum; both are set
+// server-wide and can be overridden per collection (config.queries). Every read runs with maxTimeMS.
+
+const config = require('../config');
+
+const TOTAL_MODES = ['exact', 'estimated', 'none'];
+
+// { defaultLimit, maxLimit } of a collection
+const pageSizeLimits = (collectionName) => {
+    const { defaultLimit, maxLimit, collections } = config.queries;
+    return { defaultLimit, maxLimit, ...collections[collectionName] };
+};
+
+// The page size of a list request: the default without `requested`, capped at the maximum.
+// Throws when `requested` isn't a positive whole number.
+const resolvePageSize = (collectionName, requested) => {
+    const { defaultLimit, maxLimit } = pageSizeLimits(collectionName);
+
+    if (requested === undefined || requested === null) {
+        return Math.min(defaultLimit, maxLimit);
+    }
+    if (!Number.isInteger(requested) || requested < 1) {
+        throw new Error('limitCount must be a positive whole number.');
+    }
+    return Math.min(requested, maxLimit);
+};
+
+// How a list counts its total: "exact", "estimated" or "none". Booleans work too (true is "exact").
+const parseWithTotal = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return config.queries.defaultTotal;
+    }
+    if (value === true || value === 'true') {
+        return 'exact';
+    }
+    if (value === false || value === 'false') {
+        return 'none';
+    }
+    if (!TOTAL_MODES.includes(value)) {
+        throw new Error(`withTotal must be one of: ${TOTAL_MODES.join(', ')}.`);
+    }
+    return value;
+};
+
+module.exports = {
+    TOTAL_MODES,
+    resolvePageSize,
+    parseWithTotal,
+};
@@ -0,0 +1,143 @@
+// Change feeds for realtime subscriptions (GET /api/:collectionName/subscribe).
+//
+// When MongoDB runs as a replica set or sharded cluster, changes come from a change stream, so writes made by
+// any process (or directly in the database) are seen. On a standalone server they come from the writes this
+// process makes through the API instead (`localChanges` in lib/writeHooks.js).
+//
+// Listeners get { type, _id, id? } events with type "insert", "update" or "delete". Trashing a document in a soft
+// delete collection is a "delete" and restoring it an "insert", since that's how it looks to normal reads.
+// Events don't carry the document; subscribers read it themselves, which also tells them whether it matches.
+
+const mongoose = require('mongoose');
+const { localChanges } = require('./writeHooks');
+const { DELETED_AT_FIELD } = require('./softDelete');
+const { currentTenant, tenantKey } = require('./tenantContext');
+
+// Resolves to whether the server supports change streams; checked once per process
+let changeStreamSupport = null;
+
+const supportsChangeStreams = () => {
+    if (!changeStreamSupport) {
+        changeStreamSupport = mongoose.connection.asPromise()
+            .then(connection => connection.db.admin().command({ hello: 1 }))
+            .then(hello => Boolean(hello.setName) || hello.msg === 'isdbgrid')
+            .catch(err => {
+                console.error('Could not check for change stream support:', err.message);
+                changeStreamSupport = null;
+                return false;
+            });
+    }
+    return changeStreamSupport;
+};
+
+// One feed per collection of each tenant, shared by all its subscribers: tenantKey(collectionName) -> { mode, listeners, close }
+const feeds = new Map();
+
+const notify = (feed, event) => {
+    for (const listener of feed.listeners) {
+        listener(event);
+    }
+};
+
+const changeStreamEvent = (change) => {
+    const _id = change.documentKey?._id;
+
+    switch (change.operationType) {
+        case 'insert':
+            return { type: 'insert', _id };
+        case 'replace':
+            return { type: 'update', _id };
+        case 'update': {
+            const { updatedFields = {}, removedFields = [] } = change.updateDescription || {};
+            if (updatedFields[DELETED_AT_FIELD]) {
+                return { type: 'delete', _id };
+            }
+            if (removedFields.includes(DELETED_AT_FIELD)) {
+                return { type: 'insert', _id };
+            }
+            return { type: 'update', _id };
+        }
+        case 'delete':
+            return { type: 'delete', _id };
+        default:
+            return null;
+    }
+};
+
+const LOCAL_EVENT_TYPES = { create: 'insert', restore: 'insert', update: 'update', revert: 'update', delete: 'delete' };
+
+const openChangeStreamFeed = (feedKey, Model, feed) => {
+    const stream = Model.watch([
+        { $match: { operationType: { $in: ['insert', 'update', 'replace', 'delete'] } } },
+    ]);
+
+    stream.on('change', change => {
+        const event = changeStreamEvent(change);
+        if (event) {
+            notify(feed, event);
+        }
+    });
+    stream.on('error', err => {
+        console.error(`Change stream for '${Model.collection.collectionName}' failed:`, err.message);
+        // Later subscribers open a new feed
+        if (feeds.get(feedKey) === feed) {
+            feeds.delete(feedKey);
+        }
+        notify(feed, { type: 'error', message: 'The change feed stopped.' });
+        stream.close().catch(() => {});
+    });
+
+    return () => stream.close().catch(() => {});
+};
+
+const openLocalFeed = (collectionName, feed) => {
+    const tenantId = currentTenant()?.id ?? null;
+    const onChange = (change) => {
+        if (change.collectionName !== collectionName || change.tenantId !== tenantId) {
+            return;
+        }
+        const type = LOCAL_EVENT_TYPES[change.action];
+        for (const doc of change.documents) {
+            // A trashed document is still in the database, but it's gone as far as reads go
+            notify(feed, { type: doc[DELETED_AT_FIELD] && change.action !== 'delete' ? 'delete' : type, _id: doc._id, id: doc.id });
+        }
+    };
+
+    localChanges.on('change', onChange);
+    return () => localChanges.off('change', onChange);
+};
+
+// Start receiving the change events of a collection. Resolves to { mode, unsubscribe },
+// where mode is "changeStream" or "local".
+const subscribe = async (collectionName, Model, listener) => {
+    const feedKey = tenantKey(collectionName);
+    let feed = feeds.get(feedKey);
+
+    if (!feed) {
+        const mode = await supportsChangeStreams() ? 'changeStream' : 'local';
+
+        // Another subscriber may have opened the feed while support was being checked
+        feed = feeds.get(feedKey);
+        if (!feed) {
+            feed = { mode, listeners: new Set() };
+            feed.close = mode === 'changeStream' ? openChangeStreamFeed(feedKey, Model, feed) : openLocalFeed(collectionName, feed);
+            feeds.set(feedKey, feed);
+        }
+    }
+
+    feed.listeners.add(listener);
+
+    const unsubscribe = () => {
+        feed.listeners.delete(listener);
+        if (feed.listeners.size === 0 && feeds.get(feedKey) === feed) {
+            feeds.delete(feedKey);
+            feed.close();
+        }
+    };
+
+    return { mode: feed.mode, unsubscribe };
+};
+
+module.exports = {
+    subscribe,
+};
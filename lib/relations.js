@@ -0,0 +1,301 @@
+// Relations between collections, declared once and populated by name.
+//
+// Relations are registered through routes/relations.js and stored in `collection_relations`:
+//   { collectionName: "transactions", name: "account", type: "many-to-one",
+//     localField: "accountId", foreignCollection: "accounts", foreignField: "id" }
+// The name is the field the related documents are populated into. Types:
+//   one-to-one, many-to-one  localField holds the value of foreignField in one document -> a document or null
+//   one-to-many              foreignField of many documents holds the value of localField -> an array
+//   many-to-many             localField is an array of foreignField values -> an array
+// localField defaults to "id" for one-to-many, and foreignField to "id" for the others.
+// "onDelete" optionally sets what deleting a referenced document does to the documents referencing it
+// ("cascade", "set-null" or "restrict"), see lib/deleteRules.js.
+//
+// A populate list names the relations to follow. Entries are relation names, dotted paths through nested
+// relations ("account.owner"), or { relation, select, populate } objects with a field selection and nested
+// relations of their own. The older inline form { key, collection, as, first } still works for one-off joins.
+
+const { getDynamicModel } = require('./getDynamicModel');
+const { tenantKey } = require('./tenantContext');
+const { parseProjection, keepFields } = require('./projection');
+const { isSoftDeleteCollection, excludeDeleted } = require('./softDelete');
+const { lockCollection, isLockedCollection } = require('./securityRules');
+
+const RELATION_COLLECTION = 'collection_relations';
+
+// The registry is only managed through /api/relations, never through the CRUD routes
+lockCollection(RELATION_COLLECTION);
+
+const RELATION_TYPES = ['one-to-one', 'many-to-one', 'one-to-many', 'many-to-many'];
+const SINGLE_TYPES = ['one-to-one', 'many-to-one'];
+const DELETE_RULES = ['cascade', 'set-null', 'restrict'];
+
+// How deep populate can follow relations (transaction -> account -> owner is 3)
+const MAX_POPULATE_DEPTH = 5;
+const CACHE_TTL_MS = 30 * 1000;
+
+// A populate list that can't be used: unknown relations, invalid entries or selections
+class PopulateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PopulateError';
+    }
+}
+
+// Relations per collection, and the delete rules that apply to each collection's documents,
+// so reads and deletes don't query the registry every time
+const relationCache = new Map();
+const deleteRuleCache = new Map();
+
+const clearRelationCache = () => {
+    relationCache.clear();
+    deleteRuleCache.clear();
+};
+
+const isFieldPath = (value) => typeof value === 'string' && value !== '' && !value.startsWith('$') && value.split('.').every(Boolean);
+
+// Validate a relation; returns the fields to store. `existing` is the relation being updated, if any.
+const parseRelation = (body = {}, existing = null) => {
+    const merged = { ...(existing || {}), ...body };
+    const { collectionName, name, type, foreignCollection, onDelete = null, description } = merged;
+
+    if (typeof collectionName !== 'string' || !collectionName || collectionName.startsWith('$')) {
+        throw new Error('Please provide the "collectionName" the relation belongs to.');
+    }
+    if (typeof name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        throw new Error('The relation "name" must be a field name made of letters, digits and underscores.');
+    }
+    if (!RELATION_TYPES.includes(type)) {
+        throw new Error(`"type" must be one of: ${RELATION_TYPES.join(', ')}.`);
+    }
+    if (typeof foreignCollection !== 'string' || !foreignCollection || foreignCollection.startsWith('$')) {
+        throw new Error('Please provide the related "foreignCollection".');
+    }
+    const internalCollection = [collectionName, foreignCollection].find(isLockedCollection);
+    if (internalCollection) {
+        throw new Error(`The '${internalCollection}' collection is internal and can't have relations.`);
+    }
+
+    const localField = merged.localField ?? (type === 'one-to-many' ? 'id' : undefined);
+    const foreignField = merged.foreignField ?? (type === 'one-to-many' ? undefined : 'id');
+
+    if (!isFieldPath(localField)) {
+        throw new Error('Please provide the "localField" holding the reference.');
+    }
+    if (!isFieldPath(foreignField)) {
+        throw new Error('Please provide the "foreignField" of the related documents.');
+    }
+
+    if (onDelete !== null && !DELETE_RULES.includes(onDelete)) {
+        throw new Error(`"onDelete" must be one of: ${DELETE_RULES.join(', ')} (or null for none).`);
+    }
+    // one-to-many relations are referenced from the foreign side, the others from the local side
+    const referencingField = type === 'one-to-many' ? foreignField : localField;
+    if (onDelete === 'set-null' && (referencingField === 'id' || referencingField === '_id')) {
+        throw new Error('"set-null" cannot clear the "id" field of the referencing documents.');
+    }
+
+    return {
+        collectionName,
+        name,
+        type,
+        localField,
+        foreignCollection,
+        foreignField,
+        onDelete,
+        ...(description !== undefined ? { description } : {}),
+    };
+};
+
+// The relations of a collection, by name
+const getRelations = async (collectionName) => {
+    const cacheKey = tenantKey(collectionName);
+    const cached = relationCache.get(cacheKey);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+        return cached.relations;
+    }
+
+    const list = await getDynamicModel(RELATION_COLLECTION).find({ collectionName }).lean();
+    const relations = new Map(list.map(relation => [relation.name, relation]));
+    relationCache.set(cacheKey, { relations, loadedAt: Date.now() });
+    return relations;
+};
+
+// The delete rules that apply when documents of `collectionName` are deleted, as
+// { relation, onDelete, referencingCollection, referencingField, referencedField, many }: the documents of
+// referencingCollection whose referencingField holds the referencedField value of a deleted document are
+// affected. `many` is set when referencingField is an array of references.
+const getDeleteRules = async (collectionName) => {
+    const cacheKey = tenantKey(collectionName);
+    const cached = deleteRuleCache.get(cacheKey);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+        return cached.rules;
+    }
+
+    const relations = await getDynamicModel(RELATION_COLLECTION).find({
+        onDelete: { $in: DELETE_RULES },
+        $or: [
+            { type: 'one-to-many', collectionName },
+            { type: { $ne: 'one-to-many' }, foreignCollection: collectionName },
+        ],
+    }).lean();
+
+    const rules = relations.map(relation => {
+        const referencedLocally = relation.type !== 'one-to-many';
+        return {
+            relation: `${relation.collectionName}.${relation.name}`,
+            onDelete: relation.onDelete,
+            referencingCollection: referencedLocally ? relation.collectionName : relation.foreignCollection,
+            referencingField: referencedLocally ? relation.localField : relation.foreignField,
+            referencedField: referencedLocally ? relation.foreignField : relation.localField,
+            many: relation.type === 'many-to-many',
+        };
+    });
+    deleteRuleCache.set(cacheKey, { rules, loadedAt: Date.now() });
+    return rules;
+};
+
+// Parse the populate parameter of GET /:collectionName/:id: a JSON list or object, or comma separated names
+const parsePopulateParam = (value) => {
+    const values = [].concat(value);
+
+    return values.flatMap(entry => {
+        const text = String(entry).trim();
+        if (text.startsWith('[') || text.startsWith('{')) {
+            try {
+                return [].concat(JSON.parse(text));
+            } catch (e) {
+                throw new PopulateError('Invalid populate JSON format.');
+            }
+        }
+        return text.split(',').map(name => name.trim()).filter(Boolean);
+    });
+};
+
+// Turn populate entries into a tree of { relation, select, populate: [...] } nodes, one per relation
+const normalizePopulate = (entries) => {
+    const nodes = new Map();
+
+    const add = (node) => {
+        const existing = nodes.get(node.relation);
+        if (existing) {
+            existing.select = node.select ?? existing.select;
+            existing.populate.push(...node.populate);
+        } else {
+            nodes.set(node.relation, node);
+        }
+    };
+
+    for (const entry of [].concat(entries ?? [])) {
+        if (typeof entry === 'string') {
+            const [relation, ...rest] = entry.split('.');
+            add({ relation, select: undefined, populate: rest.length ? [rest.join('.')] : [] });
+        } else if (entry && typeof entry === 'object' && !Array.isArray(entry) && 'key' in entry) {
+            // Inline join, kept as it was given
+            nodes.set(Symbol('inline'), { inline: entry });
+        } else if (entry && typeof entry === 'object' && typeof entry.relation === 'string') {
+            add({ relation: entry.relation, select: entry.select, populate: [].concat(entry.populate ?? []) });
+        } else {
+            throw new PopulateError('Populate entries must be relation names or { "relation": "...", "select": [...], "populate": [...] } objects.');
+        }
+    }
+
+    return [...nodes.values()].map(node => (node.inline ? node : { ...node, populate: normalizePopulate(node.populate) }));
+};
+
+// Stages for an inline { key, collection, as, first } join on the related documents' `id`
+const inlineLookupStages = ({ key, collection, as, first }) => {
+    if (!isFieldPath(key) || typeof collection !== 'string' || !collection || collection.startsWith('$')) {
+        throw new PopulateError('Inline populate entries need a "key" field and a "collection".');
+    }
+    const target = as || key;
+
+    const stages = [{
+        $lookup: {
+            from: getDynamicModel(collection).collection.collectionName,
+            localField: key,
+            foreignField: 'id',
+            pipeline: isSoftDeleteCollection(collection) ? [{ $match: excludeDeleted(collection, {}) }] : [],
+            as: target,
+        },
+    }];
+    if (first) {
+        stages.push({ $addFields: { [target]: { $arrayElemAt: [`$${target}`, 0] } } });
+    }
+    return stages;
+};
+
+const populateStages = async (collectionName, nodes, depth) => {
+    if (nodes.length && depth > MAX_POPULATE_DEPTH) {
+        throw new PopulateError(`Populate can follow relations at most ${MAX_POPULATE_DEPTH} levels deep.`);
+    }
+
+    const relations = await getRelations(collectionName);
+    const stages = [];
+
+    for (const node of nodes) {
+        if (node.inline) {
+            stages.push(...inlineLookupStages(node.inline));
+            continue;
+        }
+
+        const relation = relations.get(node.relation);
+        if (!relation) {
+            throw new PopulateError(`Unknown relation "${node.relation}" on '${collectionName}'.`);
+        }
+
+        const { foreignCollection, localField, foreignField, name, type } = relation;
+        const pipeline = isSoftDeleteCollection(foreignCollection) ? [{ $match: excludeDeleted(foreignCollection, {}) }] : [];
+
+        let selection;
+        try {
+            selection = parseProjection(node.select);
+        } catch (error) {
+            throw new PopulateError(`${error.message} (populating "${node.relation}")`);
+        }
+        // Nested relations need their local fields, even when the selection leaves them out
+        const projection = keepFields(selection, await getRelationFields(foreignCollection, node.populate));
+        if (projection) {
+            pipeline.push({ $project: projection });
+        }
+        pipeline.push(...await populateStages(foreignCollection, node.populate, depth + 1));
+
+        stages.push({
+            $lookup: {
+                from: getDynamicModel(foreignCollection).collection.collectionName,
+                localField,
+                foreignField,
+                pipeline,
+                as: name,
+            },
+        });
+        if (SINGLE_TYPES.includes(type)) {
+            stages.push({ $addFields: { [name]: { $ifNull: [{ $first: `$${name}` }, null] } } });
+        }
+    }
+
+    return stages;
+};
+
+// The local fields the relations in `nodes` join on
+const getRelationFields = async (collectionName, nodes) => {
+    const relations = await getRelations(collectionName);
+    return nodes.filter(node => !node.inline && relations.has(node.relation)).map(node => relations.get(node.relation).localField);
+};
+
+// $lookup stages populating the relations in a populate list. Throws a PopulateError on unknown relations and
+// invalid entries.
+const buildPopulateStages = async (collectionName, populate) => populateStages(collectionName, normalizePopulate(populate), 1);
+
+module.exports = {
+    RELATION_COLLECTION,
+    RELATION_TYPES,
+    DELETE_RULES,
+    PopulateError,
+    parseRelation,
+    clearRelationCache,
+    getRelations,
+    getDeleteRules,
+    parsePopulateParam,
+    buildPopulateStages,
+};
@@ -0,0 +1,66 @@
+// Optimistic concurrency helpers.
+// Every document carries a `_rev` counter that getDynamicModel bumps on each write. Reads expose it as an
+// ETag, and writes can make themselves conditional on it with an If-Match header (or a `_rev` body field),
+// so two clients editing the same document can't silently overwrite each other.
+// Documents written before revisions existed have no `_rev` and count as revision 0.
+
+const REVISION_FIELD = '_rev';
+
+const parseRevision = (value, source) => {
+    const revision = Number(String(value).trim().replace(/^W\//, '').replace(/"/g, ''));
+    if (!Number.isInteger(revision) || revision < 0) {
+        throw new Error(`Invalid revision in ${source}: "${value}".`);
+    }
+    return revision;
+};
+
+// Revisions the client expects the document to be at, or null when the write is unconditional.
+// If-Match may list several ETags, and "*" matches any existing document.
+const getExpectedRevisions = (req) => {
+    const ifMatch = req.get('If-Match');
+
+    if (ifMatch) {
+        if (ifMatch.trim() === '*') {
+            return null;
+        }
+        return ifMatch.split(',').map(tag => parseRevision(tag, 'If-Match header'));
+    }
+
+    if (req.body && !Array.isArray(req.body) && req.body[REVISION_FIELD] !== undefined) {
+        return [parseRevision(req.body[REVISION_FIELD], `"${REVISION_FIELD}" field`)];
+    }
+
+    return null;
+};
+
+// Filter condition matching documents at one of the expected revisions
+const revisionFilter = (revisions) => ({
+    [REVISION_FIELD]: { $in: revisions.includes(0) ? [...revisions, null] : revisions },
+});
+
+const currentRevision = (doc) => doc?.[REVISION_FIELD] ?? 0;
+
+const setETag = (res, doc) => {
+    res.set('ETag', `"${currentRevision(doc)}"`);
+};
+
+// Replace a document read as `current` with new content, as its next revision.
+// Replacing skips the model's update hooks, so the revision is set here. Resolves to null when the document
+// was changed in the meantime.
+const replaceAtRevision = (Model, current, content, options = {}) => {
+    const { _id, [REVISION_FIELD]: ignoredRevision, ...fields } = content;
+    return Model.findOneAndReplace(
+        { _id: current._id, ...revisionFilter([currentRevision(current)]) },
+        { ...fields, [REVISION_FIELD]: currentRevision(current) + 1, updatedAt: new Date() },
+        { ...options, new: true }
+    );
+};
+
+module.exports = {
+    REVISION_FIELD,
+    getExpectedRevisions,
+    revisionFilter,
+    currentRevision,
+    setETag,
+    replaceAtRevision,
+};
@@ -0,0 +1,686 @@
+// Security rules per collection, in the spirit of Firestore's.
+//
+// A rules document is stored per collection in `collection_rules` (managed through routes/rules.js):
+//   { collectionName: "accounts", rules: {
+//       read:   "auth != null && resource.userId == auth.uid",
+//       create: "auth != null && request.data.userId == auth.uid",
+//       update: "resource.userId == auth.uid && request.changedKeys.hasOnly(['name', 'balance'])",
+//       delete: "resource.userId == auth.uid" } }
+// Operations are get (one document), list (queries, stats, pipelines...), create, update and delete.
+// "read" stands for get and list, and "write" for create, update and delete, when they have no rule of their own.
+// Once a collection has rules, an operation without a rule is denied; collections without rules are open as before.
+//
+// Rules are expressions over:
+//   auth                the claims of the authenticated user (req.user), null for anonymous requests
+//   resource            the stored document (get, update, delete), null otherwise
+//   request.operation   the operation being checked
+//   request.data        the document being created, or the document as it will be after an update
+//   request.changedKeys the top-level fields an update changes
+//   request.query       the structured query of a list request, if any
+// with literals (numbers, 'strings', true, false, null, [lists]), member access (a.b, a['b']),
+// ! - * / % + - < <= > >= == != in && || and ?:, and the methods size(), keys(), hasAll(list), hasAny(list),
+// hasOnly(list) and matches(regex). Reading a missing field gives null. A rule allows the operation only when it
+// evaluates to true; a rule that fails to evaluate (e.g. comparing a string with a number) denies it.
+
+const mongoose = require('mongoose');
+const { getDynamicModel } = require('./getDynamicModel');
+const { REVISION_FIELD } = require('./revisions');
+const { tenantKey } = require('./tenantContext');
+
+const RULES_COLLECTION = 'collection_rules';
+
+const OPERATIONS = ['get', 'list', 'create', 'update', 'delete'];
+// Rules that stand for several operations
+const FALLBACK_RULES = { get: 'read', list: 'read', create: 'write', update: 'write', delete: 'write' };
+const RULE_NAMES = [...OPERATIONS, 'read', 'write'];
+
+const VARIABLES = ['auth', 'resource', 'request'];
+const METHODS = { size: 0, keys: 0, hasAll: 1, hasAny: 1, hasOnly: 1, matches: 1 };
+
+const MAX_EXPRESSION_LENGTH = 4000;
+const CACHE_TTL_MS = 30 * 1000;
+
+// Rules are keyed by MongoDB collection name, so "person" and "people" share theirs like they share documents
+const pluralize = mongoose.pluralize();
+const collectionKey = (collectionName) => pluralize(collectionName);
+
+class PermissionDeniedError extends Error {
+    constructor(collectionName, operation) {
+        super(`Permission denied: the security rules of '${collectionName}' don't allow ${operation}.`);
+        this.name = 'PermissionDeniedError';
+        this.collectionName = collectionName;
+        this.operation = operation;
+    }
+}
+
+// --- Expressions ---
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_][A-Za-z0-9_]*)|(==|!=|<=|>=|&&|\|\||[<>!+\-*/%()[\].,?:]))/y;
+const KEYWORDS = { true: true, false: false, null: null };
+
+const tokenize = (source) => {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < source.length) {
+        const position = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(source);
+        if (!match) {
+            if (source.slice(position).trim() === '') {
+                break;
+            }
+            throw new Error(`Unexpected character at position ${position + source.slice(position).search(/\S/)}.`);
+        }
+
+        const [, number, string, name, symbol] = match;
+        const at = TOKEN_PATTERN.lastIndex - match[0].trimStart().length;
+        if (number !== undefined) {
+            tokens.push({ type: 'literal', value: Number(number), at });
+        } else if (string !== undefined) {
+            tokens.push({ type: 'literal', value: string.slice(1, -1).replace(/\\(.)/g, (escaped, char) => (char === 'n' ? '\n' : char)), at });
+        } else if (name !== undefined) {
+            tokens.push(Object.hasOwn(KEYWORDS, name) ? { type: 'literal', value: KEYWORDS[name], at } : { type: name === 'in' ? 'symbol' : 'name', value: name, at });
+        } else {
+            tokens.push({ type: 'symbol', value: symbol, at });
+        }
+    }
+
+    tokens.push({ type: 'end', at: source.length });
+    return tokens;
+};
+
+// Recursive descent over the tokens, lowest precedence first. Produces a tree of { type, ... } nodes.
+const parseExpression = (source) => {
+    if (typeof source !== 'string' || source.trim() === '') {
+        throw new Error('A rule must be a non-empty expression.');
+    }
+    if (source.length > MAX_EXPRESSION_LENGTH) {
+        throw new Error(`A rule can be at most ${MAX_EXPRESSION_LENGTH} characters long.`);
+    }
+
+    const tokens = tokenize(source);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isSymbol = (...symbols) => peek().type === 'symbol' && symbols.includes(peek().value);
+    const describeToken = (token) => (token.type === 'end' ? 'end of rule' : `"${token.type === 'literal' ? JSON.stringify(token.value) : token.value}"`);
+    const fail = (token = peek()) => {
+        throw new Error(`Unexpected ${describeToken(token)} at position ${token.at}.`);
+    };
+    const expect = (symbol) => {
+        if (!isSymbol(symbol)) {
+            fail();
+        }
+        index++;
+    };
+
+    const binary = (next, symbols) => () => {
+        let left = next();
+        while (isSymbol(...symbols)) {
+            const operator = tokens[index++].value;
+            left = { type: 'binary', operator, left, right: next() };
+        }
+        return left;
+    };
+
+    const parseList = (closing) => {
+        const items = [];
+        while (!isSymbol(closing)) {
+            if (items.length > 0) {
+                expect(',');
+            }
+            items.push(parseTernary());
+        }
+        expect(closing);
+        return items;
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[index++];
+        if (token.type === 'literal') {
+            return { type: 'literal', value: token.value };
+        }
+        if (token.type === 'name') {
+            if (!VARIABLES.includes(token.value)) {
+                throw new Error(`Unknown name "${token.value}" at position ${token.at}; rules can use ${VARIABLES.join(', ')}.`);
+            }
+            return { type: 'variable', name: token.value };
+        }
+        if (token.type === 'symbol' && token.value === '(') {
+            const expression = parseTernary();
+            expect(')');
+            return expression;
+        }
+        if (token.type === 'symbol' && token.value === '[') {
+            return { type: 'list', items: parseList(']') };
+        }
+        return fail(token);
+    };
+
+    const parsePostfix = () => {
+        let node = parsePrimary();
+        while (isSymbol('.', '[')) {
+            if (tokens[index++].value === '[') {
+                node = { type: 'member', object: node, property: parseTernary() };
+                expect(']');
+                continue;
+            }
+
+            const name = tokens[index++];
+            if (name.type !== 'name') {
+                fail(name);
+            }
+            const property = name.value;
+
+            if (isSymbol('(')) {
+                if (!Object.hasOwn(METHODS, property)) {
+                    throw new Error(`Unknown method "${property}()" at position ${name.at}.`);
+                }
+                index++;
+                const args = parseList(')');
+                if (args.length !== METHODS[property]) {
+                    throw new Error(`${property}() takes ${METHODS[property]} argument(s), at position ${name.at}.`);
+                }
+                node = { type: 'call', object: node, method: property, args };
+            } else {
+                node = { type: 'member', object: node, property: { type: 'literal', value: property } };
+            }
+        }
+        return node;
+    };
+
+    const parseUnary = () => {
+        if (isSymbol('!', '-')) {
+            const operator = tokens[index++].value;
+            return { type: 'unary', operator, operand: parseUnary() };
+        }
+        return parsePostfix();
+    };
+
+    const parseMultiplicative = binary(parseUnary, ['*', '/', '%']);
+    const parseAdditive = binary(parseMultiplicative, ['+', '-']);
+    const parseRelational = binary(parseAdditive, ['<', '<=', '>', '>=', 'in']);
+    const parseEquality = binary(parseRelational, ['==', '!=']);
+    const parseAnd = binary(parseEquality, ['&&']);
+    const parseOr = binary(parseAnd, ['||']);
+
+    const parseTernary = () => {
+        const condition = parseOr();
+        if (!isSymbol('?')) {
+            return condition;
+        }
+        index++;
+        const consequent = parseTernary();
+        expect(':');
+        return { type: 'conditional', condition, consequent, alternate: parseTernary() };
+    };
+
+    const tree = parseTernary();
+    if (peek().type !== 'end') {
+        fail();
+    }
+    return tree;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const typeName = (value) => (value === null ? 'null' : Array.isArray(value) ? 'list' : typeof value === 'object' ? 'map' : typeof value);
+
+const valuesEqual = (a, b) => {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, i) => valuesEqual(item, b[i]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => Object.hasOwn(b, key) && valuesEqual(a[key], b[key]));
+    }
+    return a === b;
+};
+
+const requireType = (value, type, what) => {
+    if (typeName(value) !== type) {
+        throw new Error(`${what} needs a ${type}, got ${typeName(value)}.`);
+    }
+    return value;
+};
+
+// Only the values' own fields can be read, never the prototype's
+const readMember = (object, property) => {
+    if (Array.isArray(object) && typeof property === 'number') {
+        return object[property] ?? null;
+    }
+    if (object !== null && typeof object === 'object' && typeof property === 'string' && Object.hasOwn(object, property)) {
+        return object[property] ?? null;
+    }
+    return null;
+};
+
+const callMethod = (receiver, method, args) => {
+    switch (method) {
+        case 'size':
+            if (typeof receiver === 'string' || Array.isArray(receiver)) {
+                return receiver.length;
+            }
+            return Object.keys(requireType(receiver, 'map', 'size()')).length;
+        case 'keys':
+            return Object.keys(requireType(receiver, 'map', 'keys()'));
+        case 'hasAll':
+            return requireType(args[0], 'list', 'hasAll()').every(item => requireType(receiver, 'list', 'hasAll()').some(value => valuesEqual(value, item)));
+        case 'hasAny':
+            return requireType(args[0], 'list', 'hasAny()').some(item => requireType(receiver, 'list', 'hasAny()').some(value => valuesEqual(value, item)));
+        case 'hasOnly':
+            return requireType(receiver, 'list', 'hasOnly()').every(value => requireType(args[0], 'list', 'hasOnly()').some(item => valuesEqual(value, item)));
+        case 'matches':
+            return new RegExp(`^(?:${requireType(args[0], 'string', 'matches()')})$`).test(requireType(receiver, 'string', 'matches()'));
+    }
+};
+
+const compare = (operator, left, right) => {
+    if (!(typeof left === 'number' && typeof right === 'number') && !(typeof left === 'string' && typeof right === 'string')) {
+        throw new Error(`${operator} compares two numbers or two strings, got ${typeName(left)} and ${typeName(right)}.`);
+    }
+    switch (operator) {
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+    }
+};
+
+const arithmetic = (operator, left, right) => {
+    if (operator === '+' && typeof left === 'string' && typeof right === 'string') {
+        return left + right;
+    }
+    if (operator === '+' && Array.isArray(left) && Array.isArray(right)) {
+        return [...left, ...right];
+    }
+    requireType(left, 'number', operator);
+    requireType(right, 'number', operator);
+    switch (operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+    }
+};
+
+const evaluate = (node, scope) => {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'variable':
+            return scope[node.name] ?? null;
+        case 'list':
+            return node.items.map(item => evaluate(item, scope));
+        case 'member':
+            return readMember(evaluate(node.object, scope), evaluate(node.property, scope));
+        case 'call':
+            return callMethod(evaluate(node.object, scope), node.method, node.args.map(arg => evaluate(arg, scope)));
+        case 'unary': {
+            const operand = evaluate(node.operand, scope);
+            return node.operator === '!' ? !requireType(operand, 'boolean', '!') : -requireType(operand, 'number', '-');
+        }
+        case 'conditional':
+            return requireType(evaluate(node.condition, scope), 'boolean', '?:') ?
+                evaluate(node.consequent, scope) :
+                evaluate(node.alternate, scope);
+        case 'binary': {
+            const { operator } = node;
+            const left = evaluate(node.left, scope);
+
+            // && and || only evaluate their right side when it decides the result
+            if (operator === '&&' || operator === '||') {
+                if (requireType(left, 'boolean', operator) === (operator === '||')) {
+                    return left;
+                }
+                return requireType(evaluate(node.right, scope), 'boolean', operator);
+            }
+
+            const right = evaluate(node.right, scope);
+            switch (operator) {
+                case '==': return valuesEqual(left, right);
+                case '!=': return !valuesEqual(left, right);
+                case 'in':
+                    if (Array.isArray(right)) {
+                        return right.some(item => valuesEqual(item, left));
+                    }
+                    return Object.hasOwn(requireType(right, 'map', 'in'), requireType(left, 'string', 'in'));
+                case '<': case '<=': case '>': case '>=':
+                    return compare(operator, left, right);
+                default:
+                    return arithmetic(operator, left, right);
+            }
+        }
+    }
+};
+
+// --- Rules documents ---
+
+// Validate the rules of a collection; returns them compiled: { [rule]: { expression, tree } }.
+// Throws naming the rule at fault.
+const compileRules = (rules) => {
+    if (!isPlainObject(rules) || Object.keys(rules).length === 0) {
+        throw new Error(`"rules" must be an object with expressions for any of: ${RULE_NAMES.join(', ')}.`);
+    }
+
+    return Object.fromEntries(Object.entries(rules).map(([name, expression]) => {
+        if (!RULE_NAMES.includes(name)) {
+            throw new Error(`Unknown rule "${name}"; rules can be set for ${RULE_NAMES.join(', ')}.`);
+        }
+        try {
+            return [name, { expression, tree: parseExpression(expression) }];
+        } catch (error) {
+            throw new Error(`The "${name}" rule is invalid: ${error.message}`);
+        }
+    }));
+};
+
+// Collections the API keeps for itself, like the rules registry (managed through /api/rules) or the document
+// history, get rules that deny everything, so they're never reached through the CRUD routes or pipelines
+const LOCKED_RULES = compileRules({ read: 'false', write: 'false' });
+const lockedCollections = new Set([collectionKey(RULES_COLLECTION)]);
+
+// Lock an internal collection; called by the modules that own one
+const lockCollection = (collectionName) => {
+    lockedCollections.add(collectionKey(collectionName));
+};
+
+const isLockedCollection = (collectionName) => lockedCollections.has(collectionKey(collectionName));
+
+// The MongoDB names of the locked collections
+const lockedCollectionNames = () => [...lockedCollections];
+
+// Loaded rules per tenant (see lib/tenantContext.js)
+const rulesCache = new Map();
+
+const clearRulesCache = () => {
+    rulesCache.clear();
+};
+
+// All rules documents, compiled and keyed by collection. Rules that no longer compile are skipped (and logged).
+const loadRules = async () => {
+    const byCollection = new Map();
+
+    for (const document of await getDynamicModel(RULES_COLLECTION).find().lean()) {
+        try {
+            byCollection.set(collectionKey(document.collectionName), compileRules(document.rules));
+        } catch (error) {
+            console.error(`Security rules of '${document.collectionName}' are ignored:`, error.message);
+        }
+    }
+    return byCollection;
+};
+
+// The compiled rules of a collection, or null when it has none
+const getRules = async (collectionName) => {
+    const key = collectionKey(collectionName);
+    if (lockedCollections.has(key)) {
+        return LOCKED_RULES;
+    }
+
+    const cacheKey = tenantKey(RULES_COLLECTION);
+    let cached = rulesCache.get(cacheKey);
+    if (!cached || Date.now() - cached.loadedAt > CACHE_TTL_MS) {
+        cached = { loadedAt: Date.now(), rules: loadRules() };
+        rulesCache.set(cacheKey, cached);
+    }
+    try {
+        return (await cached.rules).get(key) || null;
+    } catch (error) {
+        rulesCache.delete(cacheKey);
+        throw error;
+    }
+};
+
+const hasRules = async (collectionName) => (await getRules(collectionName)) !== null;
+
+// --- Decisions ---
+
+// Documents and claims are compared as JSON: ids and dates as strings
+const toPlain = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+// Top-level fields whose value differs between two documents
+const changedKeys = (before, after) => [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => !valuesEqual(before[key] ?? null, after[key] ?? null));
+
+// The claims rules see as `auth`; the placeholder user of public collections is anonymous
+const authFromUser = (user) => (!user || user.uid === 'public-user' ? null : user);
+
+// Evaluate the rule for an operation: { allowed, rule, expression, error }. `rule` is the rule that decided.
+// `context` is { auth, resource, data, query }: see the top of this file.
+const evaluateRules = (rules, operation, context = {}) => {
+    if (!OPERATIONS.includes(operation)) {
+        throw new Error(`"operation" must be one of: ${OPERATIONS.join(', ')}.`);
+    }
+
+    const rule = rules[operation] ? operation : rules[FALLBACK_RULES[operation]] ? FALLBACK_RULES[operation] : null;
+    if (!rule) {
+        return { allowed: false, rule: null, expression: null, error: `No rule covers ${operation}.` };
+    }
+
+    const resource = toPlain(context.resource);
+    const data = toPlain(context.data);
+    const scope = {
+        auth: toPlain(context.auth),
+        resource,
+        request: {
+            operation,
+            data,
+            changedKeys: resource && data ? changedKeys(resource, data) : null,
+            query: toPlain(context.query),
+        },
+    };
+
+    const { expression, tree } = rules[rule];
+    try {
+        const result = evaluate(tree, scope);
+        if (typeof result !== 'boolean') {
+            return { allowed: false, rule, expression, error: `The rule evaluated to a ${typeName(result)}, not true or false.` };
+        }
+        return { allowed: result, rule, expression };
+    } catch (error) {
+        return { allowed: false, rule, expression, error: error.message };
+    }
+};
+
+// Check an operation against the rules of a collection. Throws a PermissionDeniedError when they deny it;
+// collections without rules allow everything.
+const authorize = async (collectionName, operation, context = {}) => {
+    const rules = await getRules(collectionName);
+    if (rules && !evaluateRules(rules, operation, context).allowed) {
+        throw new PermissionDeniedError(collectionName, operation);
+    }
+};
+
+// --- Update previews ---
+
+const splitPath = (path) => String(path).split('.');
+
+// Like readMember, paths only reach the document's own fields
+const readPath = (doc, path) => splitPath(path).reduce((value, key) => (
+    value !== null && typeof value === 'object' && Object.hasOwn(value, key) ? value[key] : undefined
+), doc);
+
+const writePath = (doc, path, value) => {
+    const keys = splitPath(path);
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => {
+        if (!Object.hasOwn(object, key) || object[key] === null || typeof object[key] !== 'object') {
+            object[key] = {};
+        }
+        return object[key];
+    }, doc);
+
+    if (value === undefined) {
+        delete parent[last];
+    } else {
+        parent[last] = value;
+    }
+};
+
+// An update the rules can't see the result of. Collections with rules refuse it, since the rules would only see
+// the old values of the fields it changes.
+class UnsupportedUpdateError extends PermissionDeniedError {
+    constructor(reason) {
+        super(null, 'update');
+        this.message = `Permission denied: ${reason} can't be checked against security rules, so collections with rules refuse it.`;
+    }
+}
+
+// Operators previewed exactly. $setOnInsert only applies when the update creates the document.
+const PREVIEW_OPERATORS = ['$set', '$unset', '$inc', '$mul', '$min', '$max', '$rename', '$currentDate', '$push', '$addToSet', '$pull', '$pullAll', '$pop', '$setOnInsert'];
+
+// Positional paths ("items.$", "items.$[]", "items.$[match]") and other "$" segments depend on the stored array.
+// "__proto__" can't be written as a field of the preview, only as its prototype.
+const checkPreviewPath = (path, key) => {
+    if (typeof path !== 'string' || !path ||
+        splitPath(path).some(segment => !segment || segment.startsWith('$') || segment === '__proto__')) {
+        throw new UnsupportedUpdateError(`${key ? `${key} on ` : 'the '}path "${path}"`);
+    }
+};
+
+// The values $push and $addToSet add: one value, or the list of $each (other modifiers can't be previewed)
+const eachValues = (key, value) => {
+    if (!isPlainObject(value) || !Object.keys(value).some(name => name.startsWith('$'))) {
+        return [value];
+    }
+    if (Object.keys(value).length !== 1 || !Array.isArray(value.$each)) {
+        throw new UnsupportedUpdateError(`${key} with modifiers other than $each`);
+    }
+    return value.$each;
+};
+
+// The document as it will be after an update document (plain fields and update operators) is applied to it,
+// so rules can look at the result of the write. `insert` says the update creates the document (upserts).
+// Throws an UnsupportedUpdateError for anything the preview can't model exactly: other operators, $pull with
+// conditions, positional paths and the like. _id and _rev fields sent along are ignored.
+const previewUpdate = (doc, update, { insert = false } = {}) => {
+    const result = toPlain(doc) || {};
+    if (!isPlainObject(update)) {
+        return result;
+    }
+
+    for (const [key, value] of Object.entries(update)) {
+        if (key === '_id' || key === REVISION_FIELD) {
+            continue;
+        }
+        if (!key.startsWith('$')) {
+            checkPreviewPath(key);
+            writePath(result, key, toPlain(value));
+            continue;
+        }
+        if (!PREVIEW_OPERATORS.includes(key)) {
+            throw new UnsupportedUpdateError(`the update operator ${key}`);
+        }
+        if (!isPlainObject(value)) {
+            throw new UnsupportedUpdateError(`${key} without an object of fields`);
+        }
+
+        for (const [path, argument] of Object.entries(value)) {
+            checkPreviewPath(path, key);
+            const current = readPath(result, path);
+            const list = Array.isArray(current) ? current : [];
+            const plain = toPlain(argument);
+
+            switch (key) {
+                case '$set':
+                    writePath(result, path, plain);
+                    break;
+                case '$setOnInsert':
+                    if (insert) {
+                        writePath(result, path, plain);
+                    }
+                    break;
+                case '$unset':
+                    writePath(result, path, undefined);
+                    break;
+                case '$inc':
+                case '$mul': {
+                    if (typeof plain !== 'number' || (current !== undefined && current !== null && typeof current !== 'number')) {
+                        throw new UnsupportedUpdateError(`${key} on a value that isn't a number`);
+                    }
+                    const number = typeof current === 'number' ? current : 0;
+                    writePath(result, path, key === '$inc' ? number + plain : number * plain);
+                    break;
+                }
+                case '$min':
+                case '$max':
+                    // null sorts before numbers and strings; other mixes of types aren't modelled
+                    if (!['number', 'string'].includes(typeName(plain)) || (current != null && typeName(current) !== typeName(plain))) {
+                        throw new UnsupportedUpdateError(`${key} comparing values of different or composite types`);
+                    }
+                    if (current === null) {
+                        if (key === '$max') {
+                            writePath(result, path, plain);
+                        }
+                        break;
+                    }
+                    if (current === undefined || (key === '$min' ? plain < current : plain > current)) {
+                        writePath(result, path, plain);
+                    }
+                    break;
+                case '$rename':
+                    checkPreviewPath(plain, key);
+                    if (current !== undefined) {
+                        writePath(result, path, undefined);
+                        writePath(result, plain, toPlain(current));
+                    }
+                    break;
+                case '$currentDate':
+                    writePath(result, path, new Date().toISOString());
+                    break;
+                case '$push':
+                    writePath(result, path, [...list, ...eachValues(key, plain)]);
+                    break;
+                case '$addToSet':
+                    writePath(result, path, eachValues(key, plain).reduce((items, item) => (items.some(existing => valuesEqual(existing, item)) ? items : [...items, item]), list));
+                    break;
+                case '$pull':
+                    // Objects are conditions ($pull: { items: { price: { $gt: 5 } } }), matched the way queries match
+                    if (isPlainObject(plain)) {
+                        throw new UnsupportedUpdateError('$pull with a condition');
+                    }
+                    if (Array.isArray(current)) {
+                        writePath(result, path, list.filter(item => !valuesEqual(item, plain)));
+                    }
+                    break;
+                case '$pullAll':
+                    if (!Array.isArray(plain)) {
+                        throw new UnsupportedUpdateError('$pullAll without a list');
+                    }
+                    if (Array.isArray(current)) {
+                        writePath(result, path, list.filter(item => !plain.some(removed => valuesEqual(item, removed))));
+                    }
+                    break;
+                case '$pop':
+                    if (plain !== 1 && plain !== -1) {
+                        throw new UnsupportedUpdateError('$pop with a value other than 1 or -1');
+                    }
+                    if (Array.isArray(current)) {
+                        writePath(result, path, plain === -1 ? list.slice(1) : list.slice(0, -1));
+                    }
+                    break;
+            }
+        }
+    }
+    return result;
+};
+
+module.exports = {
+    RULES_COLLECTION,
+    OPERATIONS,
+    PermissionDeniedError,
+    compileRules,
+    lockCollection,
+    isLockedCollection,
+    lockedCollectionNames,
+    clearRulesCache,
+    getRules,
+    hasRules,
+    authFromUser,
+    evaluateRules,
+    authorize,
+    UnsupportedUpdateError,
+    previewUpdate,
+};
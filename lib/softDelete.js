@@ -0,0 +1,105 @@
+// Soft delete for the collections listed in SOFT_DELETE_COLLECTIONS.
+// Deleting a document in one of these collections only stamps `deletedAt` (and `deletedBy`). Trashed documents
+// are left out of normal reads and writes until they are restored, or purged once past the retention period.
+
+const config = require('../config');
+
+const DELETED_AT_FIELD = 'deletedAt';
+const DELETED_BY_FIELD = 'deletedBy';
+
+// Only the API's delete and trash routes write these. Client writes can't set them, in any collection: that would
+// trash documents past delete rules and security rules, or forge who deleted them.
+const TRASH_FIELDS = [DELETED_AT_FIELD, DELETED_BY_FIELD];
+
+// Pipeline stages MongoDB only accepts in the first position
+const FIRST_STAGE_OPERATORS = ['$geoNear', '$search', '$searchMeta', '$vectorSearch', '$collStats', '$indexStats', '$changeStream', '$documents'];
+
+const isSoftDeleteCollection = (collectionName) =>
+    config.softDelete.collections.includes('*') || config.softDelete.collections.includes(collectionName);
+
+// `deletedAt: null` matches documents where the field is missing as well as null
+const notDeletedCondition = () => ({ [DELETED_AT_FIELD]: null });
+const deletedCondition = () => ({ [DELETED_AT_FIELD]: { $ne: null } });
+
+// Combine a filter with a condition on `deletedAt` without overwriting one the filter already has
+const addCondition = (filter, condition) => (
+    DELETED_AT_FIELD in filter ? { $and: [filter, condition] } : { ...filter, ...condition }
+);
+
+// Leave trashed documents out of a filter; filters of other collections are returned as they are
+const excludeDeleted = (collectionName, filter = {}) => (
+    isSoftDeleteCollection(collectionName) ? addCondition(filter, notDeletedCondition()) : filter
+);
+
+// Only match trashed documents
+const onlyDeleted = (filter = {}) => addCondition(filter, deletedCondition());
+
+// Leave trashed documents out of a client-supplied aggregation pipeline.
+// $geoNear has to stay first, so the condition goes into its query instead; other first-only stages are left alone.
+const excludeDeletedFromPipeline = (collectionName, pipeline) => {
+    if (!isSoftDeleteCollection(collectionName)) {
+        return pipeline;
+    }
+
+    const [firstStage] = pipeline;
+    const firstOperator = firstStage && Object.keys(firstStage)[0];
+
+    if (firstOperator === '$geoNear') {
+        return [
+            { $geoNear: { ...firstStage.$geoNear, query: excludeDeleted(collectionName, firstStage.$geoNear.query) } },
+            ...pipeline.slice(1),
+        ];
+    }
+    if (FIRST_STAGE_OPERATORS.includes(firstOperator)) {
+        return pipeline;
+    }
+
+    return [{ $match: notDeletedCondition() }, ...pipeline];
+};
+
+const isTrashPath = (path) => typeof path === 'string' && TRASH_FIELDS.some(field => path === field || path.startsWith(`${field}.`));
+
+// Check that a client write leaves the trash fields alone: { document } for a document being created,
+// { update } for an update document (plain fields and operators, $rename targets included).
+// Returns the message to reject the write with (400), or null.
+const checkTrashFields = ({ document, update }) => {
+    const paths = document ? Object.keys(document) : Object.entries(update || {}).flatMap(([key, value]) => {
+        if (!key.startsWith('$')) {
+            return [key];
+        }
+        const entries = Object.entries(value !== null && typeof value === 'object' && !Array.isArray(value) ? value : {});
+        return key === '$rename' ? entries.flat() : entries.map(([path]) => path);
+    });
+    const path = paths.find(isTrashPath);
+    return path ? `The "${path}" field is maintained by the trash and cannot be written; delete or restore the document instead.` : null;
+};
+
+// Update that moves a document to the trash
+const trashUpdate = (userId) => ({
+    $set: { [DELETED_AT_FIELD]: new Date(), [DELETED_BY_FIELD]: userId ?? null },
+});
+
+// Update that takes a document out of the trash
+const restoreUpdate = () => ({
+    $unset: { [DELETED_AT_FIELD]: 1, [DELETED_BY_FIELD]: 1 },
+});
+
+// Filter for trashed documents deleted more than `days` days ago
+const purgeFilter = (days) => ({
+    [DELETED_AT_FIELD]: { $lt: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
+});
+
+module.exports = {
+    DELETED_AT_FIELD,
+    DELETED_BY_FIELD,
+    TRASH_FIELDS,
+    FIRST_STAGE_OPERATORS,
+    isSoftDeleteCollection,
+    excludeDeleted,
+    onlyDeleted,
+    excludeDeletedFromPipeline,
+    checkTrashFields,
+    trashUpdate,
+    restoreUpdate,
+    purgeFilter,
+};
@@ -0,0 +1,286 @@
+// Builds group-by statistics aggregations for GET /api/:collectionName/stats.
+//
+// Options (alongside the usual `conditions` of the structured query):
+//   "groupBy":  "category" or ["category", "type"]     - fields to group on (optional)
+//   "metrics":  ["count", "sum:amount", { "op": "avg", "field": "amount", "as": "avgAmount" }]
+//   "interval": "hour" | "day" | "week" | "month" | "year" - bucket documents by time (optional)
+//   "dateField": "createdAt"                              - the date used for time buckets
+//   "from" / "to": ISO dates                              - time range, also used to fill empty buckets
+//   "startOfWeek": "sunday"                               - first day of "week" buckets
+//
+// Time buckets are computed in UTC. Every bucket between `from` and `to` (or the first and last bucket
+// found) is returned for every group, with zero counts and sums for buckets that had no documents.
+// A result has at most MAX_ROWS rows (groups times buckets); larger ones are refused rather than built in memory.
+
+const METRIC_OPS = ['count', 'sum', 'avg', 'min', 'max'];
+const INTERVALS = ['hour', 'day', 'week', 'month', 'year'];
+const MAX_BUCKETS = 1000;
+const MAX_ROWS = 10000;
+const BUCKET_DATE_FIELD = '__statsDate';
+const WEEK_DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const validateField = (field, label) => {
+    if (typeof field !== 'string' || !field || field.startsWith('$') || field.split('.').some(part => !part)) {
+        throw new Error(`Invalid ${label}: "${field}".`);
+    }
+    return field;
+};
+
+// "sum:amount" or { op, field, as } -> { op, field, as }
+const parseMetric = (metric) => {
+    const { op, field, as } = typeof metric === 'string' ?
+        { op: metric.split(':')[0], field: metric.split(':')[1] } :
+        (metric || {});
+
+    if (!METRIC_OPS.includes(op)) {
+        throw new Error(`Unknown metric "${op}". Use one of: ${METRIC_OPS.join(', ')}.`);
+    }
+    if (op !== 'count') {
+        validateField(field, `field for metric "${op}"`);
+    }
+
+    const name = as || (op === 'count' ? 'count' : `${op}_${field.replace(/\./g, '_')}`);
+    if (name.startsWith('$') || name.includes('.') || name === 'group' || name === 'bucket') {
+        throw new Error(`Invalid metric name: "${name}".`);
+    }
+
+    return { op, field, as: name };
+};
+
+const parseDate = (value, label) => {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid ${label} date: "${value}".`);
+    }
+    return date;
+};
+
+// Validate and normalize the stats options of a parsed query
+const parseStatsOptions = (parsedQuery = {}) => {
+    const {
+        groupBy = [],
+        metrics = ['count'],
+        interval = null,
+        dateField = 'createdAt',
+        from = null,
+        to = null,
+        startOfWeek = 'sunday',
+    } = parsedQuery;
+
+    const groupFields = (Array.isArray(groupBy) ? groupBy : [groupBy]).map(field => validateField(field, 'groupBy field'));
+    const metricList = (Array.isArray(metrics) ? metrics : [metrics]).map(parseMetric);
+
+    if (metricList.length === 0) {
+        throw new Error('At least one metric is required.');
+    }
+    if (new Set(metricList.map(metric => metric.as)).size !== metricList.length) {
+        throw new Error('Metric names must be unique; use "as" to rename duplicates.');
+    }
+    if (interval !== null && !INTERVALS.includes(interval)) {
+        throw new Error(`Invalid interval "${interval}". Use one of: ${INTERVALS.join(', ')}.`);
+    }
+    if (!WEEK_DAYS.includes(String(startOfWeek).toLowerCase())) {
+        throw new Error(`Invalid startOfWeek "${startOfWeek}". Use a day name such as "monday".`);
+    }
+
+    return {
+        groupFields,
+        metrics: metricList,
+        interval,
+        dateField: validateField(dateField, 'dateField'),
+        from: parseDate(from, 'from'),
+        to: parseDate(to, 'to'),
+        startOfWeek: String(startOfWeek).toLowerCase(),
+    };
+};
+
+const metricAccumulator = ({ op, field }) => {
+    if (op === 'count') {
+        return { $sum: 1 };
+    }
+    return { [`$${op}`]: `$${field}` };
+};
+
+// Aggregation stages to append after the filter stages
+const buildStatsStages = ({ groupFields, metrics, interval, dateField, from, to, startOfWeek }) => {
+    const stages = [];
+    const groupId = {};
+
+    groupFields.forEach((field, i) => {
+        groupId[`g${i}`] = `$${field}`;
+    });
+
+    if (interval || from || to) {
+        // Convert rather than assume a Date, so dates stored as ISO strings still bucket correctly
+        stages.push({
+            $addFields: {
+                [BUCKET_DATE_FIELD]: { $convert: { input: `$${dateField}`, to: 'date', onError: null, onNull: null } },
+            },
+        });
+
+        const range = {};
+        if (from) {
+            range.$gte = from;
+        }
+        if (to) {
+            range.$lt = to;
+        }
+        stages.push({ $match: { [BUCKET_DATE_FIELD]: Object.keys(range).length ? range : { $ne: null } } });
+    }
+
+    if (interval) {
+        const dateTrunc = { date: `$${BUCKET_DATE_FIELD}`, unit: interval };
+        if (interval === 'week') {
+            dateTrunc.startOfWeek = startOfWeek;
+        }
+        groupId.bucket = { $dateTrunc: dateTrunc };
+    }
+
+    const group = { _id: groupId };
+    for (const metric of metrics) {
+        group[metric.as] = metricAccumulator(metric);
+    }
+    stages.push({ $group: group });
+    // One row more than allowed is enough to tell the result is too large
+    stages.push({ $limit: MAX_ROWS + 1 });
+
+    return stages;
+};
+
+// Move to the start of the next bucket (UTC)
+const nextBucket = (date, interval) => {
+    const next = new Date(date);
+    switch (interval) {
+        case 'hour':
+            next.setUTCHours(next.getUTCHours() + 1);
+            break;
+        case 'day':
+            next.setUTCDate(next.getUTCDate() + 1);
+            break;
+        case 'week':
+            next.setUTCDate(next.getUTCDate() + 7);
+            break;
+        case 'month':
+            next.setUTCMonth(next.getUTCMonth() + 1);
+            break;
+        case 'year':
+            next.setUTCFullYear(next.getUTCFullYear() + 1);
+            break;
+    }
+    return next;
+};
+
+// Start of the bucket containing `date` (UTC), matching $dateTrunc
+const truncateDate = (date, interval, startOfWeek) => {
+    const d = new Date(date);
+    switch (interval) {
+        case 'year':
+            return new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+        case 'month':
+            return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+        case 'week': {
+            const weekStart = WEEK_DAYS.indexOf(startOfWeek);
+            const offset = (d.getUTCDay() - weekStart + 7) % 7;
+            return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - offset));
+        }
+        case 'day':
+            return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+        default:
+            return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours()));
+    }
+};
+
+// Value a metric has in a bucket without documents
+const emptyMetricValue = ({ op }) => (op === 'count' || op === 'sum' ? 0 : null);
+
+// Turn raw $group output into { group, bucket, ...metrics } rows, filling empty time buckets
+const formatStatsResult = (rows, { groupFields, metrics, interval, from, to, startOfWeek }) => {
+    const tooManyRows = `Too many results (more than ${MAX_ROWS} groups and time buckets); group on fewer fields, use a larger interval or narrow the query.`;
+    if (rows.length > MAX_ROWS) {
+        throw new Error(tooManyRows);
+    }
+
+    const toRow = (row) => {
+        const group = {};
+        groupFields.forEach((field, i) => {
+            group[field] = row._id[`g${i}`] ?? null;
+        });
+
+        const result = { group };
+        if (interval) {
+            result.bucket = row._id.bucket;
+        }
+        for (const metric of metrics) {
+            result[metric.as] = row[metric.as];
+        }
+        return result;
+    };
+
+    let results = rows.map(toRow);
+
+    if (interval) {
+        const bucketTimes = results.map(row => row.bucket).filter(Boolean).map(date => date.getTime());
+        const start = from ? truncateDate(from, interval, startOfWeek) : (bucketTimes.length ? new Date(Math.min(...bucketTimes)) : null);
+        const end = to ? new Date(to.getTime() - 1) : (bucketTimes.length ? new Date(Math.max(...bucketTimes)) : null);
+
+        if (start && end) {
+            const buckets = [];
+            for (let bucket = start; bucket <= end; bucket = nextBucket(bucket, interval)) {
+                buckets.push(bucket);
+                if (buckets.length > MAX_BUCKETS) {
+                    throw new Error(`Too many time buckets (more than ${MAX_BUCKETS}); use a larger interval or a shorter range.`);
+                }
+            }
+
+            // Every group seen in the results gets every bucket. Without groupBy there is a single, empty group
+            // that is filled even when no documents matched; with groupBy there is nothing to fill in that case.
+            const groups = new Map(results.map(row => [JSON.stringify(row.group), row.group]));
+            if (groups.size === 0 && groupFields.length === 0) {
+                groups.set('{}', {});
+            }
+            if (groups.size * buckets.length > MAX_ROWS) {
+                throw new Error(tooManyRows);
+            }
+
+            const existing = new Map(results.map(row => [`${JSON.stringify(row.group)}|${row.bucket?.getTime()}`, row]));
+            results = [];
+            for (const [groupKey, group] of groups) {
+                for (const bucket of buckets) {
+                    const row = existing.get(`${groupKey}|${bucket.getTime()}`);
+                    results.push(row || {
+                        group,
+                        bucket,
+                        ...Object.fromEntries(metrics.map(metric => [metric.as, emptyMetricValue(metric)])),
+                    });
+                }
+            }
+        }
+    }
+
+    const compareValues = (a, b) => (a === b ? 0 : a === null || a === undefined ? -1 : b === null || b === undefined ? 1 : a < b ? -1 : a > b ? 1 : 0);
+
+    return results.sort((a, b) => {
+        if (interval) {
+            const byBucket = compareValues(a.bucket?.getTime(), b.bucket?.getTime());
+            if (byBucket !== 0) {
+                return byBucket;
+            }
+        }
+        for (const field of groupFields) {
+            const byField = compareValues(a.group[field], b.group[field]);
+            if (byField !== 0) {
+                return byField;
+            }
+        }
+        return 0;
+    });
+};
+
+module.exports = {
+    parseStatsOptions,
+    buildStatsStages,
+    formatStatsResult,
+};
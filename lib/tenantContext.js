@@ -0,0 +1,22 @@
+// The tenant a request runs for (see lib/tenants.js).
+// middlewares/tenantMiddleware.js runs the rest of the request inside runWithTenant, so code further down,
+// getDynamicModel in particular, finds the tenant without it being passed around. Outside a tenant (TENANT_MODE=off,
+// requests without one, background work for the default database) currentTenant() is null.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const tenantStorage = new AsyncLocalStorage();
+
+// Run `fn` (and everything it starts) for a tenant; null runs it for the default database
+const runWithTenant = (tenant, fn) => tenantStorage.run(tenant ?? null, fn);
+
+const currentTenant = () => tenantStorage.getStore() ?? null;
+
+// Key for per-process caches of registry collections, which every tenant has its own copy of
+const tenantKey = (key) => `${currentTenant()?.id ?? ''}:${key}`;
+
+module.exports = {
+    runWithTenant,
+    currentTenant,
+    tenantKey,
+};
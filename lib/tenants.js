@@ -0,0 +1,187 @@
+// Tenants: several customer apps served by one deployment (TENANT_MODE), each with its own database.
+//
+// Tenants are created through routes/tenants.js and stored in the `tenants` collection of the default database:
+//   { id: "acme", name: "Acme", database: "tenant_acme", active: true, apiKeyHash,
+//     protectedCollections: ["orders"], limits: { orders: 100 }, storageFolder: "acme" }
+// middlewares/tenantMiddleware.js resolves the tenant of every API request (API key, subdomain or auth token claim)
+// and runs the request for it, so getDynamicModel reaches the tenant's database (see lib/tenantContext.js).
+// protectedCollections and limits replace PROTECTED_COLLECTIONS and the free tier limits for the tenant; null
+// keeps the defaults. Uploads go to the tenant's storage folder.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const config = require('../config');
+const { getDynamicModel } = require('./getDynamicModel');
+const { runWithTenant } = require('./tenantContext');
+const { lockCollection } = require('./securityRules');
+
+const TENANT_COLLECTION = 'tenants';
+
+// The registry holds API key hashes and database names: only routes/tenants.js manages it, never the CRUD routes
+lockCollection(TENANT_COLLECTION);
+const CACHE_TTL_MS = 30 * 1000;
+
+// Tenant ids are used as subdomains and in database names
+const TENANT_ID_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,30}[a-z0-9])?$/;
+const FOLDER_PATTERN = /^[A-Za-z0-9_-]+(?:\/[A-Za-z0-9_-]+)*$/;
+
+// Fields of a tenant that are never sent to clients
+const HIDDEN_FIELDS = { apiKeyHash: 0 };
+
+const isTenancyEnabled = () => config.tenancy.mode !== 'off';
+
+// The registry lives in the default database, whichever tenant a request runs for
+const getTenantModel = () => getDynamicModel(TENANT_COLLECTION, mongoose.connection);
+
+// Tenants by id and by API key hash, so requests don't query the registry every time
+const tenantCache = new Map();
+
+const clearTenantCache = () => tenantCache.clear();
+
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+// API keys name their tenant, which makes them easy to tell apart; only their hash is stored
+const generateApiKey = (tenantId) => `tk_${tenantId}_${crypto.randomBytes(24).toString('hex')}`;
+
+const findTenant = async (cacheKey, filter) => {
+    const cached = tenantCache.get(cacheKey);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+        return cached.tenant;
+    }
+
+    const tenant = await getTenantModel().findOne(filter).lean();
+    tenantCache.set(cacheKey, { tenant, loadedAt: Date.now() });
+    return tenant;
+};
+
+// A tenant by id, or null
+const getTenant = (tenantId) => findTenant(`id:${tenantId}`, { id: tenantId });
+
+// The tenant an API key belongs to, or null
+const getTenantByApiKey = (apiKey) => {
+    const apiKeyHash = hashApiKey(apiKey);
+    return findTenant(`key:${apiKeyHash}`, { apiKeyHash });
+};
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+
+// Validate a tenant; returns the fields to store. `existing` is the tenant being updated, if any.
+const parseTenant = (body = {}, existing = null) => {
+    const merged = { ...(existing || {}), ...body };
+    const { id, name, active = true, protectedCollections = null, limits = null, description } = merged;
+
+    if (typeof id !== 'string' || !TENANT_ID_PATTERN.test(id)) {
+        throw new Error('Please provide a tenant "id" of lowercase letters, digits and dashes (at most 32).');
+    }
+    if (existing && body.id !== undefined && body.id !== existing.id) {
+        throw new Error('The "id" of a tenant can\'t be changed.');
+    }
+    if (name !== undefined && typeof name !== 'string') {
+        throw new Error('"name" must be a string.');
+    }
+    if (typeof active !== 'boolean') {
+        throw new Error('"active" must be true or false.');
+    }
+    if (protectedCollections !== null && !isStringList(protectedCollections)) {
+        throw new Error('"protectedCollections" must be a list of collection names (or "*"), or null for the default.');
+    }
+    if (limits !== null && (typeof limits !== 'object' || Array.isArray(limits) ||
+        Object.values(limits).some(limit => limit !== null && !(Number.isInteger(limit) && limit >= 0)))) {
+        throw new Error('"limits" must map collection names to a number of documents (null for no limit), or be null for the default.');
+    }
+
+    const storageFolder = merged.storageFolder ?? id;
+    if (typeof storageFolder !== 'string' || !FOLDER_PATTERN.test(storageFolder)) {
+        throw new Error('"storageFolder" must be a path of letters, digits, "_" and "-" separated by "/".');
+    }
+
+    return {
+        id,
+        name: name ?? id,
+        active,
+        database: existing?.database ?? `${config.tenancy.databasePrefix}${id}`,
+        protectedCollections: protectedCollections && protectedCollections.map(collectionName => collectionName.trim()),
+        limits,
+        storageFolder,
+        ...(description !== undefined ? { description } : {}),
+    };
+};
+
+// The folder a tenant's upload goes to: the tenant's storage folder, with the folder the client asked for inside it.
+// Without a tenant the client's folder is used as it is. Throws when the client's folder isn't a plain path.
+const uploadFolder = (tenant, folder) => {
+    if (!tenant) {
+        return folder;
+    }
+    if (folder === undefined || folder === '') {
+        return tenant.storageFolder;
+    }
+    if (typeof folder !== 'string' || !FOLDER_PATTERN.test(folder)) {
+        throw new Error('"folder" must be a path of letters, digits, "_" and "-" separated by "/".');
+    }
+    return `${tenant.storageFolder}/${folder}`;
+};
+
+// Run `work` for the default database and then for every active tenant, one after the other.
+// Used by background work like the webhook worker, which no request puts in a tenant. Errors are logged per tenant.
+const forEachTenant = async (work) => {
+    const tenants = isTenancyEnabled() ? await getTenantModel().find({ active: true }).lean() : [];
+
+    for (const tenant of [null, ...tenants]) {
+        try {
+            await runWithTenant(tenant, work);
+        } catch (err) {
+            console.error(`Background work for ${tenant ? `tenant '${tenant.id}'` : 'the default database'} failed:`, err.message);
+        }
+    }
+};
+
+// Storage used by a tenant: its database's size and documents per collection, and its uploads
+const getTenantUsage = async (tenant) => {
+    const connection = mongoose.connection.useDb(tenant.database, { useCache: true });
+    const db = connection.db;
+
+    const [stats, collections] = await Promise.all([
+        db.stats(),
+        db.listCollections({}, { nameOnly: true }).toArray(),
+    ]);
+
+    const names = collections.map(({ name }) => name).filter(name => !name.startsWith('system.')).sort();
+    const documents = {};
+    for (const name of names) {
+        documents[name] = await db.collection(name).estimatedDocumentCount();
+    }
+
+    const [uploads] = await getDynamicModel('uploads', connection).aggregate([
+        { $group: { _id: null, count: { $sum: 1 }, bytes: { $sum: '$size' } } },
+    ]);
+
+    return {
+        tenantId: tenant.id,
+        name: tenant.name,
+        active: tenant.active,
+        collections: names.length,
+        objects: stats.objects,
+        dataSize: stats.dataSize,
+        storageSize: stats.storageSize,
+        indexSize: stats.indexSize,
+        documents,
+        uploads: { count: uploads?.count ?? 0, bytes: uploads?.bytes ?? 0 },
+    };
+};
+
+module.exports = {
+    TENANT_COLLECTION,
+    HIDDEN_FIELDS,
+    isTenancyEnabled,
+    getTenantModel,
+    clearTenantCache,
+    hashApiKey,
+    generateApiKey,
+    getTenant,
+    getTenantByApiKey,
+    parseTenant,
+    uploadFolder,
+    forEachTenant,
+    getTenantUsage,
+};
@@ -0,0 +1,29 @@
+// MongoDB session transactions.
+// Transactions need a replica set or a sharded cluster; a standalone server rejects them, which
+// isTransactionUnsupportedError recognizes so callers can report it (or fall back) cleanly.
+
+const mongoose = require('mongoose');
+
+const isTransactionUnsupportedError = (err) =>
+    err?.code === 20 || /Transaction numbers are only allowed/i.test(err?.message || '');
+
+// Run `work(session)` inside a transaction and resolve to what it returns.
+// The driver retries `work` on transient errors, so it must not keep state from a previous attempt.
+const runInTransaction = async (work) => {
+    const session = await mongoose.startSession();
+
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+module.exports = {
+    isTransactionUnsupportedError,
+    runInTransaction,
+};
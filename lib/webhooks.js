@@ -0,0 +1,376 @@
+// Outgoing webhooks.
+//
+// Webhooks are registered through routes/webhooks.js and stored in `webhook_subscriptions`:
+//   { collectionName, events: ["create", "update", "delete"], conditions, url, secret, active }
+// After every write, lib/writeHooks.js hands the changed documents to enqueueDeliveries, which queues one
+// delivery per matching webhook and document in `webhook_deliveries`. A worker in this process sends the queued
+// deliveries and retries failures with exponential backoff, so deliveries survive restarts.
+//
+// Requests are POSTs with a JSON body, signed with the webhook's secret:
+//   X-Webhook-Signature: sha256=<HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>">
+//
+// A webhook only receives the documents its creator could read through the API (ownership scoping and the `get`
+// security rule), and is never sent to loopback, private or link-local addresses (WEBHOOK_ALLOW_PRIVATE_URLS).
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const mongoose = require('mongoose');
+const config = require('../config');
+const { getDynamicModel } = require('./getDynamicModel');
+const { tenantKey } = require('./tenantContext');
+const { forEachTenant } = require('./tenants');
+const { compileConditions } = require('./queryConditions');
+const { extractGeoNear } = require('./geoConditions');
+const { ownsDocument } = require('./ownership');
+const { lockCollection, isLockedCollection, authFromUser, authorize } = require('./securityRules');
+
+const WEBHOOK_COLLECTION = 'webhook_subscriptions';
+const DELIVERY_COLLECTION = 'webhook_deliveries';
+
+// Webhooks hold their signing secrets and deliveries hold documents: both are only reached through /api/webhooks
+lockCollection(WEBHOOK_COLLECTION);
+lockCollection(DELIVERY_COLLECTION);
+
+const WEBHOOK_EVENTS = ['create', 'update', 'delete'];
+
+// History actions (lib/history.js) -> webhook events
+const ACTION_EVENTS = { create: 'create', restore: 'create', update: 'update', revert: 'update', delete: 'delete' };
+
+// A delivery left "sending" this long belongs to a process that died; it's picked up again
+const STALE_SENDING_MS = 5 * 60 * 1000;
+const WORKER_INTERVAL_MS = 5000;
+const CACHE_TTL_MS = 30 * 1000;
+
+// Active webhooks per collection, so writes don't query the registry every time
+const webhookCache = new Map();
+
+const clearWebhookCache = () => webhookCache.clear();
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Addresses that aren't on the public internet: "this" network, private, shared (CGNAT), loopback, link-local,
+// benchmarking, multicast and reserved ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const privateAddresses = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]) {
+    privateAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    privateAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+const isPrivateAddress = (address) => {
+    const family = net.isIP(address);
+    return family !== 0 && privateAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Host of a URL without the brackets of IPv6 literals
+const urlHost = (url) => url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+// Throw when a webhook URL names a private address (or localhost) outright; hostnames are checked when sending
+const checkPublicUrl = (url) => {
+    const host = urlHost(url).toLowerCase();
+    if (!config.webhooks.allowPrivateUrls && (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host))) {
+        throw new Error('The webhook "url" must point to a public address, not a private, loopback or link-local one.');
+    }
+};
+
+// Throw when the host of a webhook URL resolves to a private address
+const checkResolvedUrl = async (url) => {
+    if (config.webhooks.allowPrivateUrls) {
+        return;
+    }
+    checkPublicUrl(url);
+    const addresses = await dns.lookup(urlHost(url), { all: true });
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new Error(`${url.hostname} resolves to a private address; webhooks are only sent to public addresses.`);
+    }
+};
+
+const signPayload = (secret, timestamp, body) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Compile a webhook's conditions with the structured query language. Throws when they can't be used.
+const compileWebhookConditions = (conditions, userId, strict = false) => {
+    const { filter, geoNear } = extractGeoNear(compileConditions(conditions || [], userId, { strict }));
+    if (geoNear || filter.$text) {
+        throw new Error('Webhook conditions cannot use the "search" or "near" operators.');
+    }
+    return filter;
+};
+
+// Validate a webhook registration; returns the fields to store. `existing` is the webhook being updated, if any.
+const parseWebhook = (body = {}, existing = null) => {
+    const merged = { ...(existing || {}), ...body };
+    const { collectionName, url, events = WEBHOOK_EVENTS, conditions = [], strict = false, active = true, description } = merged;
+
+    if (typeof collectionName !== 'string' || !collectionName || collectionName.startsWith('$')) {
+        throw new Error('Please provide the "collectionName" to watch.');
+    }
+    if (isLockedCollection(collectionName)) {
+        throw new Error(`The '${collectionName}' collection is internal and can't be watched.`);
+    }
+
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (e) {
+        throw new Error('Please provide a valid "url".');
+    }
+    if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+        throw new Error('The webhook "url" must use http or https.');
+    }
+    checkPublicUrl(parsedUrl);
+
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+        throw new Error(`"events" must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}.`);
+    }
+
+    compileWebhookConditions(conditions, merged.createdBy, strict === true);
+
+    return {
+        collectionName,
+        url: parsedUrl.toString(),
+        events: [...new Set(events)],
+        conditions,
+        strict: strict === true,
+        active: active !== false,
+        ...(description !== undefined ? { description } : {}),
+        secret: typeof body.secret === 'string' && body.secret ? body.secret : (existing?.secret || generateSecret()),
+    };
+};
+
+const getActiveWebhooks = async (collectionName) => {
+    const cacheKey = tenantKey(collectionName);
+    const cached = webhookCache.get(cacheKey);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+        return cached.webhooks;
+    }
+
+    const webhooks = await getDynamicModel(WEBHOOK_COLLECTION).find({ collectionName, active: true }).lean();
+    webhookCache.set(cacheKey, { webhooks, loadedAt: Date.now() });
+    return webhooks;
+};
+
+// Check a document against a webhook's conditions. $documents evaluates the filter on the document as it was
+// written, which also works for documents that have been deleted since.
+const matchesConditions = async (webhook, document) => {
+    if (!webhook.conditions || (Array.isArray(webhook.conditions) && webhook.conditions.length === 0)) {
+        return true;
+    }
+
+    try {
+        const filter = compileWebhookConditions(webhook.conditions, webhook.createdBy, webhook.strict);
+        const matches = await mongoose.connection.db.aggregate([{ $documents: [document] }, { $match: filter }]).toArray();
+        return matches.length > 0;
+    } catch (err) {
+        console.error(`Could not check the conditions of webhook ${webhook.id}:`, err.message);
+        return false;
+    }
+};
+
+// Whether the webhook's creator could read the document through the API: it's in their ownership scope and the
+// collection's `get` rule allows it for them
+const creatorCanRead = async (collectionName, webhook, document) => {
+    const creator = webhook.createdBy ? { uid: webhook.createdBy } : null;
+    if (!ownsDocument(collectionName, creator, 'read', document)) {
+        return false;
+    }
+
+    try {
+        await authorize(collectionName, 'get', { auth: authFromUser(creator), resource: document });
+        return true;
+    } catch (err) {
+        if (err.name === 'PermissionDeniedError') {
+            return false;
+        }
+        throw err;
+    }
+};
+
+// When the delivery that failed `attempts` times should be tried again
+const nextAttemptAt = (attempts) =>
+    new Date(Date.now() + config.webhooks.retryBaseSeconds * 1000 * 2 ** (attempts - 1));
+
+// Queue deliveries for the webhooks of a collection that want this change. Errors are logged, not thrown:
+// the write has already happened.
+const enqueueDeliveries = async (collectionName, action, documents, userId) => {
+    const event = ACTION_EVENTS[action];
+    if (!event || collectionName === WEBHOOK_COLLECTION || collectionName === DELIVERY_COLLECTION) {
+        return;
+    }
+
+    try {
+        const webhooks = (await getActiveWebhooks(collectionName)).filter(webhook => webhook.events.includes(event));
+        if (webhooks.length === 0) {
+            return;
+        }
+
+        const deliveries = [];
+        for (const webhook of webhooks) {
+            for (const document of documents) {
+                if (await matchesConditions(webhook, document) && await creatorCanRead(collectionName, webhook, document)) {
+                    deliveries.push({
+                        webhookId: webhook.id,
+                        collectionName,
+                        event,
+                        documentId: document.id,
+                        payload: { event, collection: collectionName, documentId: document.id, document, userId: userId ?? null, occurredAt: new Date() },
+                        status: 'pending',
+                        attempts: 0,
+                        nextAttemptAt: new Date(),
+                        log: [],
+                    });
+                }
+            }
+        }
+
+        if (deliveries.length) {
+            await getDynamicModel(DELIVERY_COLLECTION).insertMany(deliveries);
+            setImmediate(processDueDeliveries);
+        }
+    } catch (err) {
+        console.error(`Failed to queue webhooks for '${collectionName}':`, err.message);
+    }
+};
+
+// Send one delivery and record the attempt
+const sendDelivery = async (delivery) => {
+    const Delivery = getDynamicModel(DELIVERY_COLLECTION);
+    const webhook = await getDynamicModel(WEBHOOK_COLLECTION).findOne({ id: delivery.webhookId }).lean();
+
+    if (!webhook) {
+        await Delivery.updateOne({ _id: delivery._id }, { $set: { status: 'failed', error: 'The webhook no longer exists.' } });
+        return;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const startedAt = Date.now();
+    const attempt = { at: new Date() };
+
+    try {
+        await checkResolvedUrl(new URL(webhook.url));
+
+        // Redirects aren't followed, so they can't lead to a private address either; they count as failures
+        const response = await fetch(webhook.url, {
+            redirect: 'manual',
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'schemeless-mongodb-api-webhooks',
+                'X-Webhook-Id': delivery.id,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+            },
+            body,
+            signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+        });
+        attempt.statusCode = response.status;
+        attempt.ok = response.ok;
+        // Keep the start of the response for debugging
+        attempt.response = (await response.text()).slice(0, 1000);
+    } catch (err) {
+        attempt.ok = false;
+        attempt.error = err.name === 'TimeoutError' ? `Timed out after ${config.webhooks.timeoutMs}ms` : err.message;
+    }
+    attempt.durationMs = Date.now() - startedAt;
+
+    const attempts = delivery.attempts + 1;
+    const update = attempt.ok ?
+        { status: 'delivered', deliveredAt: new Date() } :
+        attempts >= config.webhooks.maxAttempts ?
+            { status: 'failed' } :
+            { status: 'pending', nextAttemptAt: nextAttemptAt(attempts) };
+
+    await Delivery.updateOne(
+        { _id: delivery._id },
+        { $set: { ...update, attempts, lastStatusCode: attempt.statusCode ?? null }, $push: { log: attempt }, $unset: { lockedAt: 1 } }
+    );
+};
+
+let processing = false;
+
+// Send every delivery of the current tenant that is due, one at a time
+const processDueDeliveries = async () => {
+    if (processing || mongoose.connection.readyState !== 1) {
+        return;
+    }
+    processing = true;
+
+    try {
+        const Delivery = getDynamicModel(DELIVERY_COLLECTION);
+
+        while (true) {
+            const now = new Date();
+            // Claiming a delivery first keeps other processes from sending it as well
+            const delivery = await Delivery.findOneAndUpdate(
+                {
+                    $or: [
+                        { status: 'pending', nextAttemptAt: { $lte: now } },
+                        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - STALE_SENDING_MS) } },
+                    ],
+                },
+                { $set: { status: 'sending', lockedAt: now } },
+                { sort: { nextAttemptAt: 1 }, new: true }
+            ).lean();
+
+            if (!delivery) {
+                break;
+            }
+            await sendDelivery(delivery);
+        }
+    } catch (err) {
+        console.error('Webhook delivery error:', err.message);
+    } finally {
+        processing = false;
+    }
+};
+
+// Poll for due deliveries (retries, and anything queued by other processes), in every tenant's database
+const startWebhookWorker = () => {
+    const timer = setInterval(() => forEachTenant(processDueDeliveries), WORKER_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+// Queue a new delivery with the payload of an earlier one
+const redeliver = async (deliveryId) => {
+    const Delivery = getDynamicModel(DELIVERY_COLLECTION);
+    const original = await Delivery.findOne({ id: deliveryId }).lean();
+
+    if (!original) {
+        return null;
+    }
+
+    const delivery = new Delivery({
+        webhookId: original.webhookId,
+        collectionName: original.collectionName,
+        event: original.event,
+        documentId: original.documentId,
+        payload: original.payload,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        log: [],
+        redeliveryOf: original.id,
+    });
+    await delivery.save();
+    setImmediate(processDueDeliveries);
+
+    return delivery;
+};
+
+module.exports = {
+    WEBHOOK_COLLECTION,
+    DELIVERY_COLLECTION,
+    WEBHOOK_EVENTS,
+    parseWebhook,
+    clearWebhookCache,
+    signPayload,
+    enqueueDeliveries,
+    startWebhookWorker,
+    redeliver,
+};
@@ -0,0 +1,39 @@
+// What happens after a write succeeds.
+// Every route that creates, updates or deletes documents calls afterWrite once the write is done. It records the
+// history (lib/history.js), queues webhook deliveries (lib/webhooks.js) and announces the change on `localChanges`,
+// which realtime subscriptions fall back to when MongoDB change streams aren't available (lib/realtime.js).
+
+const { EventEmitter } = require('events');
+const { recordHistory } = require('./history');
+const { enqueueDeliveries } = require('./webhooks');
+const { currentTenant } = require('./tenantContext');
+
+// Emits 'change' with { collectionName, action, documents, userId, tenantId } for writes made by this process
+const localChanges = new EventEmitter();
+localChanges.setMaxListeners(0);
+
+// `action` is the history action: "create", "update", "delete", "restore" or "revert"
+const afterWrite = async (collectionName, documents, action, userId, details = {}) => {
+    const list = [].concat(documents || []).filter(Boolean);
+    if (list.length === 0) {
+        return;
+    }
+
+    const plainDocuments = list.map(doc => (typeof doc.toObject === 'function' ? doc.toObject() : doc));
+
+    await recordHistory(collectionName, plainDocuments, action, userId, details);
+    await enqueueDeliveries(collectionName, action, plainDocuments, userId);
+
+    localChanges.emit('change', {
+        collectionName,
+        action,
+        documents: plainDocuments,
+        userId: userId ?? null,
+        tenantId: currentTenant()?.id ?? null,
+    });
+};
+
+module.exports = {
+    localChanges,
+    afterWrite,
+};
@@ -0,0 +1,22 @@
+const config = require('../config');
+
+// Whether a user is one of the administrators listed in ADMIN_UIDS (everyone is with AUTH_TYPE=none)
+const isAdmin = (user) => config.authType === 'none' || (Boolean(user?.uid) && config.admins.includes(user.uid));
+
+/**
+ * Middleware restricting a route to the administrators listed in ADMIN_UIDS.
+ * Must run after authMiddleware. With AUTH_TYPE=none there are no users to tell apart, so everyone passes.
+ */
+const adminMiddleware = (req, res, next) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Only administrators can do this'
+    });
+  }
+
+  next();
+};
+
+module.exports = adminMiddleware;
+module.exports.isAdmin = isAdmin;
@@ -38,4 +38,6 @@ const firebaseAuth = async (token) => {
   }
 };
 
-module.exports = firebaseAuth;
\ No newline at end of file
+module.exports = firebaseAuth;
+// Verify a token and return its claims, without looking the user up (used to find the tenant first)
+module.exports.decodeToken = (token) => admin.auth().verifyIdToken(token);
@@ -1,4 +1,7 @@
 const { getDynamicModel } = require('../lib/getDynamicModel');
+const { excludeDeleted } = require('../lib/softDelete');
+const { getOwnership } = require('../lib/ownership');
+const { currentTenant } = require('../lib/tenantContext');
 
 // Define limits for collections
 const collectionLimits = {
@@ -11,51 +14,61 @@ const collectionLimits = {
     subscriptions: 3,
 };
 
-const limitsMiddleware = async (req, res, next) => {
-    // This middleware should only apply to POST requests (creations)
-    if (req.method !== 'POST') {
-        return next();
-    }
-
-    const collectionName = req.params.collectionName;
-    const userId = req.user?.uid; // Assuming userId is available in req.user.uid from authMiddleware
-
-    const userPlan = req.user?.plan;
-
-    if (userPlan === 'pro') {
-        return next();
+// Check whether `user` may create `newDocuments` more documents in a collection.
+// Returns the message to reject the write with, or null when it's within the limit.
+// Used by limitsMiddleware, and directly by routes that create documents in other collections than their own.
+const checkCollectionLimit = async (collectionName, user, newDocuments = 1) => {
+    // A tenant's limits replace the defaults of the collections they name; null means no limit
+    const limits = { ...collectionLimits, ...currentTenant()?.limits };
+    if (user?.plan === 'pro' || limits[collectionName] == null) {
+        return null;
     }
 
+    const userId = user?.uid;
     if (!userId) {
         // If no userId, perhaps it's an unauthenticated route or an issue with authMiddleware
         // Depending on your app's logic, you might want to allow or deny this
         console.warn('limitsMiddleware: No userId found. Bypassing limit check.');
+        return null;
+    }
+
+    const limit = limits[collectionName];
+    const Model = getDynamicModel(collectionName);
+
+    // Count existing documents for this user in this collection
+    // Documents link to their user through the collection's owner field (OWNED_COLLECTIONS), 'userId' by default.
+    // Trashed documents don't count towards the limit.
+    const ownerField = getOwnership(collectionName)?.field ?? 'userId';
+    const userDocumentCount = await Model.countDocuments(excludeDeleted(collectionName, { [ownerField]: userId }));
+
+    if (userDocumentCount + newDocuments > limit) {
+        return `You have reached the maximum limit of ${limit} records for the '${collectionName}' collection on the free tier.`;
+    }
+    return null;
+};
+
+const limitsMiddleware = async (req, res, next) => {
+    // This middleware should only apply to requests that create documents:
+    // POST, and writes flagged as upserts by the route (res.locals.upsert)
+    if (req.method !== 'POST' && !res.locals.upsert) {
         return next();
     }
 
-    // Check if the current collection has a defined limit
-    if (collectionLimits.hasOwnProperty(collectionName)) {
-        const limit = collectionLimits[collectionName];
-        const Model = getDynamicModel(collectionName);
-
-        try {
-            // Count existing documents for this user in this collection
-            // We assume documents have a 'userId' field.
-            // If your documents link to users differently (e.g., 'ownerId', 'createdBy'), adjust the query field.
-            const userDocumentCount = await Model.countDocuments({ userId: userId });
-
-            if (userDocumentCount >= limit) {
-                return res.status(403).json({
-                    msg: `You have reached the maximum limit of ${limit} records for the '${collectionName}' collection on the free tier.`,
-                });
-            }
-        } catch (error) {
-            console.error('Error checking collection limits:', error);
-            return res.status(500).send('Server Error while checking record limits.');
+    try {
+        // A batch insert creates one document per element of the body
+        const newDocuments = req.method === 'POST' && Array.isArray(req.body) ? req.body.length : 1;
+        const limitMessage = await checkCollectionLimit(req.params.collectionName, req.user, newDocuments);
+
+        if (limitMessage) {
+            return res.status(403).json({ msg: limitMessage });
         }
+    } catch (error) {
+        console.error('Error checking collection limits:', error);
+        return res.status(500).send('Server Error while checking record limits.');
     }
 
     next(); // Proceed to the next middleware or route handler
 };
 
-module.exports = limitsMiddleware; 
\ No newline at end of file
+module.exports = limitsMiddleware;
+module.exports.checkCollectionLimit = checkCollectionLimit;
@@ -30,4 +30,6 @@ const localAuth = async (token) => {
   }
 };
 
-module.exports = localAuth;
\ No newline at end of file
+module.exports = localAuth;
+// Verify a token and return its claims, without looking the user up (used to find the tenant first)
+module.exports.decodeToken = async (token) => jwt.verify(token, config.jwtSecret);
@@ -1,21 +1,24 @@
 const config = require('../config');
+const { currentTenant } = require('../lib/tenantContext');
 
 /**
  * Middleware to check if a collection is public (not in protectedCollections)
  * For GET requests, if the collection is public, skip authentication
  */
 const publicCollectionMiddleware = (req, res, next) => {
-  // Check if we have collection name in params or in the path
+  // Check if we have collection name in params or in the path.
+  // The collection is the first path segment (e.g. /users/stats or /users/:id).
   const collectionName = req.params.collectionName ||
-                        (req.path.split('/').filter(Boolean).pop());
+                        (req.path.split('/').filter(Boolean)[0]);
   
   // Only apply this logic for GET requests and if we have a collection name
   if (req.method !== 'GET' || !collectionName) {
     return next();
   }
   
-  // Check if the collection is in the protected collections list
-  const isProtected = config.protectedCollections.includes('*') || config.protectedCollections.includes(collectionName);
+  // Check if the collection is in the protected collections list (a tenant may have its own list)
+  const protectedCollections = currentTenant()?.protectedCollections ?? config.protectedCollections;
+  const isProtected = protectedCollections.includes('*') || protectedCollections.includes(collectionName);
   
   // If the collection is not protected, it's considered public
   if (!isProtected) {
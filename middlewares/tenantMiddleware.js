@@ -0,0 +1,110 @@
+const config = require('../config');
+const { getTenant, getTenantByApiKey } = require('../lib/tenants');
+const { runWithTenant } = require('../lib/tenantContext');
+
+// Import the token verification of the configured authentication
+const firebaseAuth = config.authType === 'firebase' ? require('./firebaseAuth') : null;
+const localAuth = config.authType === 'local' ? require('./localAuth') : null;
+
+// The verified auth token of the request as { tenantId }, tenantId being its tenant claim (undefined without one).
+// Null without a token; an invalid token is left for authMiddleware to reject. Subscriptions may send the token
+// as ?access_token=.
+const verifiedToken = async (req) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split('Bearer ')[1] : req.query.access_token;
+  const decodeToken = firebaseAuth?.decodeToken ?? localAuth?.decodeToken;
+
+  if (!token || !decodeToken) {
+    return null;
+  }
+  try {
+    return { tenantId: (await decodeToken(token))[config.tenancy.claim] };
+  } catch (error) {
+    return null;
+  }
+};
+
+// The tenant id in the subdomain of TENANT_BASE_DOMAIN, e.g. "acme" in acme.api.example.com
+const subdomainTenantId = (req) => {
+  const { baseDomain } = config.tenancy;
+  const host = req.hostname?.toLowerCase();
+
+  if (!baseDomain || !host || !host.endsWith(`.${baseDomain}`)) {
+    return undefined;
+  }
+  return host.slice(0, -(baseDomain.length + 1));
+};
+
+/**
+ * Middleware resolving the tenant of a request (see lib/tenants.js) and running the rest of the request for it.
+ * The tenant comes from an API key (TENANT_API_KEY_HEADER), else the subdomain (TENANT_BASE_DOMAIN), else the
+ * tenant claim of the auth token (TENANT_CLAIM). Once a tenant is resolved, a token has to carry its id in the
+ * claim: tokens of another tenant, of the default database or of another app are refused.
+ */
+const tenantMiddleware = async (req, res, next) => {
+  if (config.tenancy.mode === 'off') {
+    return next();
+  }
+
+  let tenant = null;
+  let token;
+  try {
+    const apiKey = req.get(config.tenancy.apiKeyHeader);
+    token = await verifiedToken(req);
+
+    if (apiKey) {
+      tenant = await getTenantByApiKey(apiKey);
+      if (!tenant) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Invalid API key'
+        });
+      }
+    } else {
+      const tenantId = subdomainTenantId(req) ?? token?.tenantId;
+      if (tenantId !== undefined) {
+        tenant = typeof tenantId === 'string' ? await getTenant(tenantId) : null;
+        if (!tenant) {
+          return res.status(404).json({
+            error: 'Not Found',
+            message: 'Unknown tenant'
+          });
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Tenant Error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Could not resolve the tenant'
+    });
+  }
+
+  if (tenant && token && token.tenantId !== tenant.id) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'The token was not issued for this tenant'
+    });
+  }
+  if (tenant && !tenant.active) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'This tenant is suspended'
+    });
+  }
+  if (!tenant && config.tenancy.mode === 'required') {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'No tenant: send an API key, use the tenant\'s subdomain or a token with a tenant claim'
+    });
+  }
+
+  req.tenant = tenant;
+  runWithTenant(tenant, next);
+};
+
+// Stream-based middlewares like multer call next() outside the request's tenant; this puts the rest back in it
+const restoreTenant = (req, res, next) => runWithTenant(req.tenant ?? null, next);
+
+module.exports = tenantMiddleware;
+module.exports.restoreTenant = restoreTenant;
@@ -5,6 +5,9 @@ const { getDynamicModel } = require('../lib/getDynamicModel');
 const config = require('../config');
 const router = express.Router();
 
+// Users belong to the tenant they signed up with, so their tokens carry its id (see middlewares/tenantMiddleware.js)
+const tenantClaim = (req) => (req.tenant ? { [config.tenancy.claim]: req.tenant.id } : {});
+
 // Only expose local auth endpoints if AUTH_TYPE is set to local
 if (config.authType === 'local') {
   // POST /api/auth/register
@@ -49,7 +52,7 @@ if (config.authType === 'local') {
 
       // Generate JWT token
       const token = jwt.sign(
-        { uid: newUser.id, email: newUser.email },
+        { uid: newUser.id, email: newUser.email, ...tenantClaim(req) },
         config.jwtSecret,
         { expiresIn: '7d' }
       );
@@ -112,7 +115,7 @@ if (config.authType === 'local') {
 
       // Generate JWT token
       const token = jwt.sign(
-        { uid: user.id, email: user.email },
+        { uid: user.id, email: user.email, ...tenantClaim(req) },
         config.jwtSecret,
         { expiresIn: '7d' }
       );
@@ -3,10 +3,40 @@ const express = require('express');
 const authMiddleware = require('../middlewares/authMiddleware');
 const publicCollectionMiddleware = require('../middlewares/publicCollectionMiddleware');
 const limitsMiddleware = require('../middlewares/limitsMiddleware');
+const { checkCollectionLimit } = limitsMiddleware;
+const adminMiddleware = require('../middlewares/adminMiddleware');
 const { getDynamicModel } = require('../lib/getDynamicModel');
+const { compileConditions } = require('../lib/queryConditions');
+const { extractGeoNear, DISTANCE_FIELD } = require('../lib/geoConditions');
+const { parseProjection, keepFields } = require('../lib/projection');
+const { getTextIndex, ensureTextIndex, dropTextIndex, getGeoIndexes, ensureGeoIndex, requireQueryIndexes } = require('../lib/indexes');
+const { parseStatsOptions, buildStatsStages, formatStatsResult } = require('../lib/statsPipeline');
+const { parseFacet, buildFacetStages, formatFacetValues, buildFacetsStage, formatFacetsResult } = require('../lib/facets');
+const { REVISION_FIELD, getExpectedRevisions, revisionFilter, currentRevision, setETag, replaceAtRevision } = require('../lib/revisions');
+const { DELETED_AT_FIELD, isSoftDeleteCollection, excludeDeleted, onlyDeleted, excludeDeletedFromPipeline, checkTrashFields, trashUpdate, restoreUpdate, purgeFilter } = require('../lib/softDelete');
+const { getHistory, findRevision, latestRecordedRevision } = require('../lib/history');
+const { afterWrite } = require('../lib/writeHooks');
+const { JSON_PATCH_TYPE, MERGE_PATCH_TYPE, applyJsonPatch, applyMergePatch } = require('../lib/jsonPatch');
+const { subscribe } = require('../lib/realtime');
+const { parsePopulateParam, buildPopulateStages } = require('../lib/relations');
+const { hasDeleteRules, deleteWithRules } = require('../lib/deleteRules');
+const { validatePipeline, runPipeline, lookupCollections, isTimeLimitError } = require('../lib/pipelinePolicy');
+const { hasRules, authFromUser, authorize, previewUpdate } = require('../lib/securityRules');
+const { getOwnership, ownerFilter, bulkWriteFilter, ownsDocument, stampOwner, stampOwnerOnInsert, checkOwnerWrite, scopeLookups, scopePipeline } = require('../lib/ownership');
+const { resolvePageSize, parseWithTotal } = require('../lib/queryLimits');
+const { getCollectionSchema, setCollectionSchema, removeCollectionSchema, isSchemaValidationError, validationErrors, validationErrorBody } = require('../lib/collectionSchemas');
+const { normalizeSort, encodeCursor, decodeCursor, buildCursorFilter, toSortStage } = require('../lib/cursorPagination');
 const config = require('../config');
 const router = express.Router();
 
+// EventSource can't send headers, so subscriptions may pass the token as ?access_token=
+router.use('/:collectionName/subscribe', (req, res, next) => {
+    if (req.query.access_token && !req.headers.authorization) {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+});
+
 // Apply public collection middleware before auth middleware
 router.use(publicCollectionMiddleware);
 router.use(authMiddleware);
@@ -19,16 +49,25 @@ router.use(authMiddleware);
 //     { "field": "isActive", "operator": "==", "value": true },
 //     { "field": "tags", "operator": "array-contains", "value": "nodejs" },
 //     { "field": "status", "operator": "in", "value": ["active", "pending"] },
-//     { "field": "name", "operator": "like", "value": "john" } // Like search for partial matches
+//     { "field": "zipCode", "operator": "==", "value": "02134", "type": "string" }, // Optional type hint: date, string, number, bool, objectId
+//     { "field": "name", "operator": "like", "value": "john" }, // Like search for partial matches
+//     { "operator": "search", "value": "coffee shop" }, // Full-text search, requires a text index (see /:collectionName/indexes/text)
+//     { "field": "location", "operator": "near", "value": { "point": [31.2, 30.0], "maxDistance": 5000 } }, // Geo operators, see lib/geoConditions.js
+//     { "or": [ // Nested groups: "or", "and" and "not" (see lib/queryConditions.js)
+//       { "field": "role", "operator": "==", "value": "admin" },
+//       { "not": { "field": "status", "operator": "==", "value": "banned" } }
+//     ]}
 //   ],
 //   "orderByField": "age",
 //   "orderDirection": "asc",
 //   "limitCount": 10,
 //   "offsetCount": 0, // Added offset for full pagination control
-//   "startAfter": 0   // Alternative for offset, typically used as a skip count for pagination
+//   "startAfter": "<cursor>", // Continue after a cursor from metadata.nextCursor (a number is still treated as a skip count)
+//   "endBefore": "<cursor>",  // Page backwards from a cursor from metadata.prevCursor
+//   "select": ["name", "profile.age"], // Fields to return, or "-password" style exclusions
+//   "strict": false // When true, values are only converted for conditions with a "type" hint
 // }
 const parseStructuredQuery = (jsonQueryString, userId) => {
-    const filter = {};
     const options = {};
     let parsedQuery;
 
@@ -45,118 +84,41 @@ const parseStructuredQuery = (jsonQueryString, userId) => {
         orderDirection = 'desc',
         limitCount = null,
         offsetCount = null, // Handle offset
-        startAfter = null, // New: for pagination cursor as skip count,
+        startAfter = null, // Cursor token (or legacy skip count) to continue after
+        endBefore = null, // Cursor token to page backwards from
         sortObject = null,
         populate = null,
+        select = null,
+        strict = false,
+        withTotal,
     } = parsedQuery;
 
-    const opMap = {
-        '==': '$eq',
-        '!=': '$ne',
-        '>': '$gt',
-        '>=': '$gte',
-        '<': '$lt',
-        '<=': '$lte',
-        'in': '$in',
-        'nin': '$nin',
-        'array-contains': '$eq', // Special handling for array elements
-        'array-contains-any': '$in', // Special handling for multiple array elements
-        'exists': '$exists', // field exists (value true/false)
-        'regex': '$regex', // regex match (value is pattern, can add options)
-        'like': '$regex', // like search (value is pattern, automatically adds wildcards and case-insensitive)
-    };
-
-    // Initialize field conditions map to track multiple conditions per field
-    const fieldConditions = {};
-
-    for (const condition of conditions) {
-        let { field, operator, value } = condition;
-
-        if (field == 'userId') {
-            // Special case for userId, use req.user.uid
-            value = userId; // Use authenticated user's UID
-        }
-
-        const mongooseOp = opMap[operator];
-
-        if (!field || !operator || value === undefined) {
-            console.warn('Skipping malformed condition:', condition);
-            continue;
-        }
-
-        // Attempt to parse value to number or boolean if string
-        let processedValue = value;
-        if (typeof value === 'string') {
-            if (!isNaN(Number(value)) && !isNaN(parseFloat(value))) {
-                processedValue = Number(value);
-            } else if (value === 'true') {
-                processedValue = true;
-            } else if (value === 'false') {
-                processedValue = false;
-            }
-        }
-
-        // Initialize field conditions if not exists
-        if (!fieldConditions[field]) {
-            fieldConditions[field] = {};
-        }
+    const { filter, geoNear } = extractGeoNear(compileConditions(conditions, userId, { strict: strict === true || strict === 'true' }));
 
-        if (mongooseOp) {
-            if (operator === 'array-contains') {
-                fieldConditions[field] = processedValue; // Direct value for array contains
-            } else if (operator === 'array-contains-any' || operator === 'in' || operator === 'nin') {
-                if (!Array.isArray(processedValue)) {
-                    processedValue = [processedValue];
-                }
-                fieldConditions[field][mongooseOp] = processedValue;
-            } else if (operator === 'exists') {
-                fieldConditions[field][mongooseOp] = processedValue;
-            } else if (operator === 'regex') {
-                fieldConditions[field] = {
-                    [mongooseOp]: processedValue,
-                    $options: 'i'
-                };
-            } else if (operator === 'like') {
-                // For like operator, convert to regex with wildcards and case-insensitive
-                const regexPattern = processedValue.replace(/([.?*+^$[\]\\(){}|])/g, '\\$1');
-                fieldConditions[field] = {
-                    [mongooseOp]: `.*${regexPattern}.*`,
-                    $options: 'i'
-                };
-            } else if (operator === '==') {
-                // For equality, only override if no other conditions exist
-                if (Object.keys(fieldConditions[field]).length === 0) {
-                    fieldConditions[field] = processedValue;
-                } else {
-                    // If other conditions exist, use $eq operator
-                    fieldConditions[field]['$eq'] = processedValue;
-                }
-            } else {
-                // For other operators, merge into existing conditions
-                fieldConditions[field][mongooseOp] = processedValue;
-            }
-        } else {
-            // Default to equality if operator not recognized
-            fieldConditions[field] = processedValue;
+    if (geoNear) {
+        if (filter.$text) {
+            throw new Error('The "search" and "near" operators cannot be combined in one query.');
         }
+        options.geoNear = geoNear;
     }
 
-    // Convert fieldConditions to final filter
-    for (const [field, conditions] of Object.entries(fieldConditions)) {
-        if (typeof conditions === 'object' && !Array.isArray(conditions)) {
-            filter[field] = conditions;
-        } else {
-            // Direct value assignment for simple conditions
-            filter[field] = conditions;
-        }
-    }
+    // "near" queries are ordered by distance unless the client asks for another order
+    const defaultSort = geoNear && parsedQuery.orderByField === undefined ?
+        { [DISTANCE_FIELD]: 1 } :
+        { [orderByField]: orderDirection === 'asc' ? 1 : -1 };
 
-    options.sort = sortObject ?? { [orderByField]: orderDirection === 'asc' ? 1 : -1 };
+    // Sort keys always end with `id` so cursors point at a unique, stable position
+    options.sortKeys = normalizeSort(sortObject ?? defaultSort);
+    options.sort = toSortStage(options.sortKeys);
     if (limitCount !== null) {
         options.limit = parseInt(limitCount);
     }
-    if (startAfter !== null && !isNaN(parseInt(startAfter))) {
+    if (startAfter !== null && /^\d+$/.test(String(startAfter))) {
         options.skip = parseInt(startAfter);
+    } else if (startAfter) {
+        options.cursor = { values: decodeCursor(startAfter, options.sortKeys), before: false };
+    } else if (endBefore) {
+        options.cursor = { values: decodeCursor(endBefore, options.sortKeys), before: true };
     } else if (offsetCount !== null) {
         options.skip = parseInt(offsetCount);
     }
@@ -164,6 +126,15 @@ const parseStructuredQuery = (jsonQueryString, userId) => {
     if (populate !== null) {
         options.populate = populate;
     }
+    if (withTotal !== undefined) {
+        options.withTotal = withTotal;
+    }
+
+    // Sort keys are always kept so pagination cursors can still be built from the projected documents
+    const projection = parseProjection(select);
+    if (projection) {
+        options.projection = keepFields(projection, options.sortKeys.map(([field]) => field));
+    }
 
     return { filter, options };
 };
@@ -179,6 +150,11 @@ const buildTransactionsPipeline = (userId, userFilter, queryParams) => {
         initialMatchForBalance.accountId = userFilter.accountId;
     }
 
+    // Trashed transactions don't count towards the balance
+    if (DELETED_AT_FIELD in userFilter) {
+        initialMatchForBalance[DELETED_AT_FIELD] = userFilter[DELETED_AT_FIELD];
+    }
+
     pipeline.push({ $match: initialMatchForBalance });
 
     // 2. Balance calculation stages (formerly in getCollectionPipeline)
@@ -221,6 +197,127 @@ const buildTransactionsPipeline = (userId, userFilter, queryParams) => {
     return pipeline;
 };
 
+// Parse the structured `query` parameter (or body field) of a request into a plain object
+const readStructuredQuery = (req) => {
+    const rawQuery = req.query.query || req.body?.query || {};
+
+    try {
+        return typeof rawQuery === 'string' ? JSON.parse(rawQuery) : rawQuery;
+    } catch (e) {
+        throw new Error("Invalid query JSON format.");
+    }
+};
+
+// Leave trashed documents out of a parsed structured query, including the query of a "near" search
+const withoutTrashed = (collectionName, { filter, options }) => {
+    if (!isSoftDeleteCollection(collectionName)) {
+        return { filter, options };
+    }
+
+    return {
+        filter: excludeDeleted(collectionName, filter),
+        options: options.geoNear ?
+            { ...options, geoNear: { ...options.geoNear, query: excludeDeleted(collectionName, options.geoNear.query) } } :
+            options,
+    };
+};
+
+// Keep a parsed structured query to the caller's own documents when the collection scopes `access` (see lib/ownership.js)
+const withinOwnership = (req, access, { filter, options }) => ({
+    filter: ownerFilter(req.params.collectionName, req.user, access, filter),
+    options: options.geoNear ?
+        { ...options, geoNear: { ...options.geoNear, query: ownerFilter(req.params.collectionName, req.user, access, options.geoNear.query) } } :
+        options,
+});
+
+// Stages that select the documents matching a parsed structured query, before any sorting or paging.
+// Throws when the query can't run against the collection.
+const buildMatchStages = (collectionName, userId, filter, options = {}) => {
+    if (collectionName === 'transactions') {
+        // $text and $geoNear must run in the first stage, which would limit the running balance to matching documents
+        if (filter.$text || options.geoNear) {
+            throw new Error('The "search" and "near" operators are not supported on transactions.');
+        }
+        return buildTransactionsPipeline(userId, filter);
+    }
+
+    if (options.geoNear) {
+        // $geoNear replaces the initial $match and adds the distance to every document
+        return [{ $geoNear: options.geoNear }];
+    }
+
+    // For other collections, match first with the complete filter
+    return [{ $match: filter }];
+};
+
+// Check the security rules of a collection (the request's by default) for an operation, see lib/securityRules.js.
+// Throws a PermissionDeniedError when they deny it.
+const authorizeRequest = (req, operation, context = {}, collectionName = req.params.collectionName) =>
+    authorize(collectionName, operation, { auth: authFromUser(req.user), ...context });
+
+// Check the security rules for every document of a batch before anything is written, so one denied document
+// refuses the whole batch. `checks` are { operation, label, resource, data }; resolves to the message for the
+// first denied document, or null.
+const authorizeBatch = async (req, checks) => {
+    for (const { operation, label, ...context } of checks) {
+        try {
+            await authorizeRequest(req, operation, context);
+        } catch (error) {
+            if (error.name !== 'PermissionDeniedError') {
+                throw error;
+            }
+            return `${label}: ${error.message}`;
+        }
+    }
+    return null;
+};
+
+// Populated relations and $lookup stages read other collections, whose list rule has to allow that too
+const authorizeLookups = async (req, pipeline) => {
+    for (const collectionName of lookupCollections(pipeline)) {
+        await authorizeRequest(req, 'list', {}, collectionName);
+    }
+};
+
+// Every read runs with this time limit
+const readTimeLimit = () => config.queries.maxTimeMS;
+
+// Count the documents matching a parsed structured query: "exact", "estimated" (stops counting at the
+// estimate cap, and uses the collection's metadata when nothing is filtered) or "none" (null).
+// Near queries and transactions are counted with the same stages as the listing, so the total agrees with it.
+const countMatching = async (Model, collectionName, userId, filter, options, withTotal) => {
+    if (withTotal === 'none') {
+        return null;
+    }
+
+    const estimated = withTotal === 'estimated';
+    const { estimateCap } = config.queries;
+
+    if (options.geoNear || collectionName === 'transactions') {
+        const stages = buildMatchStages(collectionName, userId, filter, options);
+        if (estimated) {
+            stages.push({ $limit: estimateCap });
+        }
+        stages.push({ $count: 'total' });
+        return (await Model.aggregate(stages).option({ maxTimeMS: readTimeLimit() }))[0]?.total ?? 0;
+    }
+
+    if (estimated && Object.keys(filter).length === 0) {
+        return Model.estimatedDocumentCount().maxTimeMS(readTimeLimit());
+    }
+    return Model.countDocuments(filter, estimated ? { limit: estimateCap } : {}).maxTimeMS(readTimeLimit());
+};
+
+// A read that ran out of time. When the client's own query made it expensive that's a 400 they can fix
+// by narrowing it; otherwise the server is too busy (503).
+const respondToTimeout = (req, res) => {
+    if (req.query.query || req.body?.query) {
+        return res.status(400).json({ msg: `The query took longer than ${readTimeLimit()}ms. Narrow its conditions, or index the fields it filters and sorts on.` });
+    }
+    res.set('Retry-After', '5');
+    return res.status(503).json({ msg: `The query took longer than ${readTimeLimit()}ms, please retry later.` });
+};
+
 // GET all documents in a collection with filtering, sorting, and pagination
 // Example: GET /data/users?query={"conditions":[{"field":"age","operator":">","value":25},{"field":"isActive","operator":"==","value":true}],"orderByField":"age","orderDirection":"asc","limitCount":10,"offsetCount":0}
 router.get('/:collectionName', async (req, res) => {
@@ -230,40 +327,57 @@ router.get('/:collectionName', async (req, res) => {
 
         let filter = {};
         let options = {};
+        let withTotal;
 
-        // Check if the 'query' parameter exists and is a string
-        if (req.query.query && typeof req.query.query === 'string' || req.body?.query) {
-            try {
+        try {
+            // Check if the 'query' parameter exists and is a string
+            if (req.query.query && typeof req.query.query === 'string' || req.body?.query) {
                 const parsed = parseStructuredQuery(req.query.query || req.body?.query, req.user.uid);
 
                 filter = parsed.filter;
                 options = parsed.options;
-            } catch (error) {
-                return res.status(400).json({ msg: error.message });
             }
+
+            // Lists are always paged: without limitCount the collection's default page size applies
+            options.limit = resolvePageSize(collectionName, options.limit);
+            withTotal = parseWithTotal(options.withTotal ?? req.query.withTotal);
+        } catch (error) {
+            return res.status(400).json({ msg: error.message });
         }
 
-        // if (collectionName !== 'users') {
-        //     filter.userId ??= req.user.uid; // Ensures userId is set if not provided in query for other collections
-        // } else {
-        //     // For the 'users' collection, always restrict to the current user's document.
-        //     // This overrides any 'id' potentially set in the query by parseStructuredQuery if it was for another user.
-        //     filter.id = req.user.uid;
-        // }
+        await authorizeRequest(req, 'list', { query: readStructuredQuery(req) });
 
-        let pipeline = [];
+        ({ filter, options } = withinOwnership(req, 'read', withoutTrashed(collectionName, { filter, options })));
 
-        if (collectionName === 'transactions') {
-            pipeline = buildTransactionsPipeline(req.user.uid, filter, req.query);
-        } else {
-            // For other collections, match first with the complete filter
-            pipeline.push({ $match: filter });
+        let pipeline;
+        try {
+            pipeline = buildMatchStages(collectionName, req.user.uid, filter, options);
+        } catch (error) {
+            return res.status(400).json({ msg: error.message });
+        }
+
+        await requireQueryIndexes(Model, filter, options);
+
+        // Expose the full-text relevance score so it can be sorted on, e.g. "sortObject": { "_score": "desc" }
+        if (filter.$text) {
+            pipeline.push({
+                $addFields: { _score: { $meta: 'textScore' } },
+            });
+        }
+
+        // Keyset pagination: only keep documents past the cursor position
+        const cursor = options.cursor;
+        if (cursor) {
+            pipeline.push({
+                $match: buildCursorFilter(cursor.values, options.sortKeys, cursor.before),
+            });
         }
 
         // Common stages: sort, skip, limit
         if (options.sort) {
             pipeline.push({
-                $sort: options.sort,
+                // Paging backwards walks the sort order in reverse; the page is flipped back below
+                $sort: cursor?.before ? toSortStage(options.sortKeys, true) : options.sort,
             });
         }
 
@@ -273,205 +387,418 @@ router.get('/:collectionName', async (req, res) => {
             });
         }
 
-        if (options.limit) {
-            pipeline.push({
-                $limit: options.limit,
-            });
-        }
+        pipeline.push({
+            $limit: options.limit + 1, // One extra document tells us whether another page exists
+        });
         
-        // Handle populate option using $lookup in the aggregation pipeline
+        // Populate declared relations (and inline joins) with $lookup, see lib/relations.js
         if (options.populate) {
-            const populatePaths = Array.isArray(options.populate) ? options.populate : [options.populate];
-            for (const { key: localField, collection: collectionName, as: localFieldAs, first: firstOnly } of populatePaths) {
-                // Assuming 'path' is the localField and the foreign collection name is derived from it
-                // This is a basic assumption and might need adjustment based on actual schema relationships
-                const foreignField = 'id'; // Assuming _id in the foreign collection
-
-                pipeline.push({
-                    $lookup: {
-                        from: collectionName,
-                        localField: localField,
-                        foreignField: foreignField,
-                        as: localFieldAs || localField
-                    }
-                });
-
-                if (firstOnly) {
-                    pipeline.push({
-                        $addFields: {
-                            [localFieldAs || localField]: {
-                                $arrayElemAt: [`$${localFieldAs || localField}`, 0]
-                            }
-                        }
-                    });
+            try {
+                const populateStages = await buildPopulateStages(collectionName, options.populate);
+                await authorizeLookups(req, populateStages);
+                pipeline.push(...scopeLookups(populateStages, req.user));
+            } catch (error) {
+                if (error.name !== 'PopulateError') {
+                    throw error;
                 }
+                return res.status(400).json({ msg: error.message });
             }
         }
 
-        const query = Model.aggregate(pipeline);
+        // Project last so selections can reach into populated documents and computed fields like `balance`
+        if (options.projection) {
+            pipeline.push({
+                $project: options.projection,
+            });
+        }
+
+        const query = Model.aggregate(pipeline).option({ maxTimeMS: readTimeLimit() });
         const documents = await query.exec();
-        const total = await Model.countDocuments(filter); // Count total matching documents based on the final filter
+        const total = await countMatching(Model, collectionName, req.user.uid, filter, options, withTotal);
+
+        const hasMore = documents.length > options.limit;
+        if (hasMore) {
+            documents.pop();
+        }
+        if (cursor?.before) {
+            documents.reverse();
+        }
+
+        const firstDocument = documents[0];
+        const lastDocument = documents[documents.length - 1];
+        const hasNext = cursor?.before ? Boolean(lastDocument) : hasMore;
+        const hasPrev = cursor?.before ? hasMore : Boolean(firstDocument) && Boolean(cursor || options.skip);
 
         res.json({
             data: documents,
             metadata: {
                 total,
-                limit: options.limit || total, // If no limit, assume all
+                totalType: withTotal,
+                limit: options.limit,
                 offset: options.skip || 0,
+                nextCursor: hasNext ? encodeCursor(lastDocument, options.sortKeys) : null,
+                prevCursor: hasPrev ? encodeCursor(firstDocument, options.sortKeys) : null,
             },
         });
     } catch (err) {
         console.error(err.message);
+        if (err.name === 'PermissionDeniedError') {
+            return res.status(403).json({ msg: err.message });
+        }
+        if (err.name === 'MissingIndexError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        if (isTimeLimitError(err)) {
+            return respondToTimeout(req, res);
+        }
         res.status(500).send('Server Error');
     }
 });
 
-// GET a single document by ID
-router.get('/:collectionName/:id', async (req, res) => {
+// GET group-by statistics for a collection
+// Example: GET /api/transactions/stats?query={"conditions":[{"field":"type","operator":"==","value":"expense"}],"groupBy":"categoryId","metrics":["count","sum:amount"],"interval":"month","dateField":"date","from":"2024-01-01","to":"2025-01-01"}
+// See lib/statsPipeline.js for the options.
+router.get('/:collectionName/stats', async (req, res) => {
     try {
         const collectionName = req.params.collectionName;
         const Model = getDynamicModel(collectionName);
-        let queryFilter = { id: req.params.id };
 
-        let pipeline = [{ $match: queryFilter }];
+        let pipeline;
+        let statsOptions;
+        let matching;
+        try {
+            const parsedQuery = readStructuredQuery(req);
+            const { filter, options } = withinOwnership(req, 'read', withoutTrashed(collectionName, parseStructuredQuery(parsedQuery, req.user.uid)));
+
+            statsOptions = parseStatsOptions(parsedQuery);
+            pipeline = buildMatchStages(collectionName, req.user.uid, filter, options);
+            matching = { filter, options };
+        } catch (error) {
+            return res.status(400).json({ msg: error.message });
+        }
 
-        if (req.query.populate) {
-            const populatePaths = Array.isArray(req.query.populate) ? req.query.populate : [req.query.populate];
-            for (const path of populatePaths) {
-                const localField = path;
-                const fromCollection = localField + 's'; // Simple pluralization
-                const foreignField = '_id';
-
-                pipeline.push({
-                    $lookup: {
-                        from: fromCollection,
-                        localField: localField,
-                        foreignField: foreignField,
-                        as: localField
-                    }
-                });
-                pipeline.push({
-                    $unwind: {
-                        path: `$${localField}`,
-                        preserveNullAndEmptyArrays: true
-                    }
-                });
-            }
+        // Authorized before anything reads the collection
+        await authorizeRequest(req, 'list', { query: readStructuredQuery(req) });
+
+        await requireQueryIndexes(Model, matching.filter, matching.options);
+
+        pipeline.push(...buildStatsStages(statsOptions));
+
+        const rows = await Model.aggregate(pipeline).option({ maxTimeMS: readTimeLimit() }).exec();
+
+        let data;
+        try {
+            data = formatStatsResult(rows, statsOptions);
+        } catch (error) {
+            return res.status(400).json({ msg: error.message });
+        }
+
+        res.json({
+            data,
+            metadata: {
+                groupBy: statsOptions.groupFields,
+                metrics: statsOptions.metrics.map(({ op, field, as }) => ({ op, field, as })),
+                interval: statsOptions.interval,
+                dateField: statsOptions.interval ? statsOptions.dateField : undefined,
+            },
+        });
+    } catch (err) {
+        console.error(err.message);
+        if (err.name === 'PermissionDeniedError') {
+            return res.status(403).json({ msg: err.message });
+        }
+        if (err.name === 'MissingIndexError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        if (isTimeLimitError(err)) {
+            return respondToTimeout(req, res);
         }
+        res.status(500).send('Server Error');
+    }
+});
 
-        const documents = await Model.aggregate(pipeline).exec();
+// GET the distinct values of a field with how many matching documents have each value
+// Example: GET /api/products/distinct/category?query={"conditions":[{"field":"inStock","operator":"==","value":true}]}&limit=20&orderBy=count
+// Optional parameters: limit (default 50), orderBy (count | value), direction (asc | desc), includeNull
+router.get('/:collectionName/distinct/:field', async (req, res) => {
+    try {
+        const { collectionName, field } = req.params;
+        const Model = getDynamicModel(collectionName);
 
-        if (!documents.length) {
-            return res.status(404).json({ msg: 'Document not found or you are not authorized to access it' });
+        let pipeline;
+        let facet;
+        let matching;
+        try {
+            const { filter, options } = withinOwnership(req, 'read', withoutTrashed(collectionName, parseStructuredQuery(readStructuredQuery(req), req.user.uid)));
+            const { limit, orderBy, direction, includeNull } = req.query;
+
+            facet = parseFacet({ field, limit, orderBy, direction, includeNull });
+            pipeline = buildMatchStages(collectionName, req.user.uid, filter, options);
+            matching = { filter, options };
+        } catch (error) {
+            return res.status(400).json({ msg: error.message });
         }
 
-        res.json(documents[0]); 
+        // Authorized before anything reads the collection
+        await authorizeRequest(req, 'list', { query: readStructuredQuery(req) });
+
+        await requireQueryIndexes(Model, matching.filter, matching.options);
+
+        pipeline.push(...buildFacetStages(facet));
+
+        const { values, hasMore } = formatFacetValues(await Model.aggregate(pipeline).option({ maxTimeMS: readTimeLimit() }).exec(), facet);
+
+        res.json({
+            data: values,
+            metadata: {
+                field: facet.field,
+                limit: facet.limit,
+                orderBy: facet.orderBy,
+                direction: facet.direction,
+                hasMore,
+            },
+        });
     } catch (err) {
         console.error(err.message);
-        if (err.kind === 'ObjectId') {
-            return res.status(400).json({ msg: 'Invalid Document ID' });
+        if (err.name === 'PermissionDeniedError') {
+            return res.status(403).json({ msg: err.message });
+        }
+        if (err.name === 'MissingIndexError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        if (isTimeLimitError(err)) {
+            return respondToTimeout(req, res);
         }
         res.status(500).send('Server Error');
     }
 });
 
-// POST create a new document
-router.post('/:collectionName', limitsMiddleware, async (req, res) => {
+// GET faceted counts for several fields at once, computed in a single $facet stage
+// Example: GET /api/products/facets?query={"conditions":[...],"facets":["brand",{"field":"tags","limit":10,"orderBy":"value"}],"limit":20}
+// Top-level "limit", "orderBy", "direction" and "includeNull" apply to every facet that doesn't set its own.
+router.get('/:collectionName/facets', async (req, res) => {
     try {
         const collectionName = req.params.collectionName;
         const Model = getDynamicModel(collectionName);
 
-        // if (!req.body.userId) {
-        //     req.body.userId = req.user.uid;
-        // }
+        let pipeline;
+        let facets;
+        let matching;
+        try {
+            const parsedQuery = readStructuredQuery(req);
+            const { filter, options } = withinOwnership(req, 'read', withoutTrashed(collectionName, parseStructuredQuery(parsedQuery, req.user.uid)));
+            const { facets: facetSpecs, limit, orderBy, direction, includeNull } = parsedQuery;
 
-        const newDocument = new Model(req.body);
-        await newDocument.save();
-        res.status(201).json(newDocument);
+            if (!Array.isArray(facetSpecs) || facetSpecs.length === 0) {
+                return res.status(400).json({ msg: 'Query must contain a non-empty "facets" array.' });
+            }
+
+            facets = facetSpecs.map(spec => parseFacet(spec, { limit, orderBy, direction, includeNull }));
+            if (new Set(facets.map(facet => facet.field)).size !== facets.length) {
+                return res.status(400).json({ msg: 'Each facet field can only be listed once.' });
+            }
+            pipeline = buildMatchStages(collectionName, req.user.uid, filter, options);
+            matching = { filter, options };
+        } catch (error) {
+            return res.status(400).json({ msg: error.message });
+        }
+
+        // Authorized before anything reads the collection
+        await authorizeRequest(req, 'list', { query: readStructuredQuery(req) });
+
+        await requireQueryIndexes(Model, matching.filter, matching.options);
+
+        pipeline.push(buildFacetsStage(facets));
+
+        const [result] = await Model.aggregate(pipeline).option({ maxTimeMS: readTimeLimit() }).exec();
+
+        res.json({
+            data: formatFacetsResult(result, facets),
+        });
     } catch (err) {
         console.error(err.message);
+        if (err.name === 'PermissionDeniedError') {
+            return res.status(403).json({ msg: err.message });
+        }
+        if (err.name === 'MissingIndexError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        if (isTimeLimitError(err)) {
+            return respondToTimeout(req, res);
+        }
         res.status(500).send('Server Error');
     }
 });
 
-// POST create multiple new documents (batch write)
-router.post('/:collectionName/batch', limitsMiddleware, async (req, res) => {
+// Interval of the comments that keep idle subscriptions from being closed by proxies
+const SUBSCRIPTION_HEARTBEAT_MS = 25000;
+// Matching documents a subscription tracks from the start, so it can tell which deletes concern it
+const SUBSCRIPTION_MAX_TRACKED = 10000;
+
+// GET subscribe to changes of the documents matching a structured query, as Server-Sent Events
+// Example: GET /api/messages/subscribe?query={"conditions":[{"field":"roomId","operator":"==","value":"lobby"}],"select":"text,author"}
+// Sends "insert" and "update" events with the (selected fields of the) document when it matches the query,
+// and "delete" events with the document's ids. A deleted document can't be read back, so deletes are only sent for
+// documents the subscriber could see: those that matched when it subscribed and those it has been sent since.
+// See lib/realtime.js for where the changes come from.
+router.get('/:collectionName/subscribe', async (req, res) => {
     try {
         const collectionName = req.params.collectionName;
         const Model = getDynamicModel(collectionName);
 
-        // Ensure req.body is an array
-        if (!Array.isArray(req.body)) {
-            return res.status(400).json({ msg: 'Request body must be an array of documents.' });
+        let filter;
+        let options;
+        try {
+            ({ filter, options } = withinOwnership(req, 'read', withoutTrashed(collectionName, parseStructuredQuery(readStructuredQuery(req), req.user.uid))));
+        } catch (error) {
+            return res.status(400).json({ msg: error.message });
         }
-
-        // Ensure the array is not empty
-        if (req.body.length === 0) {
-            return res.status(400).json({ msg: 'Request body array cannot be empty.' });
+        if (options.geoNear) {
+            return res.status(400).json({ msg: 'The "near" operator cannot be used in subscriptions.' });
         }
 
-        const documents = req.body.map(doc => {
-            // if (!doc.userId) {
-            //     doc.userId = req.user.uid;
-            // }
+        await authorizeRequest(req, 'list', { query: readStructuredQuery(req) });
 
-            return doc;
+        const visibleIds = new Set((await Model.find(filter, { _id: 1 }).limit(SUBSCRIPTION_MAX_TRACKED).maxTimeMS(readTimeLimit()).lean())
+            .map(({ _id }) => String(_id)));
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
         });
+        res.flushHeaders();
 
-        const newDocuments = await Model.insertMany(documents, { ordered: false }); // ordered: false allows other valid operations to continue if one fails
-        res.status(201).json(newDocuments);
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+        // Events are handled one at a time so they reach the client in order
+        let queue = Promise.resolve();
+        const handleEvent = async (event) => {
+            if (event.type === 'error') {
+                send('error', { msg: event.message });
+                return res.end();
+            }
+            if (event.type === 'delete') {
+                if (visibleIds.delete(String(event._id))) {
+                    send('delete', { _id: event._id, id: event.id });
+                }
+                return;
+            }
+            // Reading the document back both checks it against the query and applies the selection
+            const document = await Model.findOne({ $and: [filter, { _id: event._id }] }, options.projection).lean();
+            if (document) {
+                visibleIds.add(String(event._id));
+                send(event.type, { id: document.id, document });
+            }
+        };
+
+        let subscription = null;
+        let heartbeat = null;
+        let closed = false;
+        req.on('close', () => {
+            closed = true;
+            clearInterval(heartbeat);
+            subscription?.unsubscribe();
+        });
+
+        subscription = await subscribe(collectionName, Model, (event) => {
+            queue = queue.then(() => handleEvent(event)).catch(err => console.error('Subscription error:', err.message));
+        });
+        // The client may have gone away while the feed was being opened
+        if (closed) {
+            return subscription.unsubscribe();
+        }
+
+        heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SUBSCRIPTION_HEARTBEAT_MS);
+        send('ready', { collection: collectionName, mode: subscription.mode });
     } catch (err) {
-        console.error("Batch write error:", err.message);
-        // Check if it's a bulk write error which might contain more details
-        if (err.name === 'MongoBulkWriteError' && err.writeErrors) {
-            return res.status(500).json({
-                msg: 'Server Error during batch write. Some documents may have failed.',
-                errors: err.writeErrors.map(e => ({ index: e.index, code: e.code, errmsg: e.errmsg })),
-                insertedCount: err.result ? err.result.nInserted : 0
-            });
+        console.error('Subscription error:', err.message);
+        if (res.headersSent) {
+            return res.end();
         }
-        res.status(500).send('Server Error');
+        if (err.name === 'PermissionDeniedError') {
+            return res.status(403).json({ msg: err.message });
+        }
+        res.status(500).json({ msg: 'Server Error' });
     }
 });
 
-// PUT update a document by ID
-router.put('/:collectionName/:id', async (req, res) => {
+// Reject trash requests for collections without soft delete
+const requireSoftDelete = (req, res, next) => {
+    if (!isSoftDeleteCollection(req.params.collectionName)) {
+        return res.status(400).json({ msg: `Soft delete is not enabled for the '${req.params.collectionName}' collection.` });
+    }
+    next();
+};
+
+// GET the trashed documents of a collection, most recently deleted first
+// Example: GET /api/accounts/trash?query={"conditions":[{"field":"userId","operator":"==","value":"userId"}],"limitCount":20}
+// Supports the conditions, sorting, offset paging and "select" of the structured query.
+router.get('/:collectionName/trash', requireSoftDelete, async (req, res) => {
     try {
         const collectionName = req.params.collectionName;
         const Model = getDynamicModel(collectionName);
-        let queryFilter = { id: req.params.id };
-
-        // if (collectionName !== 'users') {
-        //     queryFilter.userId = req.user.uid;
-        // } else {
-        //     // For 'users' collection, user can only update their own document.
-        //     if (req.params.id !== req.user.uid) {
-        //         return res.status(403).json({ msg: 'Forbidden: You can only update your own user document.' });
-        //     }
-        //     // queryFilter is already { id: req.params.id }, which is validated to be req.user.uid
-        // }
 
-        const updatedDocument = await Model.findOneAndUpdate(
-            queryFilter,
-            req.body,
-            { new: true, runValidators: true }
-        );
+        let filter;
+        let options;
+        let parsedQuery;
+        try {
+            parsedQuery = readStructuredQuery(req);
+            ({ filter, options } = parseStructuredQuery(parsedQuery, req.user.uid));
+            options.limit = resolvePageSize(collectionName, options.limit);
+        } catch (error) {
+            return res.status(400).json({ msg: error.message });
+        }
 
-        if (!updatedDocument) {
-            return res.status(404).json({ msg: 'Document not found or you are not authorized to update it' });
+        if (options.geoNear || options.cursor) {
+            return res.status(400).json({ msg: 'The trash supports neither "near" conditions nor cursors; use offsetCount to page.' });
         }
-        res.json(updatedDocument);
+
+        await authorizeRequest(req, 'list', { query: parsedQuery });
+        await requireQueryIndexes(Model, filter, options);
+
+        const sort = parsedQuery.orderByField === undefined && !parsedQuery.sortObject ?
+            { [DELETED_AT_FIELD]: -1, id: -1 } :
+            options.sort;
+
+        filter = onlyDeleted(ownerFilter(collectionName, req.user, 'read', filter));
+        const query = Model.find(filter).sort(sort).limit(options.limit).maxTimeMS(readTimeLimit()).lean();
+        if (options.skip) {
+            query.skip(options.skip);
+        }
+        if (options.projection) {
+            query.select(options.projection);
+        }
+
+        const [documents, total] = await Promise.all([query.exec(), Model.countDocuments(filter).maxTimeMS(readTimeLimit())]);
+
+        res.json({
+            data: documents,
+            metadata: {
+                total,
+                limit: options.limit,
+                offset: options.skip || 0,
+            },
+        });
     } catch (err) {
         console.error(err.message);
-        if (err.kind === 'ObjectId') {
-            return res.status(400).json({ msg: 'Invalid Document ID' });
+        if (err.name === 'PermissionDeniedError') {
+            return res.status(403).json({ msg: err.message });
+        }
+        if (err.name === 'MissingIndexError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        if (isTimeLimitError(err)) {
+            return respondToTimeout(req, res);
         }
         res.status(500).send('Server Error');
     }
 });
 
-// DELETE multiple documents by IDs (bulk delete)
-router.delete('/:collectionName/batch', async (req, res) => {
+// POST restore trashed documents by IDs
+// Example: POST /api/accounts/trash/restore
+// Body: { "ids": ["01J...", "01H..."] }
+router.post('/:collectionName/trash/restore', requireSoftDelete, async (req, res) => {
     try {
         const collectionName = req.params.collectionName;
         const Model = getDynamicModel(collectionName);
@@ -481,92 +808,1041 @@ router.delete('/:collectionName/batch', async (req, res) => {
             return res.status(400).json({ msg: 'Request body must contain a non-empty array "ids".' });
         }
 
-        let deleteFilter = {};
-        let idsToConsiderForDeletion = [...ids]; // IDs that we might attempt to delete
+        const restoreFilter = onlyDeleted(ownerFilter(collectionName, req.user, 'write', { id: { $in: ids } }));
 
-        if (collectionName !== 'users') {
-            deleteFilter.id = { $in: ids };
-            deleteFilter.userId = req.user.uid;
-        } else {
-            // For 'users' collection, only allow deleting the user's own ID if present in the batch.
-            const currentUserIdsInBatch = ids.filter(id => id === req.user.uid);
-            if (currentUserIdsInBatch.length === 0) {
-                // No IDs in the batch match the current user, or none were provided that match.
-                return res.json({
-                    successCount: 0,
-                    errors: ids.map(id => ({ id, error: 'Not authorized or not your own user ID' }))
-                });
+        // Restoring is an update of the trashed documents
+        if (await hasRules(collectionName)) {
+            const trashed = await Model.find(restoreFilter).lean();
+            const denied = await authorizeBatch(req, trashed.map(doc => ({ operation: 'update', label: `Document "${doc.id}"`, resource: doc, data: previewUpdate(doc, restoreUpdate()) })));
+            if (denied) {
+                return res.status(403).json({ msg: `${denied} Nothing was restored.` });
             }
-            deleteFilter.id = { $in: currentUserIdsInBatch };
-            idsToConsiderForDeletion = currentUserIdsInBatch; // We only care about these for success/error reporting
         }
 
-        const result = await Model.deleteMany(deleteFilter);
-        const successCount = result.deletedCount || 0;
-        let errors = [];
+        const trashedIds = (await Model.find(restoreFilter).select('id').lean()).map(doc => doc.id);
+        const result = await Model.updateMany(restoreFilter, restoreUpdate());
+        await afterWrite(collectionName, await Model.find({ id: { $in: trashedIds } }).lean(), 'restore', req.user.uid);
 
-        if (successCount !== idsToConsiderForDeletion.length) {
-            // To find which IDs were not deleted (among those we attempted to delete):
-            // We need to query with the same filter criteria used for deletion attempt.
-            const findFilterForMissing = { ...deleteFilter };
-            const foundDocs = await Model.find(findFilterForMissing).select('id');
-            const foundIds = foundDocs.map(doc => doc.id);
-            const notFoundOrAuthorizedIds = idsToConsiderForDeletion.filter(id => !foundIds.includes(id));
-            errors = notFoundOrAuthorizedIds.map(id => ({ id, error: 'Not found or not authorized' }));
-        }
+        const errors = ids
+            .filter(id => !trashedIds.includes(id))
+            .map(id => ({ id, error: 'Not found in the trash' }));
 
-        return res.json({ successCount, errors });
+        res.json({ successCount: result.modifiedCount || 0, errors });
     } catch (err) {
-        console.error('Batch delete error:', err.message);
+        console.error('Restore error:', err.message);
         res.status(500).json({ msg: 'Server Error' });
     }
 });
 
-// PATCH update a specific path in a document (e.g., add to array)
-router.patch('/:collectionName/:id/path', async (req, res) => {
+// DELETE permanently remove trashed documents deleted longer ago than the retention period
+// Example: DELETE /api/accounts/trash?olderThanDays=90
+// olderThanDays defaults to SOFT_DELETE_RETENTION_DAYS and can't be shorter, so documents stay recoverable that long.
+router.delete('/:collectionName/trash', requireSoftDelete, async (req, res) => {
     try {
-        const { collectionName, id } = req.params;
-        const { path, data, operation = 'push' } = req.body;
+        const collectionName = req.params.collectionName;
+        const Model = getDynamicModel(collectionName);
+        const { retentionDays } = config.softDelete;
 
-        // --- 1. Authorization (Query Filtering) ---
+        const olderThanDays = req.query.olderThanDays === undefined ? retentionDays : Number(req.query.olderThanDays);
+        if (!Number.isInteger(olderThanDays) || olderThanDays < retentionDays) {
+            return res.status(400).json({ msg: `olderThanDays must be a whole number of days, at least the retention period of ${retentionDays}.` });
+        }
 
-        // It's standard practice to use MongoDB's `_id`. If you use a custom `id`, replace `_id` below.
-        const queryFilter = { id };
-
-        // if (collectionName !== 'users') {
-        //     // User can only update documents they own in other collections.
-        //     queryFilter.userId = req.user.uid; // Assumes user ID is on the doc
-        // } else {
-        //     // For 'users' collection, user can only update their own document.
-        //     if (id !== req.user.uid) {
-        //         return res.status(403).json({ msg: 'Forbidden: You can only update your own user document.' });
-        //     }
-        // }
+        // Purging checks the delete rule once for the whole trash, so only rules that don't look at the document can allow it
+        await authorizeRequest(req, 'delete');
 
-        // --- 2. Build Update Operation (Generic and DRY) ---
-        // The special `commentIndex` logic is removed. The client should provide the full path.
-        // For example: "comments.3.replies"
-        const updateOperation = {
-            [`$${operation}`]: { [path]: data }
-        };
+        const result = await Model.deleteMany(ownerFilter(collectionName, req.user, 'write', purgeFilter(olderThanDays)));
+
+        res.json({ purgedCount: result.deletedCount || 0, olderThanDays });
+    } catch (err) {
+        console.error('Purge error:', err.message);
+        if (err.name === 'PermissionDeniedError') {
+            return res.status(403).json({ msg: err.message });
+        }
+        res.status(500).json({ msg: 'Server Error' });
+    }
+});
+
+// GET the JSON Schema of a collection, with its mode and level
+router.get('/:collectionName/schema', async (req, res) => {
+    try {
+        const schema = await getCollectionSchema(getDynamicModel(req.params.collectionName));
+
+        if (!schema) {
+            return res.status(404).json({ msg: 'This collection has no schema.' });
+        }
+        res.json(schema);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// PUT set the JSON Schema documents of a collection must follow (see lib/collectionSchemas.js)
+// Example: PUT /api/orders/schema
+// Body: { "schema": { "required": ["amount"], "properties": { "amount": { "bsonType": "number", "minimum": 0 } } },
+//         "mode": "enforce", "level": "strict" }
+// "mode": "warn" accepts invalid documents and only has MongoDB log them. Replaces any previous schema.
+// A schema decides which writes everyone else can make, so only administrators (ADMIN_UIDS) manage schemas.
+router.put('/:collectionName/schema', adminMiddleware, async (req, res) => {
+    try {
+        const Model = getDynamicModel(req.params.collectionName);
+        const { schema, mode, level } = req.body;
+
+        let collectionSchema;
+        try {
+            collectionSchema = await setCollectionSchema(Model, schema, { mode, level });
+        } catch (error) {
+            if (error.name === 'MongoServerError') {
+                throw error;
+            }
+            return res.status(400).json({ msg: error.message });
+        }
+
+        res.json(collectionSchema);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).json({ msg: 'Server Error', error: err.message });
+    }
+});
+
+// DELETE remove the schema of a collection, making it schemaless again (administrators only)
+router.delete('/:collectionName/schema', adminMiddleware, async (req, res) => {
+    try {
+        const removed = await removeCollectionSchema(getDynamicModel(req.params.collectionName));
+
+        if (!removed) {
+            return res.status(404).json({ msg: 'This collection has no schema.' });
+        }
+        res.status(204).send();
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Respond to a write that matched no document. When the write was conditional and the document exists
+// at another revision, that's a 412 with the current revision; otherwise the document is missing (404).
+const respondToUnmatchedWrite = async (res, Model, queryFilter, expectedRevisions, notFoundMessage) => {
+    if (expectedRevisions) {
+        const current = await Model.findOne(queryFilter).select(REVISION_FIELD).lean();
+        if (current) {
+            setETag(res, current);
+            return res.status(412).json({
+                msg: 'Precondition Failed: the document has been modified since it was read.',
+                currentRevision: currentRevision(current),
+            });
+        }
+    }
+    return res.status(404).json({ msg: notFoundMessage });
+};
+
+// Add the If-Match revision check to a write filter; throws on a malformed If-Match / _rev
+const withRevisionCheck = (req, queryFilter) => {
+    const expectedRevisions = getExpectedRevisions(req);
+    const filter = expectedRevisions ? { ...queryFilter, ...revisionFilter(expectedRevisions) } : queryFilter;
+    return { filter, expectedRevisions };
+};
+
+// Security rules are checked against a document as read, so a checked write is pinned to that revision of it.
+// Returns the filter to write with, or null when the client's If-Match doesn't hold anyway.
+const pinToRevision = (queryFilter, current, expectedRevisions) => {
+    if (expectedRevisions && !expectedRevisions.includes(currentRevision(current))) {
+        return null;
+    }
+    return { ...queryFilter, ...revisionFilter([currentRevision(current)]) };
+};
+
+const CHANGED_WHILE_AUTHORIZING = 'The document was modified while its security rules were checked, please retry.';
+
+// GET a single document by ID
+router.get('/:collectionName/:id', async (req, res) => {
+    try {
+        const collectionName = req.params.collectionName;
+        const Model = getDynamicModel(collectionName);
+        let queryFilter = ownerFilter(collectionName, req.user, 'read', excludeDeleted(collectionName, { id: req.params.id }));
+
+        let projection;
+        try {
+            // The revision is always kept so the ETag can be sent
+            projection = keepFields(parseProjection(req.query.fields), [REVISION_FIELD]);
+        } catch (error) {
+            return res.status(400).json({ msg: error.message });
+        }
+
+        // The rules look at the stored document, before any populate or selection
+        if (await hasRules(collectionName)) {
+            const stored = await Model.findOne(queryFilter).lean();
+            if (stored) {
+                await authorizeRequest(req, 'get', { resource: stored });
+            }
+        }
+
+        let pipeline = [{ $match: queryFilter }];
+
+        // e.g. ?populate=account,account.owner or ?populate=[{"relation":"account","select":["name"]}]
+        if (req.query.populate) {
+            try {
+                const populateStages = await buildPopulateStages(collectionName, parsePopulateParam(req.query.populate));
+                await authorizeLookups(req, populateStages);
+                pipeline.push(...scopeLookups(populateStages, req.user));
+            } catch (error) {
+                if (error.name !== 'PopulateError') {
+                    throw error;
+                }
+                return res.status(400).json({ msg: error.message });
+            }
+        }
+
+        // e.g. ?fields=name,account.name or ?fields=-password
+        if (projection) {
+            pipeline.push({ $project: projection });
+        }
+
+        const documents = await Model.aggregate(pipeline).option({ maxTimeMS: readTimeLimit() }).exec();
+
+        if (!documents.length) {
+            return res.status(404).json({ msg: 'Document not found or you are not authorized to access it' });
+        }
+
+        setETag(res, documents[0]);
+        res.json(documents[0]);
+    } catch (err) {
+        console.error(err.message);
+        if (err.name === 'PermissionDeniedError') {
+            return res.status(403).json({ msg: err.message });
+        }
+        if (isTimeLimitError(err)) {
+            return respondToTimeout(req, res);
+        }
+        if (err.kind === 'ObjectId') {
+            return res.status(400).json({ msg: 'Invalid Document ID' });
+        }
+        res.status(500).send('Server Error');
+    }
+});
+
+// GET the revision history of a document, newest first
+// Example: GET /api/accounts/01J.../history?limit=20&offset=0
+// Each entry has the action, the revision, the acting user and a snapshot of the document (see lib/history.js).
+router.get('/:collectionName/:id/history', async (req, res) => {
+    try {
+        const { collectionName, id } = req.params;
+        const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit);
+        const offset = req.query.offset === undefined ? 0 : parseInt(req.query.offset);
+
+        if (isNaN(limit) || limit < 1 || isNaN(offset) || offset < 0) {
+            return res.status(400).json({ msg: 'limit must be a positive number and offset a non-negative number.' });
+        }
+
+        // Other users' documents have no history to show; deleted ones belong to the owner of their last snapshot
+        if (getOwnership(collectionName)?.read) {
+            const stored = await getDynamicModel(collectionName).findOne({ id }).lean() ??
+                await findRevision(collectionName, id, await latestRecordedRevision(collectionName, id));
+            if (!ownsDocument(collectionName, req.user, 'read', stored)) {
+                return res.status(404).json({ msg: 'Document not found or you are not authorized to access it' });
+            }
+        }
+
+        // Reading the history is reading the document (trashed ones included)
+        if (await hasRules(collectionName)) {
+            await authorizeRequest(req, 'get', { resource: await getDynamicModel(collectionName).findOne({ id }).lean() });
+        }
+
+        const { entries, total } = await getHistory(collectionName, id, { limit, skip: offset });
+
+        res.json({
+            data: entries,
+            metadata: { total, limit, offset },
+        });
+    } catch (err) {
+        console.error(err.message);
+        if (err.name === 'PermissionDeniedError') {
+            return res.status(403).json({ msg: err.message });
+        }
+        res.status(500).send('Server Error');
+    }
+});
+
+// POST revert a document to a revision from its history
+// Example: POST /api/accounts/01J.../revert
+// Body: { "revision": 3 }
+// The document gets the snapshot's content under a new revision; a deleted document is brought back.
+// If-Match works as on other writes.
+router.post('/:collectionName/:id/revert', async (req, res) => {
+    try {
+        const { collectionName, id } = req.params;
+        const Model = getDynamicModel(collectionName);
+        const revision = Number(req.body.revision);
+
+        if (!Number.isInteger(revision) || revision < 0) {
+            return res.status(400).json({ msg: 'Request body must contain the "revision" to revert to.' });
+        }
+
+        let expectedRevisions;
+        try {
+            expectedRevisions = getExpectedRevisions(req);
+        } catch (error) {
+            return res.status(400).json({ msg: error.message });
+        }
+
+        const snapshot = await findRevision(collectionName, id, revision);
+        if (!snapshot) {
+            return res.status(404).json({ msg: `Revision ${revision} is not in the history of this document.` });
+        }
+
+        // The current document, trashed or not
+        const current = await Model.findOne({ id }).lean();
+        if (current && !ownsDocument(collectionName, req.user, 'write', current)) {
+            return res.status(404).json({ msg: 'Document not found or you are not authorized to access it' });
+        }
+        const ownerError = checkOwnerWrite(collectionName, req.user, { replacement: snapshot });
+        if (ownerError) {
+            return res.status(403).json({ msg: ownerError });
+        }
+        if (current && expectedRevisions && !expectedRevisions.includes(currentRevision(current))) {
+            setETag(res, current);
+            return res.status(412).json({
+                msg: 'Precondition Failed: the document has been modified since it was read.',
+                currentRevision: currentRevision(current),
+            });
+        }
+
+        // Reverting writes the snapshot's content: an update, or a create when the document was deleted
+        await authorizeRequest(req, current ? 'update' : 'create', { resource: current, data: snapshot });
+
+        let revertedDocument;
+
+        if (current) {
+            revertedDocument = await replaceAtRevision(Model, current, snapshot);
+            if (!revertedDocument) {
+                return res.status(409).json({ msg: 'The document was modified while reverting, please retry.' });
+            }
+        } else {
+            if (expectedRevisions) {
+                return res.status(404).json({ msg: 'Document not found.' });
+            }
+            // The document was deleted: bring it back with its original _id, after the last recorded revision
+            const nextRevision = (await latestRecordedRevision(collectionName, id)) + 1;
+            await Model.collection.insertOne({ ...snapshot, [REVISION_FIELD]: nextRevision, updatedAt: new Date() });
+            revertedDocument = await Model.findOne({ id });
+        }
+
+        await afterWrite(collectionName, revertedDocument, 'revert', req.user?.uid, { revertedTo: revision });
+        setETag(res, revertedDocument);
+        res.json(revertedDocument);
+    } catch (err) {
+        console.error(err.message);
+        if (err.code === 11000) {
+            return res.status(409).json({ msg: 'The document was recreated while reverting, please retry.' });
+        }
+        if (err.name === 'PermissionDeniedError') {
+            return res.status(403).json({ msg: err.message });
+        }
+        if (isSchemaValidationError(err)) {
+            return res.status(400).json(validationErrorBody(err));
+        }
+        res.status(500).send('Server Error');
+    }
+});
+
+// POST create a new document
+router.post('/:collectionName', limitsMiddleware, async (req, res) => {
+    try {
+        const collectionName = req.params.collectionName;
+        const Model = getDynamicModel(collectionName);
+
+        const trashError = checkTrashFields({ document: req.body });
+        if (trashError) {
+            return res.status(400).json({ msg: trashError });
+        }
+
+        const document = stampOwner(collectionName, req.user, req.body);
+        const ownerError = checkOwnerWrite(collectionName, req.user, { document });
+        if (ownerError) {
+            return res.status(403).json({ msg: ownerError });
+        }
+
+        await authorizeRequest(req, 'create', { data: document });
+
+        const newDocument = new Model(document);
+        await newDocument.save();
+        await afterWrite(collectionName, newDocument, 'create', req.user?.uid);
+        res.status(201).json(newDocument);
+    } catch (err) {
+        console.error(err.message);
+        if (err.name === 'PermissionDeniedError') {
+            return res.status(403).json({ msg: err.message });
+        }
+        if (isSchemaValidationError(err)) {
+            return res.status(400).json(validationErrorBody(err));
+        }
+        res.status(500).send('Server Error');
+    }
+});
+
+// POST create multiple new documents (batch write)
+router.post('/:collectionName/batch', limitsMiddleware, async (req, res) => {
+    try {
+        const collectionName = req.params.collectionName;
+        const Model = getDynamicModel(collectionName);
+
+        // Ensure req.body is an array
+        if (!Array.isArray(req.body)) {
+            return res.status(400).json({ msg: 'Request body must be an array of documents.' });
+        }
+
+        // Ensure the array is not empty
+        if (req.body.length === 0) {
+            return res.status(400).json({ msg: 'Request body array cannot be empty.' });
+        }
+
+        const documents = req.body.map(doc => stampOwner(collectionName, req.user, doc));
+
+        for (const [index, document] of documents.entries()) {
+            const trashError = checkTrashFields({ document });
+            if (trashError) {
+                return res.status(400).json({ msg: `Document at index ${index}: ${trashError} Nothing was inserted.` });
+            }
+            const ownerError = checkOwnerWrite(collectionName, req.user, { document });
+            if (ownerError) {
+                return res.status(403).json({ msg: `Document at index ${index}: ${ownerError} Nothing was inserted.` });
+            }
+        }
+
+        const denied = await authorizeBatch(req, documents.map((doc, index) => ({ operation: 'create', label: `Document at index ${index}`, data: doc })));
+        if (denied) {
+            return res.status(403).json({ msg: `${denied} Nothing was inserted.` });
+        }
+
+        const newDocuments = await Model.insertMany(documents, { ordered: false }); // ordered: false allows other valid operations to continue if one fails
+        await afterWrite(collectionName, newDocuments, 'create', req.user?.uid);
+        res.status(201).json(newDocuments);
+    } catch (err) {
+        console.error("Batch write error:", err.message);
+        // Check if it's a bulk write error which might contain more details
+        if (err.name === 'MongoBulkWriteError' && err.writeErrors) {
+            // The documents that did go in still get their history
+            await afterWrite(req.params.collectionName, err.insertedDocs, 'create', req.user?.uid);
+            // Documents rejected by the collection's schema are the client's error; the valid ones are still inserted
+            const invalidOnly = err.writeErrors.every(isSchemaValidationError);
+            return res.status(invalidOnly ? 400 : 500).json({
+                msg: invalidOnly ?
+                    'Some documents failed schema validation; the others were inserted.' :
+                    'Server Error during batch write. Some documents may have failed.',
+                errors: err.writeErrors.map(e => ({
+                    index: e.index,
+                    code: e.code,
+                    errmsg: e.errmsg,
+                    ...(isSchemaValidationError(e) ? { details: validationErrors(e) } : {}),
+                })),
+                insertedCount: err.result ? err.result.nInserted : 0
+            });
+        }
+        res.status(500).send('Server Error');
+    }
+});
+
+// Flag upserting writes so limitsMiddleware counts them as creations
+const markUpsert = (isUpsert) => (req, res, next) => {
+    res.locals.upsert = isUpsert(req);
+    next();
+};
+
+const isTruthyParam = (value) => value === 'true' || value === '1' || value === true;
+
+// Upserts don't write over trashed documents, nor create a second document next to one
+const IN_TRASH_MSG = 'is in the trash. Restore it first with POST /api/:collectionName/trash/restore.';
+
+// PUT upsert multiple documents matched on `id` or another key field (batch sync)
+// Example: PUT /api/notes/batch?key=id
+// Body: [ { "id": "01J...", "title": "Created offline" }, { "id": "01H...", "title": "Edited offline" } ]
+// Documents whose key matches an existing document update it; the rest are inserted.
+// Only the rows that create a document count against the collection limit, so the route checks it itself.
+router.put('/:collectionName/batch', async (req, res) => {
+    try {
+        const collectionName = req.params.collectionName;
+        const Model = getDynamicModel(collectionName);
+        const key = req.query.key || 'id';
+
+        if (typeof key !== 'string' || key.startsWith('$') || key === '_id') {
+            return res.status(400).json({ msg: 'Invalid key field.' });
+        }
+
+        // Ensure req.body is a non-empty array
+        if (!Array.isArray(req.body) || req.body.length === 0) {
+            return res.status(400).json({ msg: 'Request body must be a non-empty array of documents.' });
+        }
+
+        const seenKeys = new Set();
+        for (const [index, doc] of req.body.entries()) {
+            const keyValue = doc?.[key];
+            if (keyValue === undefined || keyValue === null || typeof keyValue === 'object') {
+                return res.status(400).json({ msg: `Document at index ${index} is missing a value for key field "${key}".` });
+            }
+            if (seenKeys.has(keyValue)) {
+                return res.status(400).json({ msg: `Duplicate value "${keyValue}" for key field "${key}" at index ${index}.` });
+            }
+            const trashError = checkTrashFields({ update: doc });
+            if (trashError) {
+                return res.status(400).json({ msg: `Document at index ${index}: ${trashError} Nothing was written.` });
+            }
+            seenKeys.add(keyValue);
+        }
+
+        if (isSoftDeleteCollection(collectionName)) {
+            const trashed = new Set((await Model.find(onlyDeleted({ [key]: { $in: [...seenKeys] } })).select(key).lean()).map(doc => doc[key]));
+            const index = req.body.findIndex(doc => trashed.has(doc[key]));
+            if (index !== -1) {
+                return res.status(409).json({ msg: `Document at index ${index} ${IN_TRASH_MSG} Nothing was written.` });
+            }
+        }
+
+        // Rows matching an existing document are updates of it, the others creates. The documents themselves are
+        // only needed for the ownership and rules checks.
+        const rulesApply = await hasRules(collectionName);
+        const existingQuery = Model.find(excludeDeleted(collectionName, { [key]: { $in: [...seenKeys] } }));
+        if (!rulesApply && !getOwnership(collectionName)) {
+            existingQuery.select(key);
+        }
+        const existing = new Map((await existingQuery.lean()).map(doc => [doc[key], doc]));
+
+        const createdCount = req.body.filter(doc => !existing.has(doc[key])).length;
+        const limitMessage = createdCount > 0 ? await checkCollectionLimit(collectionName, req.user, createdCount) : null;
+        if (limitMessage) {
+            return res.status(403).json({ msg: limitMessage });
+        }
+
+        // In owned collections rows only update the caller's documents, and created ones get their owner (see lib/ownership.js)
+        for (const [index, doc] of req.body.entries()) {
+            const current = existing.get(doc[key]);
+            if (current && !ownsDocument(collectionName, req.user, 'write', current)) {
+                return res.status(403).json({ msg: `Document at index ${index}: not found or you are not authorized to update it. Nothing was written.` });
+            }
+            const ownerError = checkOwnerWrite(collectionName, req.user, { update: doc });
+            if (ownerError) {
+                return res.status(403).json({ msg: `Document at index ${index}: ${ownerError} Nothing was written.` });
+            }
+        }
+        const rows = req.body.map(doc => (existing.has(doc[key]) ? doc : stampOwner(collectionName, req.user, doc)));
+
+        if (rulesApply) {
+            const denied = await authorizeBatch(req, rows.map((doc, index) => {
+                const current = existing.get(doc[key]);
+                return current ?
+                    { operation: 'update', label: `Document at index ${index}`, resource: current, data: previewUpdate(current, doc) } :
+                    { operation: 'create', label: `Document at index ${index}`, data: doc };
+            }));
+            if (denied) {
+                return res.status(403).json({ msg: `${denied} Nothing was written.` });
+            }
+        }
+
+        // bulkWrite skips the model's update hooks, so the revision is bumped here
+        const operations = rows.map(({ _id, _rev, ...doc }) => ({
+            updateOne: {
+                filter: ownerFilter(collectionName, req.user, 'write', excludeDeleted(collectionName, { [key]: doc[key] })),
+                update: { $set: doc, $inc: { [REVISION_FIELD]: 1 } },
+                upsert: true,
+            },
+        }));
+
+        // ordered: false lets the other rows go through if one fails
+        let result;
+        let writeErrors = [];
+        try {
+            result = await Model.bulkWrite(operations, { ordered: false });
+        } catch (err) {
+            if (err.name !== 'MongoBulkWriteError' || !err.writeErrors) {
+                throw err;
+            }
+            result = err.result;
+            writeErrors = [].concat(err.writeErrors);
+        }
+
+        // Every successful upsert either matched a document (updated) or created one (inserted)
+        const upsertedIndexes = new Set(Object.keys(result?.upsertedIds || {}).map(Number));
+        const failedIndexes = new Map(writeErrors.map(e => [e.index, e]));
+
+        const results = req.body.map((doc, index) => {
+            const failure = failedIndexes.get(index);
+            if (failure) {
+                return {
+                    index,
+                    [key]: doc[key],
+                    status: 'failed',
+                    code: failure.code,
+                    errmsg: failure.errmsg,
+                    ...(isSchemaValidationError(failure) ? { details: validationErrors(failure) } : {}),
+                };
+            }
+            return { index, [key]: doc[key], status: upsertedIndexes.has(index) ? 'inserted' : 'updated' };
+        });
+
+        // bulkWrite doesn't return documents, so the written ones are read back for the history
+        const writtenDocuments = await Model.find({ [key]: { $in: results.filter(row => row.status !== 'failed').map(row => row[key]) } }).lean();
+        const insertedKeys = new Set(results.filter(row => row.status === 'inserted').map(row => row[key]));
+        await afterWrite(collectionName, writtenDocuments.filter(doc => insertedKeys.has(doc[key])), 'create', req.user?.uid);
+        await afterWrite(collectionName, writtenDocuments.filter(doc => !insertedKeys.has(doc[key])), 'update', req.user?.uid);
+
+        // Same convention as the batch insert: a partial failure is reported with per-row details, as a 400 when
+        // only the collection's schema rejected rows and a 500 otherwise
+        const invalidOnly = writeErrors.length > 0 && writeErrors.every(isSchemaValidationError);
+        res.status(invalidOnly ? 400 : writeErrors.length ? 500 : 200).json({
+            ...(invalidOnly ? { msg: 'Some documents failed schema validation; the others were written.' } : {}),
+            ...(writeErrors.length && !invalidOnly ? { msg: 'Server Error during batch upsert. Some documents may have failed.' } : {}),
+            insertedCount: results.filter(row => row.status === 'inserted').length,
+            updatedCount: results.filter(row => row.status === 'updated').length,
+            failedCount: writeErrors.length,
+            results,
+        });
+    } catch (err) {
+        console.error('Batch upsert error:', err.message);
+        if (err.name === 'PermissionDeniedError') {
+            return res.status(403).json({ msg: `${err.message} Nothing was written.` });
+        }
+        res.status(500).json({ msg: 'Server Error' });
+    }
+});
+
+// PUT update a document by ID
+// With ?upsert=true the document is created (with this id) when it doesn't exist yet,
+// which lets offline-first clients replay writes for client-generated ids safely.
+// With If-Match (or a "_rev" body field) the update only applies at that revision, otherwise 412.
+router.put('/:collectionName/:id', markUpsert(req => isTruthyParam(req.query.upsert) && !req.get('If-Match')), limitsMiddleware, async (req, res) => {
+    try {
+        const collectionName = req.params.collectionName;
+        const Model = getDynamicModel(collectionName);
+        let queryFilter = ownerFilter(collectionName, req.user, 'write', excludeDeleted(collectionName, { id: req.params.id }));
+
+        let writeFilter;
+        let expectedRevisions;
+        try {
+            ({ filter: writeFilter, expectedRevisions } = withRevisionCheck(req, queryFilter));
+        } catch (error) {
+            return res.status(400).json({ msg: error.message });
+        }
+
+        const trashError = checkTrashFields({ update: req.body });
+        if (trashError) {
+            return res.status(400).json({ msg: trashError });
+        }
+
+        const ownerError = checkOwnerWrite(collectionName, req.user, { update: req.body });
+        if (ownerError) {
+            return res.status(403).json({ msg: ownerError });
+        }
+
+        // A conditional write needs an existing document, so it never creates one
+        const upsert = res.locals.upsert && !expectedRevisions;
+        if (upsert && isSoftDeleteCollection(collectionName) && await Model.exists(onlyDeleted({ id: req.params.id }))) {
+            return res.status(409).json({ msg: `The document ${IN_TRASH_MSG}` });
+        }
+        const update = upsert ? stampOwnerOnInsert(collectionName, req.user, req.body) : req.body;
+
+        // The rules see the document as it is and as it will be; the write then only applies to that revision
+        let pinned = false;
+        if (await hasRules(collectionName)) {
+            const current = await Model.findOne(queryFilter).lean();
+            if (current) {
+                await authorizeRequest(req, 'update', { resource: current, data: previewUpdate(current, req.body) });
+                writeFilter = pinToRevision(queryFilter, current, expectedRevisions);
+                if (!writeFilter) {
+                    return respondToUnmatchedWrite(res, Model, queryFilter, expectedRevisions, 'Document not found or you are not authorized to update it');
+                }
+                pinned = true;
+            } else if (upsert) {
+                // A created document starts from the id (and owner) the filter matches on, plus what $setOnInsert adds
+                const inserted = ownerFilter(collectionName, req.user, 'write', { id: req.params.id });
+                await authorizeRequest(req, 'create', { data: previewUpdate(inserted, update, { insert: true }) });
+            }
+        }
+
+        const result = await Model.findOneAndUpdate(
+            writeFilter,
+            update,
+            { new: true, runValidators: true, upsert, includeResultMetadata: true }
+        );
+        const updatedDocument = result.value;
+
+        if (!updatedDocument) {
+            if (pinned && !expectedRevisions) {
+                return res.status(409).json({ msg: CHANGED_WHILE_AUTHORIZING });
+            }
+            return respondToUnmatchedWrite(res, Model, queryFilter, expectedRevisions, 'Document not found or you are not authorized to update it');
+        }
+
+        // 201 when the upsert created the document
+        const created = upsert && !result.lastErrorObject?.updatedExisting;
+        await afterWrite(collectionName, updatedDocument, created ? 'create' : 'update', req.user?.uid);
+        setETag(res, updatedDocument);
+        res.status(created ? 201 : 200).json(updatedDocument);
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(400).json({ msg: 'Invalid Document ID' });
+        }
+        if (err.code === 11000) {
+            // Two upserts for the same new id raced; the client can safely retry
+            return res.status(409).json({ msg: 'Document was created concurrently, please retry.' });
+        }
+        if (err.name === 'PermissionDeniedError') {
+            return res.status(403).json({ msg: err.message });
+        }
+        if (isSchemaValidationError(err)) {
+            return res.status(400).json(validationErrorBody(err));
+        }
+        res.status(500).send('Server Error');
+    }
+});
+
+// Fields an update-many can't write to, directly or as a $rename target
+const UPDATE_MANY_PROTECTED_FIELDS = ['_id', 'id', REVISION_FIELD];
+
+// Update operators accepted by the update-many route
+const UPDATE_MANY_OPERATORS = ['$set', '$unset', '$inc', '$mul', '$min', '$max', '$rename', '$currentDate', '$push', '$pull', '$pullAll', '$addToSet', '$pop'];
+
+// Check an update document for PATCH /:collectionName. Returns an error message, or null when valid.
+const validateUpdateManyDocument = (update) => {
+    if (!update || typeof update !== 'object' || Array.isArray(update) || Object.keys(update).length === 0) {
+        return 'Request body must contain a non-empty "update" object.';
+    }
+
+    for (const [key, value] of Object.entries(update)) {
+        // $rename writes to its targets as well as its sources
+        const touchedFields = !key.startsWith('$') ? [key] :
+            key === '$rename' ? Object.entries(value || {}).flat() :
+            Object.keys(value || {});
+
+        if (key.startsWith('$') && !UPDATE_MANY_OPERATORS.includes(key)) {
+            return `Update operator "${key}" is not allowed.`;
+        }
+        // Setting the same id on many documents would break its uniqueness, and the revision is the server's
+        const protectedField = touchedFields.find(field => typeof field !== 'string' || UPDATE_MANY_PROTECTED_FIELDS.includes(field.split('.')[0]));
+        if (protectedField !== undefined) {
+            return `The "${protectedField}" field cannot be changed by an update-many.`;
+        }
+    }
+
+    return checkTrashFields({ update });
+};
+
+// PATCH update every document matching a structured filter
+// Example: PATCH /api/notifications
+// Body: { "conditions": [{ "field": "read", "operator": "==", "value": false }], "update": { "read": true }, "dryRun": false }
+// Plain fields in "update" are $set; update operators such as $inc or $push can be used as well.
+// With "dryRun": true nothing is written and only the number of matching documents is returned.
+router.patch('/:collectionName', limitsMiddleware, async (req, res) => {
+    try {
+        const collectionName = req.params.collectionName;
+        const Model = getDynamicModel(collectionName);
+        const { conditions, strict, update } = req.body;
+        const dryRun = isTruthyParam(req.body.dryRun);
+
+        let filter;
+        try {
+            if (!conditions || (Array.isArray(conditions) && conditions.length === 0)) {
+                return res.status(400).json({ msg: 'Request body must contain "conditions" selecting the documents to update.' });
+            }
+
+            let options;
+            ({ filter, options } = withoutTrashed(collectionName, parseStructuredQuery({ conditions, strict }, req.user.uid)));
+            if (options.geoNear) {
+                return res.status(400).json({ msg: 'The "near" operator cannot be used to select documents to update.' });
+            }
+            // Only the user's own documents can be changed (see lib/ownership.js)
+            filter = bulkWriteFilter(collectionName, req.user, filter);
+        } catch (error) {
+            return res.status(400).json({ msg: error.message });
+        }
+
+        const updateError = dryRun ? null : validateUpdateManyDocument(update);
+        if (updateError) {
+            return res.status(400).json({ msg: updateError });
+        }
+
+        const ownerError = dryRun ? null : checkOwnerWrite(collectionName, req.user, { update });
+        if (ownerError) {
+            return res.status(403).json({ msg: ownerError });
+        }
+
+        await requireQueryIndexes(Model, filter);
+
+        // The rules are checked for every matching document (a dry run says whether they would allow the update),
+        // and only the documents they were checked for are updated
+        if (await hasRules(collectionName)) {
+            const documents = await Model.find(filter).lean();
+            const denied = await authorizeBatch(req, documents.map(doc => ({ operation: 'update', label: `Document "${doc.id}"`, resource: doc, data: previewUpdate(doc, update) })));
+            if (denied) {
+                return res.status(403).json({ msg: `${denied} Nothing was updated.` });
+            }
+            filter = { $and: [filter, { id: { $in: documents.map(doc => doc.id) } }] };
+        }
+
+        if (dryRun) {
+            const matchedCount = await Model.countDocuments(filter);
+            return res.json({ matchedCount, dryRun: true });
+        }
+
+        // The matching documents are looked up first so their new state can go into the history
+        const matchedIds = (await Model.find(filter).select('id').lean()).map(doc => doc.id);
+        const result = await Model.updateMany(filter, update, { runValidators: true });
+        await afterWrite(collectionName, await Model.find({ id: { $in: matchedIds } }).lean(), 'update', req.user.uid);
+
+        res.json({
+            matchedCount: result.matchedCount,
+            modifiedCount: result.modifiedCount,
+        });
+    } catch (err) {
+        console.error('Update many error:', err.message);
+        if (err.name === 'PermissionDeniedError') {
+            return res.status(403).json({ msg: `${err.message} Nothing was updated.` });
+        }
+        if (err.name === 'MissingIndexError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        if (isSchemaValidationError(err)) {
+            // updateMany stops at the first invalid document; the ones before it keep the update
+            return res.status(400).json(validationErrorBody(err));
+        }
+        res.status(500).json({ msg: 'Server Error' });
+    }
+});
+
+// DELETE multiple documents by IDs (bulk delete)
+router.delete('/:collectionName/batch', async (req, res) => {
+    try {
+        const collectionName = req.params.collectionName;
+        const Model = getDynamicModel(collectionName);
+
+        const { ids } = req.body;
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return res.status(400).json({ msg: 'Request body must contain a non-empty array "ids".' });
+        }
+
+        // Only the user's own documents can be deleted (see lib/ownership.js)
+        let deleteFilter = bulkWriteFilter(collectionName, req.user, { id: { $in: ids } });
+        const idsToConsiderForDeletion = ids; // IDs that we might attempt to delete
+
+        // Soft delete collections move the documents to the trash instead
+        const softDelete = isSoftDeleteCollection(collectionName);
+        if (softDelete) {
+            deleteFilter = excludeDeleted(collectionName, deleteFilter);
+        }
+
+        if (await hasRules(collectionName)) {
+            const documents = await Model.find(deleteFilter).lean();
+            const denied = await authorizeBatch(req, documents.map(doc => ({ operation: 'delete', label: `Document "${doc.id}"`, resource: doc })));
+            if (denied) {
+                return res.status(403).json({ msg: `${denied} Nothing was deleted.` });
+            }
+        }
+
+        // Relations with delete rules cascade, clear or block the delete (see lib/deleteRules.js)
+        if (await hasDeleteRules(collectionName)) {
+            const { blocking, documents } = await deleteWithRules(collectionName, deleteFilter, req.user);
+            if (blocking) {
+                return res.status(409).json({ msg: 'Some documents are still referenced and cannot be deleted. Nothing was deleted.', references: blocking });
+            }
+
+            const deletedIds = documents.map(doc => doc.id);
+            return res.json({
+                successCount: documents.length,
+                errors: idsToConsiderForDeletion.filter(id => !deletedIds.includes(id)).map(id => ({ id, error: 'Not found or not authorized' })),
+            });
+        }
+
+        // The documents are read first: their last state goes into the history
+        const documentsToDelete = await Model.find(deleteFilter).lean();
+        const result = softDelete ?
+            await Model.updateMany(deleteFilter, trashUpdate(req.user.uid)) :
+            await Model.deleteMany(deleteFilter);
+        const successCount = (softDelete ? result.modifiedCount : result.deletedCount) || 0;
+        await afterWrite(
+            collectionName,
+            softDelete ? await Model.find({ id: { $in: documentsToDelete.map(doc => doc.id) } }).lean() : documentsToDelete,
+            'delete',
+            req.user.uid
+        );
+        let errors = [];
+
+        if (successCount !== idsToConsiderForDeletion.length) {
+            // To find which IDs were not deleted (among those we attempted to delete):
+            // We need to query with the same filter criteria used for deletion attempt.
+            const findFilterForMissing = { ...deleteFilter };
+            const foundDocs = await Model.find(findFilterForMissing).select('id');
+            const foundIds = foundDocs.map(doc => doc.id);
+            const notFoundOrAuthorizedIds = idsToConsiderForDeletion.filter(id => !foundIds.includes(id));
+            errors = notFoundOrAuthorizedIds.map(id => ({ id, error: 'Not found or not authorized' }));
+        }
+
+        return res.json({ successCount, errors });
+    } catch (err) {
+        console.error('Batch delete error:', err.message);
+        if (err.name === 'PermissionDeniedError') {
+            return res.status(403).json({ msg: `${err.message} Nothing was deleted.` });
+        }
+        res.status(500).json({ msg: 'Server Error' });
+    }
+});
+
+// Attempts at a patch without If-Match before giving up on concurrent writers
+const PATCH_ATTEMPTS = 3;
+
+// PATCH a document with a JSON Patch (RFC 6902) or a JSON Merge Patch (RFC 7396), chosen by Content-Type
+// Example: PATCH /api/accounts/01J...
+// Content-Type: application/json-patch+json
+// Body: [ { "op": "test", "path": "/balance", "value": 10 }, { "op": "replace", "path": "/balance", "value": 25 } ]
+// The whole patch applies or nothing does. A failing "test" operation returns 409.
+router.patch('/:collectionName/:id', async (req, res) => {
+    try {
+        const { collectionName, id } = req.params;
+        const Model = getDynamicModel(collectionName);
+        const queryFilter = ownerFilter(collectionName, req.user, 'write', excludeDeleted(collectionName, { id }));
+
+        const applyPatch = req.is(JSON_PATCH_TYPE) ? applyJsonPatch : req.is(MERGE_PATCH_TYPE) ? applyMergePatch : null;
+        if (!applyPatch) {
+            return res.status(415).json({ msg: `Content-Type must be ${JSON_PATCH_TYPE} or ${MERGE_PATCH_TYPE}.` });
+        }
+
+        let expectedRevisions;
+        try {
+            expectedRevisions = getExpectedRevisions(req);
+        } catch (error) {
+            return res.status(400).json({ msg: error.message });
+        }
+
+        // The patch is applied to the document as read and written back only if nobody changed it in between.
+        // With If-Match a change in between is the client's conflict (412); without it, the patch is reapplied.
+        for (let attempt = 1; attempt <= PATCH_ATTEMPTS; attempt++) {
+            const current = await Model.findOne(queryFilter).lean();
+            if (!current) {
+                return res.status(404).json({ msg: 'Document not found or you are not authorized to modify it.' });
+            }
+            if (expectedRevisions && !expectedRevisions.includes(currentRevision(current))) {
+                return respondToUnmatchedWrite(res, Model, queryFilter, expectedRevisions, 'Document not found or you are not authorized to modify it.');
+            }
+
+            let patched;
+            try {
+                patched = applyPatch(current, req.body);
+            } catch (error) {
+                return res.status(error.name === 'PatchTestFailedError' ? 409 : 400).json({ msg: error.message });
+            }
+
+            const ownerError = checkOwnerWrite(collectionName, req.user, { replacement: patched });
+            if (ownerError) {
+                return res.status(403).json({ msg: ownerError });
+            }
+
+            // Written only at the revision the rules were checked against
+            await authorizeRequest(req, 'update', { resource: current, data: patched });
+
+            const updatedDocument = await replaceAtRevision(Model, current, patched);
+            if (updatedDocument) {
+                await afterWrite(collectionName, updatedDocument, 'update', req.user?.uid);
+                setETag(res, updatedDocument);
+                return res.json(updatedDocument);
+            }
+            if (expectedRevisions) {
+                return respondToUnmatchedWrite(res, Model, queryFilter, expectedRevisions, 'Document not found or you are not authorized to modify it.');
+            }
+        }
+
+        res.status(409).json({ msg: 'The document is being modified concurrently, please retry.' });
+    } catch (err) {
+        console.error('Patch error:', err.message);
+        if (err.name === 'PermissionDeniedError') {
+            return res.status(403).json({ msg: err.message });
+        }
+        if (isSchemaValidationError(err)) {
+            return res.status(400).json(validationErrorBody(err));
+        }
+        res.status(500).json({ msg: 'Server Error' });
+    }
+});
+
+// PATCH update a specific path in a document (e.g., add to array)
+router.patch('/:collectionName/:id/path', async (req, res) => {
+    try {
+        const { collectionName, id } = req.params;
+        const { path, data, operation = 'push' } = req.body;
+
+        // --- 1. Authorization (Query Filtering) ---
+
+        // It's standard practice to use MongoDB's `_id`. If you use a custom `id`, replace `_id` below.
+        // In owned collections only the user's own documents match (see lib/ownership.js).
+        const queryFilter = ownerFilter(collectionName, req.user, 'write', excludeDeleted(collectionName, { id }));
+
+        // --- 2. Build Update Operation (Generic and DRY) ---
+        // The special `commentIndex` logic is removed. The client should provide the full path.
+        // For example: "comments.3.replies"
+        const updateOperation = {
+            [`$${operation}`]: { [path]: data }
+        };
+
+        const trashError = checkTrashFields({ update: updateOperation });
+        if (trashError) {
+            return res.status(400).json({ msg: trashError });
+        }
+
+        const ownerError = checkOwnerWrite(collectionName, req.user, { update: updateOperation });
+        if (ownerError) {
+            return res.status(403).json({ msg: ownerError });
+        }
 
         // --- 3. Execute Database Query ---
 
+        // If-Match (or a "_rev" body field) makes the change conditional on the revision the client read
+        let writeFilter;
+        let expectedRevisions;
+        try {
+            ({ filter: writeFilter, expectedRevisions } = withRevisionCheck(req, queryFilter));
+        } catch (error) {
+            return res.status(400).json({ msg: error.message });
+        }
+
         const Model = getDynamicModel(collectionName);
+
+        // As on PUT, the rules see the document before and after, and the write is pinned to the checked revision
+        let pinned = false;
+        if (await hasRules(collectionName)) {
+            const current = await Model.findOne(queryFilter).lean();
+            if (current) {
+                await authorizeRequest(req, 'update', { resource: current, data: previewUpdate(current, updateOperation) });
+                writeFilter = pinToRevision(queryFilter, current, expectedRevisions);
+                if (!writeFilter) {
+                    return respondToUnmatchedWrite(res, Model, queryFilter, expectedRevisions, 'Document not found or you are not authorized to modify it.');
+                }
+                pinned = true;
+            }
+        }
+
         const updatedDocument = await Model.findOneAndUpdate(
-            queryFilter,
+            writeFilter,
             updateOperation,
             { new: true } // `new: true` returns the updated doc, `runValidators` ensures schema rules are met
         );
 
         if (!updatedDocument) {
-            return res.status(404).json({ msg: 'Document not found or you are not authorized to modify it.' });
+            if (pinned && !expectedRevisions) {
+                return res.status(409).json({ msg: CHANGED_WHILE_AUTHORIZING });
+            }
+            return respondToUnmatchedWrite(res, Model, queryFilter, expectedRevisions, 'Document not found or you are not authorized to modify it.');
         }
 
+        await afterWrite(collectionName, updatedDocument, 'update', req.user?.uid);
+        setETag(res, updatedDocument);
         res.json(updatedDocument);
 
     } catch (err) {
         console.error('Batch delete error:', err.message);
+        if (isSchemaValidationError(err)) {
+            return res.status(400).json(validationErrorBody(err));
+        }
+        if (err.name === 'PermissionDeniedError') {
+            return res.status(403).json({ msg: err.message });
+        }
 
         res.status(500).json({ msg: 'Server Error' });
     }
@@ -577,16 +1853,61 @@ router.delete('/:collectionName/:id', async (req, res) => {
     try {
         const collectionName = req.params.collectionName;
         const Model = getDynamicModel(collectionName);
-        let queryFilter = { id: req.params.id };
+        let queryFilter = ownerFilter(collectionName, req.user, 'write', excludeDeleted(collectionName, { id: req.params.id }));
+
+        // If-Match (or a "_rev" body field) only deletes the revision the client has seen
+        let writeFilter;
+        let expectedRevisions;
+        try {
+            ({ filter: writeFilter, expectedRevisions } = withRevisionCheck(req, queryFilter));
+        } catch (error) {
+            return res.status(400).json({ msg: error.message });
+        }
 
-        const deletedDocument = await Model.findOneAndDelete(queryFilter);
+        // The rules see the document as it is, and only that revision of it is deleted
+        let pinned = false;
+        if (await hasRules(collectionName)) {
+            const current = await Model.findOne(queryFilter).lean();
+            if (current) {
+                await authorizeRequest(req, 'delete', { resource: current });
+                writeFilter = pinToRevision(queryFilter, current, expectedRevisions);
+                if (!writeFilter) {
+                    return respondToUnmatchedWrite(res, Model, queryFilter, expectedRevisions, 'Document not found or you are not authorized to delete it');
+                }
+                pinned = true;
+            }
+        }
+        const respondToMissing = () => (pinned && !expectedRevisions ?
+            res.status(409).json({ msg: CHANGED_WHILE_AUTHORIZING }) :
+            respondToUnmatchedWrite(res, Model, queryFilter, expectedRevisions, 'Document not found or you are not authorized to delete it'));
+
+        // Relations with delete rules cascade, clear or block the delete (see lib/deleteRules.js)
+        if (await hasDeleteRules(collectionName)) {
+            const { blocking, documents } = await deleteWithRules(collectionName, writeFilter, req.user);
+            if (blocking) {
+                return res.status(409).json({ msg: 'The document is still referenced and cannot be deleted.', references: blocking });
+            }
+            if (documents.length === 0) {
+                return respondToMissing();
+            }
+            return res.status(204).send();
+        }
+
+        // Soft delete collections move the document to the trash instead
+        const deletedDocument = isSoftDeleteCollection(collectionName) ?
+            await Model.findOneAndUpdate(writeFilter, trashUpdate(req.user?.uid), { new: true }) :
+            await Model.findOneAndDelete(writeFilter);
 
         if (!deletedDocument) {
-            return res.status(404).json({ msg: 'Document not found or you are not authorized to delete it' });
+            return respondToMissing();
         }
+        await afterWrite(collectionName, deletedDocument, 'delete', req.user?.uid);
         res.status(204).send();
     } catch (err) {
         console.error(err.message);
+        if (err.name === 'PermissionDeniedError') {
+            return res.status(403).json({ msg: err.message });
+        }
         if (err.kind === 'ObjectId') {
             return res.status(400).json({ msg: 'Invalid Document ID' });
         }
@@ -597,6 +1918,8 @@ router.delete('/:collectionName/:id', async (req, res) => {
 // POST execute a custom aggregation pipeline on a collection
 // Example: POST /api/orders/pipe
 // Body: { "pipeline": [ { $match: { status: "completed" } }, { $group: { _id: null, total: { $sum: "$amount" } } } ] }
+// Pipelines are checked against the guardrails in lib/pipelinePolicy.js: a rejected pipeline gets a 400 naming
+// the stage at fault. Results over the size cap are cut off and flagged with "truncated": true.
 router.post('/:collectionName/pipe', async (req, res) => {
     try {
         const collectionName = req.params.collectionName;
@@ -608,9 +1931,14 @@ router.post('/:collectionName/pipe', async (req, res) => {
 
         const Model = getDynamicModel(collectionName);
 
-        // Execute the aggregation pipeline
-        const query = Model.aggregate(pipeline);
-        
+        // Checked as sent first, so a rejection points at the client's own stage numbers
+        validatePipeline(pipeline, { collectionName });
+        await authorizeRequest(req, 'list');
+        await authorizeLookups(req, pipeline);
+
+        // Build the aggregation pipeline (trashed documents, and other users' documents of owned collections, are left out)
+        const query = Model.aggregate(scopePipeline(collectionName, req.user, excludeDeletedFromPipeline(collectionName, pipeline)));
+
         // Apply options like sort, skip, limit if provided
         if (options.sort) {
             query.sort(options.sort);
@@ -622,13 +1950,120 @@ router.post('/:collectionName/pipe', async (req, res) => {
             query.limit(options.limit);
         }
 
-        const result = await query.exec();
+        // Execute it within the guardrails
+        const { result, truncated } = await runPipeline(Model, query.pipeline());
 
         res.json({
             result,
+            ...(truncated ? { truncated } : {}),
         });
     } catch (err) {
         console.error('Pipeline execution error:', err.message);
+        if (err.name === 'PipelineRejectedError') {
+            return res.status(400).json({ msg: err.message, stage: err.stage });
+        }
+        if (err.name === 'PermissionDeniedError') {
+            return res.status(403).json({ msg: err.message });
+        }
+        if (isTimeLimitError(err)) {
+            return res.status(503).json({ msg: `The pipeline took longer than ${config.pipelines.maxTimeMS}ms and was stopped.` });
+        }
+        res.status(500).json({ msg: 'Server Error', error: err.message });
+    }
+});
+
+// GET the text index of a collection (which fields the "search" operator looks at)
+router.get('/:collectionName/indexes/text', async (req, res) => {
+    try {
+        const Model = getDynamicModel(req.params.collectionName);
+        const textIndex = await getTextIndex(Model);
+
+        if (!textIndex) {
+            return res.status(404).json({ msg: 'This collection has no text index.' });
+        }
+        res.json(textIndex);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// PUT declare the text-indexed fields of a collection
+// Example: PUT /api/articles/indexes/text
+// Body: { "fields": ["title", "body"], "weights": { "title": 10 }, "defaultLanguage": "english" }
+// Use ["$**"] to index every string field. Replaces any previous text index on the collection.
+// Index builds are expensive and affect everyone's searches, so only administrators (ADMIN_UIDS) manage them.
+router.put('/:collectionName/indexes/text', adminMiddleware, async (req, res) => {
+    try {
+        const Model = getDynamicModel(req.params.collectionName);
+        const { fields, weights, defaultLanguage } = req.body;
+
+        let textIndex;
+        try {
+            textIndex = await ensureTextIndex(Model, fields, { weights, defaultLanguage });
+        } catch (error) {
+            if (error.name === 'MongoServerError') {
+                throw error;
+            }
+            return res.status(400).json({ msg: error.message });
+        }
+
+        res.json(textIndex);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).json({ msg: 'Server Error', error: err.message });
+    }
+});
+
+// DELETE remove the text index of a collection (administrators only)
+router.delete('/:collectionName/indexes/text', adminMiddleware, async (req, res) => {
+    try {
+        const Model = getDynamicModel(req.params.collectionName);
+        const dropped = await dropTextIndex(Model);
+
+        if (!dropped) {
+            return res.status(404).json({ msg: 'This collection has no text index.' });
+        }
+        res.status(204).send();
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// GET the 2dsphere indexes of a collection
+router.get('/:collectionName/indexes/geo', async (req, res) => {
+    try {
+        const Model = getDynamicModel(req.params.collectionName);
+        res.json(await getGeoIndexes(Model));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// PUT make sure a 2dsphere index exists on a location field
+// Example: PUT /api/stores/indexes/geo
+// Body: { "field": "location" }
+// "near" queries need one on their field, and the "within-*" operators are faster with one.
+// Administrators only (ADMIN_UIDS), like text indexes.
+router.put('/:collectionName/indexes/geo', adminMiddleware, async (req, res) => {
+    try {
+        const Model = getDynamicModel(req.params.collectionName);
+        const { field } = req.body;
+
+        try {
+            await ensureGeoIndex(Model, field);
+        } catch (error) {
+            if (error.name === 'MongoServerError') {
+                throw error;
+            }
+            return res.status(400).json({ msg: error.message });
+        }
+
+        res.json(await getGeoIndexes(Model));
+    } catch (err) {
+        console.error(err.message);
         res.status(500).json({ msg: 'Server Error', error: err.message });
     }
 });
@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { getDynamicModel } = require('../lib/getDynamicModel');
+const { validatePipeline, runPipeline, lookupCollections, isTimeLimitError } = require('../lib/pipelinePolicy');
+const { authFromUser, authorize } = require('../lib/securityRules');
+const { scopePipeline } = require('../lib/ownership');
+const { excludeDeletedFromPipeline } = require('../lib/softDelete');
+const config = require('../config');
 
 // Define the collection name for storing queries
 const QUERY_COLLECTION = 'database_queries';
@@ -20,6 +25,13 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ msg: 'Please provide a query name, pipeline, and collection name.' });
     }
 
+    // Pipelines go through the guardrails again when executed, once their parameters are filled in
+    try {
+      validatePipeline(pipeline, { collectionName });
+    } catch (error) {
+      return res.status(400).json({ msg: error.message, stage: error.stage });
+    }
+
     // Check if a query with the same name already exists
     const existingQuery = await QueryModel.findOne({ name });
     if (existingQuery) {
@@ -99,15 +111,37 @@ router.post('/:name/execute', async (req, res) => {
         executionPipeline.push({ $limit: options.limit });
       }
 
-      // Execute the aggregation pipeline
-      const query = Model.aggregate(executionPipeline);
-      const result = await query.exec();
+      // Like POST /api/:collectionName/pipe: the pipeline is checked as filled in, before anything runs, and the
+      // caller needs the list rule of every collection the query reads
+      validatePipeline(executionPipeline, { collectionName: queryToExecute.collectionName });
+      for (const collectionName of [queryToExecute.collectionName, ...lookupCollections(executionPipeline)]) {
+        await authorize(collectionName, 'list', { auth: authFromUser(req.user) });
+      }
+
+      // Execute the aggregation pipeline within the guardrails (lib/pipelinePolicy.js), without trashed documents
+      // and on the caller's own documents of owned collections (lib/ownership.js)
+      const scopedPipeline = scopePipeline(
+        queryToExecute.collectionName,
+        req.user,
+        excludeDeletedFromPipeline(queryToExecute.collectionName, executionPipeline)
+      );
+      const { result, truncated } = await runPipeline(Model, scopedPipeline);
 
       res.json({ 
         result,
+        ...(truncated ? { truncated } : {}),
       });
     } catch (error) {
       console.error('Error executing query:', error);
+      if (error.name === 'PipelineRejectedError') {
+        return res.status(400).json({ msg: error.message, stage: error.stage });
+      }
+      if (error.name === 'PermissionDeniedError') {
+        return res.status(403).json({ msg: error.message });
+      }
+      if (isTimeLimitError(error)) {
+        return res.status(503).json({ msg: `The query took longer than ${config.pipelines.maxTimeMS}ms and was stopped.` });
+      }
       res.status(500).json({ msg: 'Error executing query.', error: error.message });
     }
   } catch (err) {
@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middlewares/authMiddleware');
+const adminMiddleware = require('../middlewares/adminMiddleware');
+const { getDynamicModel } = require('../lib/getDynamicModel');
+const { RELATION_COLLECTION, parseRelation, clearRelationCache } = require('../lib/relations');
+
+// Relations decide what populate reads and what deletes cascade to, so only administrators (ADMIN_UIDS) manage them
+router.use(authMiddleware);
+router.use(adminMiddleware);
+
+// Relation names are unique per collection
+const findConflict = (RelationModel, { collectionName, name }, id = null) =>
+  RelationModel.findOne({ collectionName, name, ...(id ? { id: { $ne: id } } : {}) }).lean();
+
+/**
+ * @route   POST /api/relations
+ * @desc    Declare a relation between two collections
+ * @access  Admin
+ *
+ * Body: { "collectionName": "transactions", "name": "account", "type": "many-to-one",
+ *         "localField": "accountId", "foreignCollection": "accounts", "foreignField": "id" }
+ * Types: one-to-one, many-to-one, one-to-many, many-to-many (see lib/relations.js)
+ * Optional "onDelete": "cascade", "set-null" or "restrict" (see lib/deleteRules.js)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const RelationModel = getDynamicModel(RELATION_COLLECTION);
+
+    let fields;
+    try {
+      fields = parseRelation(req.body);
+    } catch (error) {
+      return res.status(400).json({ msg: error.message });
+    }
+
+    if (await findConflict(RelationModel, fields)) {
+      return res.status(409).json({ msg: `'${fields.collectionName}' already has a relation named "${fields.name}".` });
+    }
+
+    const relation = new RelationModel({ ...fields, createdBy: req.user?.uid ?? null });
+    await relation.save();
+    clearRelationCache();
+
+    res.status(201).json(relation);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * @route   GET /api/relations
+ * @desc    List relations, optionally of one collection (?collectionName=transactions)
+ * @access  Admin
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.query.collectionName ? { collectionName: String(req.query.collectionName) } : {};
+
+    const relations = await getDynamicModel(RELATION_COLLECTION).find(filter).sort({ collectionName: 1, name: 1 }).lean();
+    res.json(relations);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * @route   GET /api/relations/:id
+ * @desc    Get a relation by ID
+ * @access  Admin
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const relation = await getDynamicModel(RELATION_COLLECTION).findOne({ id: req.params.id }).lean();
+
+    if (!relation) {
+      return res.status(404).json({ msg: 'Relation not found.' });
+    }
+    res.json(relation);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * @route   PUT /api/relations/:id
+ * @desc    Update a relation. Fields that aren't sent keep their value.
+ * @access  Admin
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const RelationModel = getDynamicModel(RELATION_COLLECTION);
+    const existing = await RelationModel.findOne({ id: req.params.id }).lean();
+
+    if (!existing) {
+      return res.status(404).json({ msg: 'Relation not found.' });
+    }
+
+    let fields;
+    try {
+      fields = parseRelation(req.body, existing);
+    } catch (error) {
+      return res.status(400).json({ msg: error.message });
+    }
+
+    if (await findConflict(RelationModel, fields, existing.id)) {
+      return res.status(409).json({ msg: `'${fields.collectionName}' already has a relation named "${fields.name}".` });
+    }
+
+    const relation = await RelationModel.findOneAndUpdate({ id: req.params.id }, { $set: fields }, { new: true }).lean();
+    clearRelationCache();
+
+    res.json(relation);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * @route   DELETE /api/relations/:id
+ * @desc    Delete a relation
+ * @access  Admin
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deletedRelation = await getDynamicModel(RELATION_COLLECTION).findOneAndDelete({ id: req.params.id });
+
+    if (!deletedRelation) {
+      return res.status(404).json({ msg: 'Relation not found.' });
+    }
+    clearRelationCache();
+
+    res.json({ msg: 'Relation deleted successfully.' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middlewares/authMiddleware');
+const adminMiddleware = require('../middlewares/adminMiddleware');
+const { getDynamicModel } = require('../lib/getDynamicModel');
+const { RULES_COLLECTION, compileRules, isLockedCollection, clearRulesCache, getRules, authFromUser, evaluateRules, previewUpdate } = require('../lib/securityRules');
+
+// Security rules are managed by administrators only (ADMIN_UIDS)
+router.use(authMiddleware);
+router.use(adminMiddleware);
+
+/**
+ * @route   GET /api/rules
+ * @desc    List the security rules of every collection that has them
+ * @access  Admin
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rules = await getDynamicModel(RULES_COLLECTION).find().sort({ collectionName: 1 }).lean();
+    res.json(rules);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * @route   GET /api/rules/:collectionName
+ * @desc    Get the security rules of a collection
+ * @access  Admin
+ */
+router.get('/:collectionName', async (req, res) => {
+  try {
+    const rules = await getDynamicModel(RULES_COLLECTION).findOne({ collectionName: req.params.collectionName }).lean();
+
+    if (!rules) {
+      return res.status(404).json({ msg: 'This collection has no security rules.' });
+    }
+    res.json(rules);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * @route   PUT /api/rules/:collectionName
+ * @desc    Set the security rules of a collection, replacing any previous ones (see lib/securityRules.js)
+ * @access  Admin
+ *
+ * Body: { "rules": { "read": "auth != null && resource.userId == auth.uid",
+ *                    "create": "request.data.userId == auth.uid",
+ *                    "update": "resource.userId == auth.uid",
+ *                    "delete": "false" },
+ *         "description": "Users only see and change their own accounts" }
+ * Operations without a rule (directly or through "read" / "write") are denied.
+ */
+router.put('/:collectionName', async (req, res) => {
+  try {
+    const { collectionName } = req.params;
+    const { rules, description } = req.body;
+
+    if (isLockedCollection(collectionName)) {
+      return res.status(400).json({ msg: `The '${collectionName}' collection is internal and can't be given rules.` });
+    }
+
+    try {
+      compileRules(rules);
+    } catch (error) {
+      return res.status(400).json({ msg: error.message });
+    }
+
+    const RulesModel = getDynamicModel(RULES_COLLECTION);
+    const existing = await RulesModel.findOne({ collectionName });
+    const fields = { collectionName, rules, description, updatedBy: req.user?.uid ?? null };
+
+    let saved;
+    if (existing) {
+      existing.set(fields);
+      saved = await existing.save();
+    } else {
+      saved = await new RulesModel({ ...fields, createdBy: req.user?.uid ?? null }).save();
+    }
+    clearRulesCache();
+
+    res.status(existing ? 200 : 201).json(saved);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * @route   DELETE /api/rules/:collectionName
+ * @desc    Remove the security rules of a collection, leaving it open to every authenticated user again
+ * @access  Admin
+ */
+router.delete('/:collectionName', async (req, res) => {
+  try {
+    const deletedRules = await getDynamicModel(RULES_COLLECTION).findOneAndDelete({ collectionName: req.params.collectionName });
+
+    if (!deletedRules) {
+      return res.status(404).json({ msg: 'This collection has no security rules.' });
+    }
+    clearRulesCache();
+
+    res.json({ msg: 'Security rules deleted successfully.' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * @route   POST /api/rules/:collectionName/test
+ * @desc    Show whether the rules allow a simulated request, and which rule decided
+ * @access  Admin
+ *
+ * Body: { "operation": "update",
+ *         "auth": { "uid": "user-1" },
+ *         "resource": { "id": "01J...", "userId": "user-1", "name": "Wallet" },
+ *         "data": { "name": "Cash" },
+ *         "rules": { ... } }
+ * "auth" defaults to the caller's claims (null simulates an anonymous request). "data" is what the request
+ * sends: for updates it's applied to "resource" like PUT applies it. "rules" tries out unsaved rules
+ * instead of the collection's own. "query" is the structured query of a list request.
+ */
+router.post('/:collectionName/test', async (req, res) => {
+  try {
+    const { collectionName } = req.params;
+    const { operation, resource = null, data = null, query = null } = req.body;
+    const auth = 'auth' in req.body ? req.body.auth : authFromUser(req.user);
+
+    let rules;
+    try {
+      rules = req.body.rules !== undefined ? compileRules(req.body.rules) : null;
+    } catch (error) {
+      return res.status(400).json({ msg: error.message });
+    }
+    rules ??= await getRules(collectionName);
+
+    if (!rules) {
+      return res.json({ allowed: true, rule: null, expression: null, msg: 'This collection has no security rules, so everything is allowed.' });
+    }
+
+    let decision;
+    try {
+      decision = evaluateRules(rules, operation, {
+        auth,
+        resource,
+        data: operation === 'update' && resource ? previewUpdate(resource, data) : data,
+        query,
+      });
+    } catch (error) {
+      return res.status(400).json({ msg: error.message });
+    }
+
+    res.json(decision);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middlewares/authMiddleware');
+const adminMiddleware = require('../middlewares/adminMiddleware');
+const { HIDDEN_FIELDS, getTenantModel, clearTenantCache, hashApiKey, generateApiKey, parseTenant, getTenantUsage } = require('../lib/tenants');
+
+// Tenants are managed by administrators only (ADMIN_UIDS), outside of any tenant
+router.use(authMiddleware);
+router.use(adminMiddleware);
+
+const withoutSecrets = (tenant) => {
+  const { apiKeyHash, ...rest } = typeof tenant.toObject === 'function' ? tenant.toObject() : tenant;
+  return rest;
+};
+
+/**
+ * @route   GET /api/tenants
+ * @desc    List the tenants
+ * @access  Admin
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tenants = await getTenantModel().find({}, HIDDEN_FIELDS).sort({ id: 1 }).lean();
+    res.json(tenants);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * @route   POST /api/tenants
+ * @desc    Create a tenant, with its API key (see lib/tenants.js)
+ * @access  Admin
+ *
+ * Body: { "id": "acme", "name": "Acme", "protectedCollections": ["orders"], "limits": { "orders": 100 }, "storageFolder": "acme" }
+ * The response has the tenant's API key; it isn't stored, so it can't be shown again (rotate it if it's lost).
+ * The tenant's database is created by its first write.
+ */
+router.post('/', async (req, res) => {
+  try {
+    let fields;
+    try {
+      fields = parseTenant(req.body);
+    } catch (error) {
+      return res.status(400).json({ msg: error.message });
+    }
+
+    const TenantModel = getTenantModel();
+    if (await TenantModel.exists({ id: fields.id })) {
+      return res.status(409).json({ msg: `A tenant with the id '${fields.id}' already exists.` });
+    }
+
+    const apiKey = generateApiKey(fields.id);
+    const tenant = await new TenantModel({ ...fields, apiKeyHash: hashApiKey(apiKey), createdBy: req.user?.uid ?? null }).save();
+    clearTenantCache();
+
+    res.status(201).json({ ...withoutSecrets(tenant), apiKey });
+  } catch (err) {
+    console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(409).json({ msg: 'A tenant with this id already exists.' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * @route   GET /api/tenants/usage
+ * @desc    List the storage every tenant uses: database size, documents per collection and uploads
+ * @access  Admin
+ */
+router.get('/usage', async (req, res) => {
+  try {
+    const tenants = await getTenantModel().find({}, HIDDEN_FIELDS).sort({ id: 1 }).lean();
+
+    const usage = [];
+    for (const tenant of tenants) {
+      usage.push(await getTenantUsage(tenant));
+    }
+    res.json(usage);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * @route   GET /api/tenants/:tenantId
+ * @desc    Get a tenant
+ * @access  Admin
+ */
+router.get('/:tenantId', async (req, res) => {
+  try {
+    const tenant = await getTenantModel().findOne({ id: req.params.tenantId }, HIDDEN_FIELDS).lean();
+
+    if (!tenant) {
+      return res.status(404).json({ msg: 'Tenant not found.' });
+    }
+    res.json(tenant);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * @route   GET /api/tenants/:tenantId/usage
+ * @desc    Get the storage a tenant uses
+ * @access  Admin
+ */
+router.get('/:tenantId/usage', async (req, res) => {
+  try {
+    const tenant = await getTenantModel().findOne({ id: req.params.tenantId }, HIDDEN_FIELDS).lean();
+
+    if (!tenant) {
+      return res.status(404).json({ msg: 'Tenant not found.' });
+    }
+    res.json(await getTenantUsage(tenant));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * @route   PUT /api/tenants/:tenantId
+ * @desc    Update a tenant's name, settings or "active" flag (inactive tenants are refused with 403)
+ * @access  Admin
+ */
+router.put('/:tenantId', async (req, res) => {
+  try {
+    const tenant = await getTenantModel().findOne({ id: req.params.tenantId });
+
+    if (!tenant) {
+      return res.status(404).json({ msg: 'Tenant not found.' });
+    }
+
+    let fields;
+    try {
+      fields = parseTenant(req.body, withoutSecrets(tenant));
+    } catch (error) {
+      return res.status(400).json({ msg: error.message });
+    }
+
+    tenant.set({ ...fields, updatedBy: req.user?.uid ?? null });
+    await tenant.save();
+    clearTenantCache();
+
+    res.json(withoutSecrets(tenant));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * @route   POST /api/tenants/:tenantId/api-key
+ * @desc    Replace a tenant's API key; the old key stops working
+ * @access  Admin
+ */
+router.post('/:tenantId/api-key', async (req, res) => {
+  try {
+    const apiKey = generateApiKey(req.params.tenantId);
+    const tenant = await getTenantModel().findOneAndUpdate(
+      { id: req.params.tenantId },
+      { $set: { apiKeyHash: hashApiKey(apiKey) } },
+      { new: true, projection: HIDDEN_FIELDS }
+    ).lean();
+
+    if (!tenant) {
+      return res.status(404).json({ msg: 'Tenant not found.' });
+    }
+    clearTenantCache();
+
+    res.json({ ...tenant, apiKey });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// Nothing else under /api/tenants, so no request falls through to the CRUD routes on the registry
+router.use((req, res) => {
+  res.status(404).json({ msg: 'Not found.' });
+});
+
+module.exports = router;
@@ -0,0 +1,340 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middlewares/authMiddleware');
+const { checkCollectionLimit } = require('../middlewares/limitsMiddleware');
+const { getDynamicModel } = require('../lib/getDynamicModel');
+const { revisionFilter, currentRevision, replaceAtRevision } = require('../lib/revisions');
+const { isSoftDeleteCollection, excludeDeleted, checkTrashFields, trashUpdate } = require('../lib/softDelete');
+const { ownerFilter, stampOwner, checkOwnerWrite } = require('../lib/ownership');
+const { afterWrite } = require('../lib/writeHooks');
+const { applyJsonPatch, applyMergePatch } = require('../lib/jsonPatch');
+const { runInTransaction, isTransactionUnsupportedError } = require('../lib/transactions');
+const { isSchemaValidationError, validationErrorBody } = require('../lib/collectionSchemas');
+const { hasRules, authFromUser, authorize, previewUpdate } = require('../lib/securityRules');
+const { hasDeleteRules, deleteInSession, announceDeletion } = require('../lib/deleteRules');
+
+// Apply authentication middleware to all routes in this file
+router.use(authMiddleware);
+
+const OPERATION_TYPES = ['create', 'update', 'patch', 'delete'];
+const MAX_OPERATIONS = 100;
+
+// "$ref:<name>" is replaced by the id of the document an earlier operation with "ref": "<name>" wrote,
+// and "$ref:<name>.<field>" by one of its fields. An operation's index works as a name too ("$ref:0").
+const REF_PATTERN = /^\$ref:([^.]+)(?:\.(.+))?$/;
+
+// An operation that can't be applied; the whole transaction is rolled back.
+// `errors` holds the field-level errors when the collection's schema rejected the document.
+class OperationError extends Error {
+  constructor(index, status, message, errors) {
+    super(message);
+    this.name = 'OperationError';
+    this.index = index;
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+// Replace "$ref:..." strings anywhere in `value` with values from the documents of earlier operations
+const resolveRefs = (value, refs, index) => {
+  if (typeof value === 'string') {
+    const match = value.match(REF_PATTERN);
+    if (!match) {
+      return value;
+    }
+    const [, name, field = 'id'] = match;
+    if (!refs.has(name)) {
+      throw new OperationError(index, 400, `Unknown reference "${name}"; references must point to an earlier operation.`);
+    }
+    return getPath(refs.get(name), field);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveRefs(item, refs, index));
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveRefs(item, refs, index)]));
+  }
+  return value;
+};
+
+// Check the shape of every operation before anything is written. Returns an error message, or null.
+const validateOperation = (operation, index) => {
+  const { op, collection, id, data, patch, ref, rev } = operation || {};
+
+  if (!OPERATION_TYPES.includes(op)) {
+    return `Operation ${index}: "op" must be one of ${OPERATION_TYPES.join(', ')}.`;
+  }
+  if (typeof collection !== 'string' || !collection || collection.startsWith('$') || collection.includes('.')) {
+    return `Operation ${index}: "collection" must be a collection name.`;
+  }
+  if (op !== 'create' && (id === undefined || id === null || typeof id === 'object')) {
+    return `Operation ${index}: "id" is required for ${op}.`;
+  }
+  if ((op === 'create' || op === 'update') && (!data || typeof data !== 'object' || Array.isArray(data))) {
+    return `Operation ${index}: "data" must be an object.`;
+  }
+  const trashError = (op === 'create' || op === 'update') && checkTrashFields(op === 'create' ? { document: data } : { update: data });
+  if (trashError) {
+    return `Operation ${index}: ${trashError}`;
+  }
+  if (op === 'patch' && (!patch || typeof patch !== 'object')) {
+    return `Operation ${index}: "patch" must be a JSON Patch array or a merge patch object.`;
+  }
+  if (ref !== undefined && (typeof ref !== 'string' || !ref || ref.includes('.'))) {
+    return `Operation ${index}: "ref" must be a name without dots.`;
+  }
+  if (rev !== undefined && (!Number.isInteger(rev) || rev < 0)) {
+    return `Operation ${index}: "rev" must be a revision number.`;
+  }
+  return null;
+};
+
+// Turn a write error into an OperationError for the operation at `index`.
+// Transient errors are rethrown unchanged so the driver can retry the transaction.
+const toOperationError = (err, index) => {
+  if (err instanceof OperationError || err.hasErrorLabel?.('TransientTransactionError') || isTransactionUnsupportedError(err)) {
+    return err;
+  }
+  if (err.code === 11000) {
+    return new OperationError(index, 409, 'Duplicate key: a document with this id already exists.');
+  }
+  if (err.name === 'PermissionDeniedError') {
+    return new OperationError(index, 403, err.message);
+  }
+  if (err.name === 'ValidationError' || err.name === 'CastError') {
+    return new OperationError(index, 400, err.message);
+  }
+  if (isSchemaValidationError(err)) {
+    const { msg, errors } = validationErrorBody(err);
+    return new OperationError(index, 400, msg, errors);
+  }
+  return err;
+};
+
+// 404 when the document doesn't exist, 412 when it exists at another revision than "rev"
+const notMatchedError = async (Model, filter, operation, index, session) => {
+  if (operation.rev !== undefined) {
+    const current = await Model.findOne(filter).session(session).lean();
+    if (current) {
+      return new OperationError(index, 412, `Document "${operation.id}" is at revision ${currentRevision(current)}, not ${operation.rev}.`);
+    }
+  }
+  return new OperationError(index, 404, `Document "${operation.id}" not found in '${operation.collection}'.`);
+};
+
+// Check an operation against the security rules of its collection (see lib/securityRules.js).
+// Documents are read inside the transaction, so they can't change between the check and the write.
+const authorizeOperation = async (index, collection, ruleOperation, context, user) => {
+  try {
+    await authorize(collection, ruleOperation, { auth: authFromUser(user), ...context });
+  } catch (error) {
+    if (error.name === 'PermissionDeniedError') {
+      throw new OperationError(index, 403, error.message);
+    }
+    throw error;
+  }
+};
+
+// Writes can't give documents of owned collections to another user (see lib/ownership.js)
+const checkOwner = (index, collection, user, write) => {
+  const message = checkOwnerWrite(collection, user, write);
+  if (message) {
+    throw new OperationError(index, 403, message);
+  }
+};
+
+// Apply one operation inside the transaction and return its result
+const runOperation = async (operation, index, session, user) => {
+  const { op, collection, id, data, patch, rev } = operation;
+  const Model = getDynamicModel(collection);
+  const filter = ownerFilter(collection, user, 'write', excludeDeleted(collection, { id }));
+  const writeFilter = rev !== undefined ? { ...filter, ...revisionFilter([rev]) } : filter;
+
+  switch (op) {
+    case 'create': {
+      const stamped = stampOwner(collection, user, data);
+      checkOwner(index, collection, user, { document: stamped });
+      await authorizeOperation(index, collection, 'create', { data: stamped }, user);
+      const [document] = await Model.create([stamped], { session });
+      return { status: 'created', document };
+    }
+    case 'update': {
+      checkOwner(index, collection, user, { update: data });
+      if (await hasRules(collection)) {
+        const current = await Model.findOne(writeFilter).session(session).lean();
+        if (current) {
+          await authorizeOperation(index, collection, 'update', { resource: current, data: previewUpdate(current, data) }, user);
+        }
+      }
+      const document = await Model.findOneAndUpdate(writeFilter, data, { new: true, runValidators: true, session });
+      if (!document) {
+        throw await notMatchedError(Model, filter, operation, index, session);
+      }
+      return { status: 'updated', document };
+    }
+    case 'patch': {
+      const current = await Model.findOne(writeFilter).session(session).lean();
+      if (!current) {
+        throw await notMatchedError(Model, filter, operation, index, session);
+      }
+      let patched;
+      try {
+        patched = Array.isArray(patch) ? applyJsonPatch(current, patch) : applyMergePatch(current, patch);
+      } catch (error) {
+        // A failed "test" is a conflict, anything else a malformed patch
+        throw new OperationError(index, error.name === 'PatchTestFailedError' ? 409 : 400, error.message);
+      }
+      checkOwner(index, collection, user, { replacement: patched });
+      await authorizeOperation(index, collection, 'update', { resource: current, data: patched }, user);
+      const document = await replaceAtRevision(Model, current, patched, { session });
+      return { status: 'updated', document };
+    }
+    case 'delete': {
+      // Soft delete collections move the document to the trash, as DELETE /api/:collectionName/:id does
+      const softDelete = isSoftDeleteCollection(collection);
+      if (await hasRules(collection)) {
+        const current = await Model.findOne(writeFilter).session(session).lean();
+        if (current) {
+          await authorizeOperation(index, collection, 'delete', { resource: current }, user);
+        }
+      }
+
+      // Relations with delete rules cascade, clear or block the delete, within this transaction (see lib/deleteRules.js)
+      if (await hasDeleteRules(collection)) {
+        const { blocking, documents, changes } = await deleteInSession(collection, writeFilter, user, session);
+        if (blocking) {
+          throw new OperationError(index, 409, `Document "${operation.id}" is still referenced and cannot be deleted.`, blocking);
+        }
+        if (documents.length === 0) {
+          throw await notMatchedError(Model, filter, operation, index, session);
+        }
+        return { status: softDelete ? 'trashed' : 'deleted', document: documents[0], changes };
+      }
+
+      const document = softDelete ?
+        await Model.findOneAndUpdate(writeFilter, trashUpdate(user?.uid), { new: true, session }) :
+        await Model.findOneAndDelete(writeFilter, { session });
+      if (!document) {
+        throw await notMatchedError(Model, filter, operation, index, session);
+      }
+      return { status: softDelete ? 'trashed' : 'deleted', document };
+    }
+  }
+};
+
+/**
+ * @route   POST /api/_transaction
+ * @desc    Run an ordered list of create/update/patch/delete operations across collections in one transaction.
+ *          Either every operation is applied, or none is.
+ * @access  Private
+ *
+ * Body: {
+ *   "operations": [
+ *     { "op": "create", "collection": "transactions", "ref": "tx", "data": { "accountId": "01J...", "amount": -20 } },
+ *     { "op": "update", "collection": "accounts", "id": "01J...", "data": { "$inc": { "balance": -20 } }, "rev": 4 },
+ *     { "op": "patch", "collection": "budgets", "id": "01H...", "patch": [{ "op": "add", "path": "/transactionIds/-", "value": "$ref:tx" }] },
+ *     { "op": "delete", "collection": "drafts", "id": "01G..." }
+ *   ]
+ * }
+ * "patch" takes a JSON Patch array or a merge patch object; "rev" makes an operation conditional on a revision.
+ */
+router.post('/', async (req, res) => {
+  const { operations } = req.body;
+
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return res.status(400).json({ msg: 'Request body must contain a non-empty "operations" array.' });
+  }
+  if (operations.length > MAX_OPERATIONS) {
+    return res.status(400).json({ msg: `A transaction can contain at most ${MAX_OPERATIONS} operations.` });
+  }
+
+  for (const [index, operation] of operations.entries()) {
+    const error = validateOperation(operation, index);
+    if (error) {
+      return res.status(400).json({ msg: error, failedIndex: index });
+    }
+  }
+
+  try {
+    // Creates count against the free-tier limits like POST /api/:collectionName does
+    const createsPerCollection = new Map();
+    operations.filter(({ op }) => op === 'create').forEach(({ collection }) => {
+      createsPerCollection.set(collection, (createsPerCollection.get(collection) || 0) + 1);
+    });
+    for (const [collection, count] of createsPerCollection) {
+      const limitMessage = await checkCollectionLimit(collection, req.user, count);
+      if (limitMessage) {
+        return res.status(403).json({
+          msg: limitMessage,
+          failedIndex: operations.findIndex(({ op, collection: name }) => op === 'create' && name === collection),
+        });
+      }
+    }
+
+    const results = await runInTransaction(async (session) => {
+      const refs = new Map();
+      const attemptResults = [];
+
+      for (const [index, rawOperation] of operations.entries()) {
+        try {
+          const { op, collection, ref, rev } = rawOperation;
+          const operation = {
+            op,
+            collection,
+            rev,
+            id: resolveRefs(rawOperation.id, refs, index),
+            data: resolveRefs(rawOperation.data, refs, index),
+            patch: resolveRefs(rawOperation.patch, refs, index),
+          };
+
+          const { status, document, changes } = await runOperation(operation, index, session, req.user);
+          const plainDocument = typeof document.toObject === 'function' ? document.toObject() : document;
+
+          refs.set(String(index), plainDocument);
+          if (ref) {
+            refs.set(ref, plainDocument);
+          }
+          attemptResults.push({ index, op, collection, id: plainDocument.id, status, document: plainDocument, changes });
+        } catch (err) {
+          throw toOperationError(err, index);
+        }
+      }
+
+      return attemptResults;
+    });
+
+    // History and change events only follow once the changes are committed
+    for (const { collection, op, document, changes } of results) {
+      // Deletes with delete rules announce everything they changed, the document itself included
+      if (changes) {
+        await announceDeletion(changes, req.user?.uid, { transaction: true });
+        continue;
+      }
+      const action = op === 'create' ? 'create' : op === 'delete' ? 'delete' : 'update';
+      await afterWrite(collection, document, action, req.user?.uid, { transaction: true });
+    }
+
+    // Permanently deleted documents aren't returned
+    res.json({
+      results: results.map(({ document, changes, ...result }) => (result.status === 'deleted' ? result : { ...result, document })),
+    });
+  } catch (err) {
+    if (err instanceof OperationError) {
+      return res.status(err.status).json({
+        msg: err.message,
+        failedIndex: err.index,
+        ...(err.errors ? { errors: err.errors } : {}),
+        rolledBack: true,
+      });
+    }
+    if (isTransactionUnsupportedError(err)) {
+      return res.status(501).json({ msg: 'Transactions require MongoDB to run as a replica set or sharded cluster.' });
+    }
+    console.error('Transaction error:', err.message);
+    res.status(500).json({ msg: 'Server Error', rolledBack: true });
+  }
+});
+
+module.exports = router;
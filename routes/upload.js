@@ -4,11 +4,13 @@ const { uploadSingle, uploadMultiple, uploadAny } = require('../middlewares/uplo
 const storageService = require('../services/storage/storageService');
 const config = require('../config');
 const { getDynamicModel } = require('../lib/getDynamicModel');
+const { uploadFolder } = require('../lib/tenants');
+const { restoreTenant } = require('../middlewares/tenantMiddleware');
 
 const router = express.Router();
 
-// schemaless "uploads" collection
-const Uploads = getDynamicModel('uploads');
+// schemaless "uploads" collection, in the database of the request's tenant
+const getUploads = () => getDynamicModel('uploads');
 
 // Apply authentication middleware to all routes
 router.use(authMiddleware);
@@ -35,6 +37,31 @@ const initializeStorageService = () => {
   storageService.initializeProvider(providerType, providerConfig);
 };
 
+// Options of an upload from the query. A tenant's files go to its storage folder, with the requested folder inside it.
+// Throws when the folder isn't a plain path.
+const getUploadOptions = (req) => {
+  const { folder, tags } = req.query;
+  const options = {};
+  const targetFolder = uploadFolder(req.tenant, folder);
+
+  if (targetFolder) options.folder = targetFolder;
+  if (tags) options.tags = tags.split(',');
+  return options;
+};
+
+// Inside a tenant, files are only reached through the tenant's own upload records. Resolves to the identifier
+// the storage provider knows the file by, or null when the tenant has no such file.
+const resolveFileIdentifier = async (req, fileIdentifier) => {
+  if (!req.tenant) {
+    return fileIdentifier;
+  }
+
+  const record = await getUploads().findOne({
+    $or: [{ filename: fileIdentifier }, { publicId: fileIdentifier }, { url: fileIdentifier }]
+  }).lean();
+  return record ? (record.publicId ?? record.filename) : null;
+};
+
 // Initialize storage service on module load
 try {
   initializeStorageService();
@@ -47,16 +74,20 @@ try {
  * Upload a single file
  * Body: multipart/form-data with a 'file' field
  * Query options:
- * - folder: Destination folder (for Cloudinary)
+ * - folder: Destination folder (inside the tenant's storage folder, if any)
  * - tags: Comma-separated tags (for Cloudinary)
  */
-router.post('/single', uploadSingle('file'), async (req, res) => {
+router.post('/single', uploadSingle('file'), restoreTenant, async (req, res) => {
   try {
-    const { folder, tags } = req.query;
-    const options = {};
-
-    if (folder) options.folder = folder;
-    if (tags) options.tags = tags.split(',');
+    let options;
+    try {
+      options = getUploadOptions(req);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
 
     const result = await storageService.uploadFile(req.file, options);
 
@@ -72,7 +103,7 @@ router.post('/single', uploadSingle('file'), async (req, res) => {
       options
     };
 
-    const saved = await Uploads.create(doc);
+    const saved = await getUploads().create(doc);
 
     res.status(201).json({
       success: true,
@@ -95,16 +126,20 @@ router.post('/single', uploadSingle('file'), async (req, res) => {
  * Upload multiple files
  * Body: multipart/form-data with a 'files' field
  * Query options:
- * - folder: Destination folder (for Cloudinary)
+ * - folder: Destination folder (inside the tenant's storage folder, if any)
  * - tags: Comma-separated tags (for Cloudinary)
  */
-router.post('/multiple', uploadMultiple('files', 10), async (req, res) => {
+router.post('/multiple', uploadMultiple('files', 10), restoreTenant, async (req, res) => {
   try {
-    const { folder, tags } = req.query;
-    const options = {};
-
-    if (folder) options.folder = folder;
-    if (tags) options.tags = tags.split(',');
+    let options;
+    try {
+      options = getUploadOptions(req);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
 
     const uploadPromises = req.files.map(file =>
       storageService.uploadFile(file, options)
@@ -113,7 +148,7 @@ router.post('/multiple', uploadMultiple('files', 10), async (req, res) => {
     const results = await Promise.all(uploadPromises);
 
     // Bulk persist each result
-    const records = await Uploads.insertMany(results.map(r => ({
+    const records = await getUploads().insertMany(results.map(r => ({
       ...r,
       provider: r.provider || (storageService.getCurrentProvider()?.constructor?.name?.replace('StorageProvider', '')?.toLowerCase()),
       requestMeta: {
@@ -145,16 +180,20 @@ router.post('/multiple', uploadMultiple('files', 10), async (req, res) => {
  * Upload files from any form field
  * Body: multipart/form-data with any file fields
  * Query options:
- * - folder: Destination folder (for Cloudinary)
+ * - folder: Destination folder (inside the tenant's storage folder, if any)
  * - tags: Comma-separated tags (for Cloudinary)
  */
-router.post('/any', uploadAny(), async (req, res) => {
+router.post('/any', uploadAny(), restoreTenant, async (req, res) => {
   try {
-    const { folder, tags } = req.query;
-    const options = {};
-
-    if (folder) options.folder = folder;
-    if (tags) options.tags = tags.split(',');
+    let options;
+    try {
+      options = getUploadOptions(req);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
 
     const uploadPromises = req.files.map(file =>
       storageService.uploadFile(file, options)
@@ -163,7 +202,7 @@ router.post('/any', uploadAny(), async (req, res) => {
     const results = await Promise.all(uploadPromises);
 
     // Persist all results
-    const records = await Uploads.insertMany(results.map(r => ({
+    const records = await getUploads().insertMany(results.map(r => ({
       ...r,
       provider: r.provider || (storageService.getCurrentProvider()?.constructor?.name?.replace('StorageProvider', '')?.toLowerCase()),
       requestMeta: {
@@ -198,9 +237,9 @@ router.post('/any', uploadAny(), async (req, res) => {
  */
 router.delete('/:fileIdentifier', async (req, res) => {
   try {
-    const { fileIdentifier } = req.params;
+    const fileIdentifier = await resolveFileIdentifier(req, req.params.fileIdentifier);
     
-    const success = await storageService.deleteFile(fileIdentifier);
+    const success = fileIdentifier !== null && await storageService.deleteFile(fileIdentifier);
     
     if (success) {
       res.json({
@@ -231,7 +270,14 @@ router.delete('/:fileIdentifier', async (req, res) => {
  */
 router.get('/:fileIdentifier/info', async (req, res) => {
   try {
-    const { fileIdentifier } = req.params;
+    const fileIdentifier = await resolveFileIdentifier(req, req.params.fileIdentifier);
+
+    if (fileIdentifier === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
     
     const fileInfo = await storageService.getFileInfo(fileIdentifier);
     
@@ -253,10 +299,18 @@ router.get('/:fileIdentifier/info', async (req, res) => {
  * POST /api/upload/switch-provider
  * Switch to a different storage provider (for testing purposes)
  * Body: { provider: 'local' | 'cloudinary' | 's3' }
+ * The provider is shared by all tenants, so requests made for a tenant can't switch it.
  */
 router.post('/switch-provider', async (req, res) => {
   try {
     const { provider } = req.body;
+
+    if (req.tenant) {
+      return res.status(403).json({
+        success: false,
+        message: 'The storage provider can\'t be switched for a tenant'
+      });
+    }
     
     if (!provider) {
       return res.status(400).json({
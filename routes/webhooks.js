@@ -0,0 +1,202 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middlewares/authMiddleware');
+const { isAdmin } = require('../middlewares/adminMiddleware');
+const { getDynamicModel } = require('../lib/getDynamicModel');
+const { WEBHOOK_COLLECTION, DELIVERY_COLLECTION, parseWebhook, clearWebhookCache, redeliver } = require('../lib/webhooks');
+
+// Apply authentication middleware to all routes in this file
+router.use(authMiddleware);
+
+// The secret is only shown when a webhook is created (or given a new one)
+const withoutSecret = ({ secret, ...webhook }) => webhook;
+
+// Users see and manage the webhooks they registered; administrators (ADMIN_UIDS) see all of them.
+// Other users' webhooks behave as if they didn't exist.
+const webhookFilter = (req, filter = {}) => (isAdmin(req.user) ? filter : { ...filter, createdBy: req.user?.uid ?? null });
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Register a webhook
+ * @access  Private
+ *
+ * Body: { "collectionName": "orders", "url": "https://example.com/hooks/orders", "events": ["create", "update"],
+ *         "conditions": [{ "field": "status", "operator": "==", "value": "paid" }], "secret": "optional" }
+ * Without a "secret" one is generated; it's returned in the response and used to sign every delivery.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const WebhookModel = getDynamicModel(WEBHOOK_COLLECTION);
+
+    let fields;
+    try {
+      fields = parseWebhook({ ...req.body, createdBy: req.user?.uid });
+    } catch (error) {
+      return res.status(400).json({ msg: error.message });
+    }
+
+    const webhook = new WebhookModel({ ...fields, createdBy: req.user?.uid ?? null });
+    await webhook.save();
+    clearWebhookCache();
+
+    res.status(201).json(webhook);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    List webhooks, optionally for one collection (?collectionName=orders)
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const WebhookModel = getDynamicModel(WEBHOOK_COLLECTION);
+    const filter = webhookFilter(req, req.query.collectionName ? { collectionName: String(req.query.collectionName) } : {});
+
+    const webhooks = await WebhookModel.find(filter).sort({ createdAt: -1 }).lean();
+    res.json(webhooks.map(withoutSecret));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Get a webhook by ID
+ * @access  Private
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const webhook = await getDynamicModel(WEBHOOK_COLLECTION).findOne(webhookFilter(req, { id: req.params.id })).lean();
+
+    if (!webhook) {
+      return res.status(404).json({ msg: 'Webhook not found.' });
+    }
+    res.json(withoutSecret(webhook));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * @route   PUT /api/webhooks/:id
+ * @desc    Update a webhook. Fields that aren't sent keep their value; send "secret" to rotate it.
+ * @access  Private
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const WebhookModel = getDynamicModel(WEBHOOK_COLLECTION);
+    const existing = await WebhookModel.findOne(webhookFilter(req, { id: req.params.id })).lean();
+
+    if (!existing) {
+      return res.status(404).json({ msg: 'Webhook not found.' });
+    }
+
+    let fields;
+    try {
+      fields = parseWebhook(req.body, existing);
+    } catch (error) {
+      return res.status(400).json({ msg: error.message });
+    }
+
+    const webhook = await WebhookModel.findOneAndUpdate({ id: req.params.id }, { $set: fields }, { new: true }).lean();
+    clearWebhookCache();
+
+    res.json(req.body.secret ? webhook : withoutSecret(webhook));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Delete a webhook. Its queued deliveries fail instead of being sent.
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deletedWebhook = await getDynamicModel(WEBHOOK_COLLECTION).findOneAndDelete(webhookFilter(req, { id: req.params.id }));
+
+    if (!deletedWebhook) {
+      return res.status(404).json({ msg: 'Webhook not found.' });
+    }
+    clearWebhookCache();
+
+    res.json({ msg: 'Webhook deleted successfully.' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries
+ * @desc    List the deliveries of a webhook, newest first, with the log of every attempt.
+ *          Optional: ?status=pending|sending|delivered|failed, ?limit (default 50), ?offset
+ * @access  Private
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const DeliveryModel = getDynamicModel(DELIVERY_COLLECTION);
+    const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : parseInt(req.query.offset);
+
+    if (isNaN(limit) || limit < 1 || isNaN(offset) || offset < 0) {
+      return res.status(400).json({ msg: 'limit must be a positive number and offset a non-negative number.' });
+    }
+
+    if (!(await getDynamicModel(WEBHOOK_COLLECTION).exists(webhookFilter(req, { id: req.params.id })))) {
+      return res.status(404).json({ msg: 'Webhook not found.' });
+    }
+
+    const filter = { webhookId: req.params.id };
+    if (req.query.status) {
+      filter.status = String(req.query.status);
+    }
+
+    const [deliveries, total] = await Promise.all([
+      DeliveryModel.find(filter).sort({ createdAt: -1 }).skip(offset).limit(limit).lean(),
+      DeliveryModel.countDocuments(filter),
+    ]);
+
+    res.json({
+      data: deliveries,
+      metadata: { total, limit, offset },
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * @desc    Send the payload of a delivery again, as a new delivery
+ * @access  Private
+ */
+router.post('/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const original = await getDynamicModel(DELIVERY_COLLECTION).findOne({ id: req.params.deliveryId }, { webhookId: 1 }).lean();
+    if (!original || !(await getDynamicModel(WEBHOOK_COLLECTION).exists(webhookFilter(req, { id: original.webhookId })))) {
+      return res.status(404).json({ msg: 'Delivery not found.' });
+    }
+
+    const delivery = await redeliver(req.params.deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({ msg: 'Delivery not found.' });
+    }
+    res.status(202).json(delivery);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
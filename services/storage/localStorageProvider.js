@@ -24,10 +24,33 @@ class LocalStorageProvider extends BaseStorageProvider {
     }
   }
 
+  /**
+   * Resolve a file identifier (a filename, possibly inside folders, or a URL) to its path in the upload directory
+   * @param {string} fileIdentifier - The filename or URL of the file
+   * @returns {Object} - { filename, filePath }; throws when the identifier points outside the upload directory
+   */
+  resolveFile(fileIdentifier) {
+    // If fileIdentifier is a URL, the filename is everything after /uploads/
+    let filename = fileIdentifier;
+    if (fileIdentifier.startsWith('http')) {
+      const { pathname } = new URL(fileIdentifier);
+      const marker = '/uploads/';
+      const start = pathname.indexOf(marker);
+      filename = decodeURIComponent(start === -1 ? pathname.split('/').pop() : pathname.slice(start + marker.length));
+    }
+
+    const root = path.resolve(this.uploadPath);
+    const filePath = path.resolve(root, filename);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error('Invalid file identifier');
+    }
+    return { filename, filePath };
+  }
+
   /**
    * Upload a file to local storage
    * @param {Object} file - The file object from multer
-   * @param {Object} options - Additional options for upload
+   * @param {Object} options - Additional options for upload (folder: subdirectory of the upload directory)
    * @returns {Promise<Object>} - Promise that resolves to upload result
    */
   async uploadFile(file, options = {}) {
@@ -35,13 +58,14 @@ class LocalStorageProvider extends BaseStorageProvider {
       // Ensure upload directory exists
       await this.ensureUploadDirectory();
 
-      // Generate unique filename to avoid conflicts
+      // Generate unique filename to avoid conflicts; a folder becomes part of it
       const fileExtension = path.extname(file.originalname);
-      const uniqueFilename = `${uuidv4()}${fileExtension}`;
+      const uniqueFilename = options.folder ? `${options.folder}/${uuidv4()}${fileExtension}` : `${uuidv4()}${fileExtension}`;
       const relativePath = path.join(this.uploadPath, uniqueFilename);
-      const fullPath = path.resolve(relativePath);
+      const { filePath: fullPath } = this.resolveFile(uniqueFilename);
 
       // Write the buffer to the upload directory (multer.memoryStorage provides file.buffer)
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
       await fs.writeFile(fullPath, file.buffer);
 
       // Construct the file URL
@@ -69,19 +93,12 @@ class LocalStorageProvider extends BaseStorageProvider {
 
   /**
    * Delete a file from local storage
-   * @param {string} fileIdentifier - The filename or path of the file to delete
+   * @param {string} fileIdentifier - The filename or URL of the file to delete
    * @returns {Promise<boolean>} - Promise that resolves to true if deletion was successful
    */
   async deleteFile(fileIdentifier) {
     try {
-      // If fileIdentifier is a URL, extract the filename
-      let filename = fileIdentifier;
-      if (fileIdentifier.startsWith('http')) {
-        const urlParts = fileIdentifier.split('/');
-        filename = urlParts[urlParts.length - 1];
-      }
-
-      const filePath = path.join(this.uploadPath, filename);
+      const { filename, filePath } = this.resolveFile(fileIdentifier);
       await fs.unlink(filePath);
 
       console.log(`File deleted successfully: ${filename}`);
@@ -94,19 +111,12 @@ class LocalStorageProvider extends BaseStorageProvider {
 
   /**
    * Get file information from local storage
-   * @param {string} fileIdentifier - The filename or path of the file
+   * @param {string} fileIdentifier - The filename or URL of the file
    * @returns {Promise<Object>} - Promise that resolves to file information
    */
   async getFileInfo(fileIdentifier) {
     try {
-      // If fileIdentifier is a URL, extract the filename
-      let filename = fileIdentifier;
-      if (fileIdentifier.startsWith('http')) {
-        const urlParts = fileIdentifier.split('/');
-        filename = urlParts[urlParts.length - 1];
-      }
-
-      const filePath = path.join(this.uploadPath, filename);
+      const { filename, filePath } = this.resolveFile(fileIdentifier);
       const stats = await fs.stat(filePath);
 
       return {
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { normalizeSort, encodeCursor, decodeCursor, buildCursorFilter } = require('../lib/cursorPagination');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// A cursor the way a client could forge one
+const forgeCursor = (payload) => Buffer.from(EJSON.stringify(payload)).toString('base64url');
+
+test('normalizeSort appends id as a tie-breaker in the direction of the last key', () => {
+    assert.deepStrictEqual(normalizeSort({ age: 'desc' }), [['age', -1], ['id', -1]]);
+    assert.deepStrictEqual(normalizeSort({ id: -1, age: 1 }), [['id', -1], ['age', 1]]);
+    assert.deepStrictEqual(normalizeSort(), [['id', 1]]);
+});
+
+test('a cursor decodes to the sort values of the document it was made from', () => {
+    const sortKeys = normalizeSort({ createdAt: -1, 'profile.name': 1 });
+    const createdAt = new Date('2024-05-01T10:00:00Z');
+    const _id = new mongoose.Types.ObjectId();
+    const cursor = encodeCursor({ id: 'b', createdAt, profile: { name: 'Ada' }, _id }, sortKeys);
+
+    const values = decodeCursor(cursor, sortKeys);
+
+    assert.deepStrictEqual(values, [createdAt, 'Ada', 'b']);
+    assert.ok(values[0] instanceof Date);
+});
+
+test('missing sort values are encoded as null', () => {
+    const sortKeys = normalizeSort({ score: 1 });
+    assert.deepStrictEqual(decodeCursor(encodeCursor({ id: 'a' }, sortKeys), sortKeys), [null, 'a']);
+});
+
+test('a cursor issued for another sort order is refused', () => {
+    const cursor = encodeCursor({ id: 'a', age: 30 }, normalizeSort({ age: 1 }));
+    assert.throws(() => decodeCursor(cursor, normalizeSort({ age: -1 })), /does not match the current sort order/);
+    assert.throws(() => decodeCursor(cursor, normalizeSort({ name: 1 })), /does not match the current sort order/);
+});
+
+test('malformed cursors are refused', () => {
+    const sortKeys = normalizeSort({ age: 1 });
+    for (const cursor of ['not a cursor', forgeCursor({ k: [['age', 1]] }), forgeCursor({ k: [['age', 1], ['id', 1]], v: [1] }), forgeCursor([])]) {
+        assert.throws(() => decodeCursor(cursor, sortKeys), { message: 'Invalid pagination cursor.' });
+    }
+});
+
+test('cursors carrying query operators are refused', () => {
+    const sortKeys = normalizeSort({ age: 1 });
+    const k = [['age', 1], ['id', 1]];
+    const forged = [
+        [{ $gt: '' }, 'a'],
+        [30, { $ne: null }],
+        [30, ['a', { $where: 'true' }]],
+        [{ nested: { $regex: '.*' } }, 'a'],
+        [{ $regex: '.*', $options: '' }, 'a'],
+        [30, { $code: 'return true' }],
+    ];
+    for (const v of forged) {
+        assert.throws(() => decodeCursor(forgeCursor({ k, v }), sortKeys), { message: 'Invalid pagination cursor.' });
+    }
+});
+
+test('plain objects and arrays without operators are valid cursor values', () => {
+    const sortKeys = normalizeSort({ address: 1, tags: 1 });
+    const doc = { id: 'a', address: { city: 'Oslo' }, tags: ['x', 'y'] };
+    assert.deepStrictEqual(decodeCursor(encodeCursor(doc, sortKeys), sortKeys), [{ city: 'Oslo' }, ['x', 'y'], 'a']);
+});
+
+test('buildCursorFilter selects the documents after the cursor position', () => {
+    const sortKeys = normalizeSort({ age: -1 });
+    assert.deepStrictEqual(buildCursorFilter([30, 'm'], sortKeys), {
+        $or: [{ age: { $lt: 30 } }, { age: 30, id: { $lt: 'm' } }],
+    });
+    assert.deepStrictEqual(buildCursorFilter([30, 'm'], sortKeys, true), {
+        $or: [{ age: { $gt: 30 } }, { age: 30, id: { $gt: 'm' } }],
+    });
+});
+
+test('buildCursorFilter handles null sort values the way MongoDB sorts them', () => {
+    assert.deepStrictEqual(buildCursorFilter([null, 'm'], normalizeSort({ age: 1 })), {
+        $or: [{ age: { $ne: null } }, { age: null, id: { $gt: 'm' } }],
+    });
+    assert.deepStrictEqual(buildCursorFilter([null], [['age', -1]]), { _id: { $exists: false } });
+});
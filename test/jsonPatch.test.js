@@ -0,0 +1,110 @@
+Object.assign(process.env, {
+    MONGO_URI: 'mongodb://localhost:27017/test',
+    AUTH_TYPE: 'none',
+});
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyJsonPatch, applyMergePatch, PatchTestFailedError } = require('../lib/jsonPatch');
+
+const stored = () => ({
+    _id: 'abc',
+    id: 'abc',
+    _rev: 3,
+    title: 'Draft',
+    tags: ['a', 'b'],
+    author: { name: 'Ada', 'a/b': 1 },
+    createdAt: new Date('2024-01-01T00:00:00Z'),
+});
+
+test('applyJsonPatch applies the operations in order to a copy', () => {
+    const doc = stored();
+    const result = applyJsonPatch(doc, [
+        { op: 'replace', path: '/title', value: 'Final' },
+        { op: 'add', path: '/tags/-', value: 'c' },
+        { op: 'add', path: '/tags/0', value: 'z' },
+        { op: 'remove', path: '/author/a~1b' },
+        { op: 'copy', from: '/author/name', path: '/by' },
+        { op: 'move', from: '/tags', path: '/labels' },
+    ]);
+
+    assert.deepStrictEqual(result.labels, ['z', 'a', 'b', 'c']);
+    assert.strictEqual(result.title, 'Final');
+    assert.strictEqual(result.by, 'Ada');
+    assert.deepStrictEqual(result.author, { name: 'Ada' });
+    assert.ok(!('tags' in result));
+    assert.deepStrictEqual(doc, stored());
+});
+
+test('a failing test operation aborts the whole patch', () => {
+    const doc = stored();
+    assert.throws(() => applyJsonPatch(doc, [
+        { op: 'replace', path: '/title', value: 'Final' },
+        { op: 'test', path: '/_rev', value: 2 },
+    ]), PatchTestFailedError);
+    assert.strictEqual(doc.title, 'Draft');
+});
+
+test('test operations compare stored dates by their JSON form', () => {
+    const result = applyJsonPatch(stored(), [{ op: 'test', path: '/createdAt', value: '2024-01-01T00:00:00.000Z' }]);
+    assert.ok(result.createdAt instanceof Date);
+});
+
+test('identity, revision and trash fields cannot be patched', () => {
+    for (const field of ['_id', 'id', '_rev', 'deletedAt', 'deletedBy']) {
+        assert.throws(() => applyJsonPatch(stored(), [{ op: 'add', path: `/${field}`, value: 'x' }]), { message: `The "${field}" field cannot be patched.` });
+        assert.throws(() => applyJsonPatch(stored(), [{ op: 'remove', path: `/${field}` }]), /cannot be patched/);
+    }
+    assert.throws(() => applyJsonPatch(stored(), [{ op: 'move', from: '/id', path: '/oldId' }]), /"id" field cannot be patched/);
+    assert.throws(() => applyJsonPatch(stored(), [{ op: 'copy', from: '/title', path: '/_id' }]), /"_id" field cannot be patched/);
+});
+
+test('malformed patches are refused', () => {
+    const invalid = [
+        [],
+        [{ op: 'merge', path: '/title' }],
+        [{ op: 'add', path: '/title' }],
+        [{ op: 'add', path: 'title', value: 1 }],
+        [{ op: 'replace', path: '', value: {} }],
+        [{ op: 'add', path: '/author/$where', value: 1 }],
+        [{ op: 'replace', path: '/missing', value: 1 }],
+        [{ op: 'add', path: '/tags/5', value: 'x' }],
+        [{ op: 'remove', path: '/tags/01' }],
+        [{ op: 'move', from: '/author', path: '/author/name/copy' }],
+    ];
+    for (const operations of invalid) {
+        assert.throws(() => applyJsonPatch(stored(), operations), (error) => !(error instanceof PatchTestFailedError));
+    }
+});
+
+test('applyMergePatch merges objects, removes nulls and replaces the rest', () => {
+    const result = applyMergePatch(stored(), { title: null, tags: ['x'], author: { name: 'Grace', email: 'g@example.com' } });
+    assert.ok(!('title' in result));
+    assert.deepStrictEqual(result.tags, ['x']);
+    assert.deepStrictEqual(result.author, { name: 'Grace', 'a/b': 1, email: 'g@example.com' });
+});
+
+test('applyMergePatch accepts identity fields sent back unchanged, but not changed', () => {
+    const result = applyMergePatch(stored(), { id: 'abc', _id: 'abc', _rev: 2, title: 'Final' });
+    assert.strictEqual(result.title, 'Final');
+    assert.strictEqual(result._rev, 3);
+
+    assert.throws(() => applyMergePatch(stored(), { id: 'other' }), { message: 'The "id" field cannot be patched.' });
+    assert.throws(() => applyMergePatch(stored(), { deletedAt: '2024-01-01' }), { message: 'The "deletedAt" field cannot be patched.' });
+    assert.throws(() => applyMergePatch(stored(), { deletedBy: 'someone', title: 'x' }), /"deletedBy" field cannot be patched/);
+});
+
+test('applyMergePatch refuses operator field names and non-object patches', () => {
+    assert.throws(() => applyMergePatch(stored(), { author: { $set: { name: 'x' } } }), /cannot start with "\$"/);
+    assert.throws(() => applyMergePatch(stored(), ['title']), /must be a JSON object/);
+});
+
+test('patches naming __proto__ do not reach Object.prototype', () => {
+    applyMergePatch(stored(), JSON.parse('{"__proto__": {"polluted": true}}'));
+    try {
+        applyJsonPatch(stored(), [{ op: 'add', path: '/__proto__/polluted', value: true }]);
+    } catch (e) {
+        // Refusing the path is fine too
+    }
+    assert.strictEqual({}.polluted, undefined);
+});
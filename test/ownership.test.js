@@ -0,0 +1,120 @@
+Object.assign(process.env, {
+    MONGO_URI: 'mongodb://localhost:27017/test',
+    AUTH_TYPE: 'local',
+    JWT_SECRET: 'test-secret',
+    OWNED_COLLECTIONS: 'notes,posts:authorId:stamp+write,feeds:ownerId:read',
+});
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    getOwnership,
+    ownerFilter,
+    bulkWriteFilter,
+    ownsDocument,
+    stampOwner,
+    stampOwnerOnInsert,
+    checkOwnerWrite,
+    scopePipeline,
+} = require('../lib/ownership');
+
+const ada = { uid: 'ada' };
+const anonymous = { uid: 'public-user' };
+
+test('ownership settings are looked up by MongoDB collection name', () => {
+    assert.deepStrictEqual(getOwnership('note'), { field: 'userId', stamp: true, read: true, write: true });
+    assert.deepStrictEqual(getOwnership('posts'), { field: 'authorId', stamp: true, read: false, write: true });
+    assert.strictEqual(getOwnership('comments'), null);
+});
+
+test('ownerFilter restricts scoped access to the caller', () => {
+    assert.deepStrictEqual(ownerFilter('notes', ada, 'read', { done: false }), { done: false, userId: 'ada' });
+    assert.deepStrictEqual(ownerFilter('posts', ada, 'write'), { authorId: 'ada' });
+    assert.deepStrictEqual(ownerFilter('posts', ada, 'read', { a: 1 }), { a: 1 });
+    assert.deepStrictEqual(ownerFilter('comments', ada, 'read', { a: 1 }), { a: 1 });
+});
+
+test('ownerFilter cannot be widened by a condition on the owner field', () => {
+    const filter = { userId: { $in: ['ada', 'grace'] } };
+    assert.deepStrictEqual(ownerFilter('notes', ada, 'read', filter), { $and: [filter, { userId: 'ada' }] });
+});
+
+test('anonymous callers own nothing', () => {
+    assert.deepStrictEqual(ownerFilter('notes', anonymous, 'read'), { userId: { $in: [] } });
+    assert.deepStrictEqual(ownerFilter('notes', undefined, 'write'), { userId: { $in: [] } });
+    assert.strictEqual(ownsDocument('notes', anonymous, 'read', { userId: 'public-user' }), false);
+});
+
+test('bulkWriteFilter scopes writes to many documents in every collection', () => {
+    assert.deepStrictEqual(bulkWriteFilter('posts', ada, { draft: true }), { draft: true, authorId: 'ada' });
+    assert.deepStrictEqual(bulkWriteFilter('feeds', ada), { userId: 'ada' });
+    assert.deepStrictEqual(bulkWriteFilter('comments', ada, { userId: 'grace' }), { $and: [{ userId: 'grace' }, { userId: 'ada' }] });
+    assert.deepStrictEqual(bulkWriteFilter('comments', anonymous), { userId: { $in: [] } });
+});
+
+test('ownsDocument checks the owner field of scoped collections only', () => {
+    assert.strictEqual(ownsDocument('notes', ada, 'write', { userId: 'ada' }), true);
+    assert.strictEqual(ownsDocument('notes', ada, 'write', { userId: 'grace' }), false);
+    assert.strictEqual(ownsDocument('notes', ada, 'write', null), false);
+    assert.strictEqual(ownsDocument('feeds', ada, 'write', { ownerId: 'grace' }), true);
+    assert.strictEqual(ownsDocument('feeds', ada, 'read', { ownerId: 'grace' }), false);
+});
+
+test('created documents are stamped with the caller', () => {
+    assert.deepStrictEqual(stampOwner('notes', ada, { title: 'a', userId: 'grace' }), { title: 'a', userId: 'ada' });
+    assert.deepStrictEqual(stampOwner('feeds', ada, { title: 'a' }), { title: 'a' });
+    assert.deepStrictEqual(stampOwner('notes', anonymous, { title: 'a' }), { title: 'a' });
+    assert.deepStrictEqual(stampOwnerOnInsert('notes', ada, { $set: { title: 'a' } }), { $set: { title: 'a' }, $setOnInsert: { userId: 'ada' } });
+    assert.deepStrictEqual(stampOwnerOnInsert('notes', ada, { $set: { userId: 'ada' } }), { $set: { userId: 'ada' } });
+});
+
+test('checkOwnerWrite keeps documents of write-scoped collections with the caller', () => {
+    assert.strictEqual(checkOwnerWrite('notes', ada, { document: { title: 'a' } }), null);
+    assert.strictEqual(checkOwnerWrite('notes', ada, { document: { userId: 'ada' } }), null);
+    assert.match(checkOwnerWrite('notes', ada, { document: { userId: 'grace' } }), /'userId' field holds the owner/);
+
+    assert.strictEqual(checkOwnerWrite('notes', ada, { replacement: { userId: 'ada' } }), null);
+    assert.ok(checkOwnerWrite('notes', ada, { replacement: { title: 'a' } }));
+
+    assert.strictEqual(checkOwnerWrite('notes', ada, { update: { $set: { userId: 'ada', title: 'b' } } }), null);
+    const handOvers = [
+        { userId: 'grace' },
+        { 'userId.x': 'ada' },
+        { $set: { userId: 'grace' } },
+        { $unset: { userId: 1 } },
+        { $setOnInsert: { userId: 'ada' } },
+        { $rename: { userId: 'was' } },
+        { $rename: { other: 'userId' } },
+    ];
+    for (const update of handOvers) {
+        assert.ok(checkOwnerWrite('notes', ada, { update }), JSON.stringify(update));
+    }
+
+    assert.strictEqual(checkOwnerWrite('feeds', ada, { update: { ownerId: 'grace' } }), null);
+});
+
+test('scopePipeline restricts pipelines and their lookups to the caller', () => {
+    const pipeline = [
+        { $lookup: { from: 'notes', localField: 'noteId', foreignField: 'id', as: 'note' } },
+        { $unionWith: 'feeds' },
+        { $facet: { posts: [{ $lookup: { from: 'posts', localField: 'id', foreignField: 'x', as: 'p' } }] } },
+    ];
+    assert.deepStrictEqual(scopePipeline('notes', ada, pipeline), [
+        { $match: { userId: 'ada' } },
+        { $lookup: { from: 'notes', localField: 'noteId', foreignField: 'id', as: 'note', pipeline: [{ $match: { userId: 'ada' } }] } },
+        { $unionWith: { coll: 'feeds', pipeline: [{ $match: { ownerId: 'ada' } }] } },
+        { $facet: { posts: [{ $lookup: { from: 'posts', localField: 'id', foreignField: 'x', as: 'p' } }] } },
+    ]);
+});
+
+test('scopePipeline keeps first-only stages first', () => {
+    const geoNear = { $geoNear: { near: { type: 'Point', coordinates: [0, 0] }, distanceField: 'd' } };
+    assert.deepStrictEqual(scopePipeline('notes', ada, [geoNear]), [{ $geoNear: { ...geoNear.$geoNear, query: { userId: 'ada' } } }]);
+    assert.deepStrictEqual(scopePipeline('notes', ada, [{ $collStats: {} }]), [{ $collStats: {} }, { $match: { userId: 'ada' } }]);
+    assert.deepStrictEqual(scopePipeline('comments', ada, [{ $limit: 1 }]), [{ $limit: 1 }]);
+});
+
+test('graph lookups into read-scoped collections only follow the caller\'s documents', () => {
+    const [stage] = scopePipeline('comments', ada, [{ $graphLookup: { from: 'notes', startWith: '$id', connectFromField: 'a', connectToField: 'b', as: 'g', restrictSearchWithMatch: { open: true } } }]);
+    assert.deepStrictEqual(stage.$graphLookup.restrictSearchWithMatch, { $and: [{ open: true }, { userId: 'ada' }] });
+});
@@ -0,0 +1,152 @@
+Object.assign(process.env, {
+    MONGO_URI: 'mongodb://localhost:27017/test',
+    AUTH_TYPE: 'none',
+});
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    compileRules,
+    evaluateRules,
+    authFromUser,
+    isLockedCollection,
+    lockCollection,
+    lockedCollectionNames,
+    previewUpdate,
+    UnsupportedUpdateError,
+    PermissionDeniedError,
+} = require('../lib/securityRules');
+
+const owner = { uid: 'u1', role: 'member' };
+const stranger = { uid: 'u2' };
+
+const rules = compileRules({
+    read: "auth != null && resource.userId == auth.uid",
+    list: "auth != null",
+    create: "request.data.userId == auth.uid && request.data.keys().hasOnly(['userId', 'title', 'tags'])",
+    update: "resource.userId == auth.uid && request.changedKeys.hasOnly(['title', 'tags']) && request.data.tags.size() <= 3",
+});
+
+test('rules allow only what their expressions evaluate to true for', () => {
+    const resource = { userId: 'u1', title: 'a' };
+    assert.strictEqual(evaluateRules(rules, 'get', { auth: owner, resource }).allowed, true);
+    assert.strictEqual(evaluateRules(rules, 'get', { auth: stranger, resource }).allowed, false);
+    assert.strictEqual(evaluateRules(rules, 'get', { auth: null, resource }).allowed, false);
+    assert.strictEqual(evaluateRules(rules, 'list', { auth: stranger }).allowed, true);
+    assert.strictEqual(evaluateRules(rules, 'create', { auth: owner, data: { userId: 'u1', title: 'b' } }).allowed, true);
+    assert.strictEqual(evaluateRules(rules, 'create', { auth: owner, data: { userId: 'u2', title: 'b' } }).allowed, false);
+    assert.strictEqual(evaluateRules(rules, 'create', { auth: owner, data: { userId: 'u1', admin: true } }).allowed, false);
+});
+
+test('read and write stand in for operations without a rule of their own', () => {
+    const result = evaluateRules(rules, 'get', { auth: owner, resource: { userId: 'u1' } });
+    assert.strictEqual(result.rule, 'read');
+    assert.strictEqual(evaluateRules(rules, 'list', { auth: owner }).rule, 'list');
+});
+
+test('operations no rule covers are denied', () => {
+    const result = evaluateRules(rules, 'delete', { auth: owner, resource: { userId: 'u1' } });
+    assert.deepStrictEqual(result, { allowed: false, rule: null, expression: null, error: 'No rule covers delete.' });
+    assert.throws(() => evaluateRules(rules, 'purge'), /"operation" must be one of/);
+});
+
+test('update rules see the changed keys and the document after the update', () => {
+    const resource = { userId: 'u1', title: 'a', tags: ['x'] };
+    const allowed = { auth: owner, resource, data: previewUpdate(resource, { $set: { title: 'b' }, $push: { tags: 'y' } }) };
+    assert.strictEqual(evaluateRules(rules, 'update', allowed).allowed, true);
+
+    const ownerChange = { auth: owner, resource, data: previewUpdate(resource, { $set: { userId: 'u2' } }) };
+    assert.strictEqual(evaluateRules(rules, 'update', ownerChange).allowed, false);
+
+    const tooMany = { auth: owner, resource, data: previewUpdate(resource, { $push: { tags: { $each: ['1', '2', '3'] } } }) };
+    assert.strictEqual(evaluateRules(rules, 'update', tooMany).allowed, false);
+});
+
+test('rules that fail to evaluate or do not give a boolean deny', () => {
+    const typed = compileRules({ read: 'resource.count > 3', write: "resource.title" });
+    const mismatch = evaluateRules(typed, 'get', { resource: { count: 'many' } });
+    assert.strictEqual(mismatch.allowed, false);
+    assert.match(mismatch.error, /compares two numbers or two strings/);
+    assert.strictEqual(evaluateRules(typed, 'delete', { resource: { title: 'x' } }).allowed, false);
+    assert.strictEqual(evaluateRules(compileRules({ read: '!resource.missing' }), 'get', { resource: {} }).allowed, false);
+});
+
+test('rules only read own fields, never the prototype', () => {
+    const probe = compileRules({ read: "resource.constructor != null || resource['__proto__'] != null || auth.toString != null" });
+    assert.strictEqual(evaluateRules(probe, 'get', { auth: owner, resource: {} }).allowed, false);
+});
+
+test('ids and dates are compared as JSON', () => {
+    const dated = compileRules({ read: "resource.createdAt == '2024-01-01T00:00:00.000Z'" });
+    assert.strictEqual(evaluateRules(dated, 'get', { resource: { createdAt: new Date('2024-01-01T00:00:00Z') } }).allowed, true);
+});
+
+test('compileRules refuses unknown rules and invalid expressions', () => {
+    assert.throws(() => compileRules({}), /"rules" must be an object/);
+    assert.throws(() => compileRules({ remove: 'true' }), /Unknown rule "remove"/);
+    assert.throws(() => compileRules({ read: 'auth.uid ==' }), /The "read" rule is invalid: Unexpected end of rule/);
+    assert.throws(() => compileRules({ read: 'process.exit()' }), /The "read" rule is invalid/);
+    assert.throws(() => compileRules({ write: '' }), /non-empty expression/);
+});
+
+test('the placeholder user of public collections is anonymous', () => {
+    assert.strictEqual(authFromUser({ uid: 'public-user' }), null);
+    assert.strictEqual(authFromUser(undefined), null);
+    assert.deepStrictEqual(authFromUser(owner), owner);
+});
+
+test('internal collections are locked under their MongoDB name', () => {
+    assert.ok(isLockedCollection('collection_rules'));
+    assert.ok(!isLockedCollection('notes'));
+    lockCollection('audit_entry');
+    assert.ok(isLockedCollection('audit_entries'));
+    assert.ok(lockedCollectionNames().includes('audit_entries'));
+});
+
+test('previewUpdate applies plain fields and update operators to a copy', () => {
+    const doc = { a: 1, n: 5, list: [1, 2, 2, 3], nested: { x: 1 }, old: 'v' };
+    const preview = previewUpdate(doc, {
+        b: 2,
+        $set: { 'nested.y': 2 },
+        $unset: { a: 1 },
+        $inc: { n: 2, fresh: 1 },
+        $min: { n: 3 },
+        $rename: { old: 'renamed', absent: 'ghost' },
+        $pull: { list: 2 },
+        $addToSet: { list: { $each: [3, 4] } },
+        $setOnInsert: { created: true },
+        _rev: 9,
+    });
+    assert.deepStrictEqual(preview, { n: 3, list: [1, 3, 4], nested: { x: 1, y: 2 }, b: 2, fresh: 1, renamed: 'v' });
+    assert.deepStrictEqual(doc, { a: 1, n: 5, list: [1, 2, 2, 3], nested: { x: 1 }, old: 'v' });
+    assert.deepStrictEqual(previewUpdate(null, { $setOnInsert: { created: true } }, { insert: true }), { created: true });
+});
+
+test('previewUpdate refuses updates it cannot model', () => {
+    const doc = { n: 1, name: 'a', items: [{ price: 3 }] };
+    const unsupported = [
+        { $bit: { n: { and: 1 } } },
+        { $set: 'n' },
+        { $set: { 'items.$.price': 1 } },
+        { $set: { 'items.$[].price': 1 } },
+        { $inc: { name: 1 } },
+        { $max: { name: 3 } },
+        { $pull: { items: { price: { $gt: 2 } } } },
+        { $pullAll: { items: 1 } },
+        { $pop: { items: 2 } },
+        { $push: { items: { $each: [1], $slice: -1 } } },
+        { $rename: { name: 'items.$' } },
+        { 'a..b': 1 },
+    ];
+    for (const update of unsupported) {
+        assert.throws(() => previewUpdate(doc, update), (error) => error instanceof UnsupportedUpdateError && error instanceof PermissionDeniedError);
+    }
+});
+
+test('previewUpdate keeps __proto__ paths off Object.prototype', () => {
+    for (const update of [{ $set: { '__proto__.polluted': true } }, JSON.parse('{"__proto__": {"polluted": true}}'), { $set: { 'a.__proto__.polluted': true } }]) {
+        assert.throws(() => previewUpdate({ a: {} }, update), UnsupportedUpdateError);
+    }
+    assert.deepStrictEqual(previewUpdate({}, { $inc: { constructor: 1 } }), { constructor: 1 });
+    assert.strictEqual({}.polluted, undefined);
+});
@@ -0,0 +1,66 @@
+Object.assign(process.env, {
+    MONGO_URI: 'mongodb://localhost:27017/test',
+    AUTH_TYPE: 'none',
+    SOFT_DELETE_COLLECTIONS: 'notes',
+});
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    excludeDeleted,
+    onlyDeleted,
+    excludeDeletedFromPipeline,
+    checkTrashFields,
+    purgeFilter,
+} = require('../lib/softDelete');
+
+test('excludeDeleted leaves trashed documents out of soft-delete collections only', () => {
+    assert.deepStrictEqual(excludeDeleted('notes', { title: 'a' }), { title: 'a', deletedAt: null });
+    assert.deepStrictEqual(excludeDeleted('notes'), { deletedAt: null });
+    assert.deepStrictEqual(excludeDeleted('posts', { title: 'a' }), { title: 'a' });
+});
+
+test('excludeDeleted keeps a condition the filter already has on deletedAt', () => {
+    const filter = { deletedAt: { $gt: new Date(0) } };
+    assert.deepStrictEqual(excludeDeleted('notes', filter), { $and: [filter, { deletedAt: null }] });
+});
+
+test('onlyDeleted matches trashed documents without dropping the filter', () => {
+    assert.deepStrictEqual(onlyDeleted({ title: 'a' }), { title: 'a', deletedAt: { $ne: null } });
+    assert.deepStrictEqual(onlyDeleted({ deletedAt: null }), { $and: [{ deletedAt: null }, { deletedAt: { $ne: null } }] });
+});
+
+test('excludeDeletedFromPipeline puts the condition in front of client pipelines', () => {
+    const pipeline = [{ $group: { _id: '$status' } }];
+    assert.deepStrictEqual(excludeDeletedFromPipeline('notes', pipeline), [{ $match: { deletedAt: null } }, ...pipeline]);
+    assert.strictEqual(excludeDeletedFromPipeline('posts', pipeline), pipeline);
+});
+
+test('excludeDeletedFromPipeline keeps $geoNear first and scopes its query', () => {
+    const geoNear = { $geoNear: { near: { type: 'Point', coordinates: [0, 0] }, distanceField: 'd', query: { open: true } } };
+    const [first, ...rest] = excludeDeletedFromPipeline('notes', [geoNear, { $limit: 5 }]);
+    assert.deepStrictEqual(first.$geoNear.query, { open: true, deletedAt: null });
+    assert.deepStrictEqual(rest, [{ $limit: 5 }]);
+});
+
+test('checkTrashFields refuses client writes to the trash fields', () => {
+    assert.match(checkTrashFields({ document: { title: 'a', deletedAt: '2024-01-01' } }), /"deletedAt" field is maintained by the trash/);
+    assert.match(checkTrashFields({ update: { deletedBy: 'someone' } }), /"deletedBy"/);
+    assert.match(checkTrashFields({ update: { $set: { 'deletedAt.x': 1 } } }), /"deletedAt.x"/);
+    assert.match(checkTrashFields({ update: { $unset: { deletedAt: 1 } } }), /"deletedAt"/);
+    assert.match(checkTrashFields({ update: { $rename: { title: 'deletedAt' } } }), /"deletedAt"/);
+    assert.match(checkTrashFields({ update: { $rename: { deletedBy: 'by' } } }), /"deletedBy"/);
+});
+
+test('checkTrashFields lets other writes through', () => {
+    assert.strictEqual(checkTrashFields({ document: { title: 'a', deletedAtLabel: 'x' } }), null);
+    assert.strictEqual(checkTrashFields({ update: { $set: { title: 'b' }, $inc: { views: 1 } } }), null);
+    assert.strictEqual(checkTrashFields({ update: { $rename: { title: 'name' } } }), null);
+    assert.strictEqual(checkTrashFields({}), null);
+});
+
+test('purgeFilter matches documents trashed before the retention period', () => {
+    const { deletedAt } = purgeFilter(30);
+    const expected = Date.now() - 30 * 24 * 60 * 60 * 1000;
+    assert.ok(Math.abs(deletedAt.$lt.getTime() - expected) < 1000);
+});